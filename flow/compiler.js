@@ -9,6 +9,7 @@ declare type CompilerOptions = {
   preserveWhitespace?: boolean; // preserve whitespace between elements? (Deprecated)
   whitespace?: 'preserve' | 'condense'; // whitespace handling strategy
   optimize?: boolean; // optimize static content?
+  blocks?: boolean; // emit patch flags and blocks for dynamic content?
 
   // web specific
   mustUseProp?: (tag: string, type: ?string, name: string) => boolean; // check if an attribute should be bound as a property
@@ -116,6 +117,10 @@ declare type ASTElement = {
   staticProcessed?: boolean;
   hasBindings?: boolean;
 
+  block?: true;
+  patchFlag?: number;
+  dynamicProps?: Array<string>;
+
   text?: string;
   attrs?: Array<ASTAttr>;
   dynamicAttrs?: Array<ASTAttr>;
@@ -168,6 +173,7 @@ declare type ASTElement = {
   directives?: Array<ASTDirective>;
 
   forbidden?: true;
+  fragment?: true;
   once?: true;
   onceProcessed?: boolean;
   wrapData?: (code: string) => string;
@@ -186,6 +192,7 @@ declare type ASTExpression = {
   text: string;
   tokens: Array<string | Object>;
   static?: boolean;
+  patchFlag?: number;
   // 2.4 ssr optimization
   ssrOptimizability?: number;
   start?: number;
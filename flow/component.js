@@ -1,6 +1,7 @@
 import type { Config } from '../src/core/config'
 import type VNode from '../src/core/vdom/vnode'
 import type Watcher from '../src/core/observer/watcher'
+import type { EffectScope } from '../src/core/observer/effect-scope'
 
 declare interface Component {
   // constructor information
@@ -34,6 +35,8 @@ declare interface Component {
   $attrs: { [key: string] : string };
   $listeners: { [key: string]: Function | Array<Function> };
   $isServer: boolean;
+  $pending: { [key: string]: boolean };
+  $error: { [key: string]: ?Error };
 
   // public methods
   $mount: (el?: Element | string, hydrating?: boolean) => Component;
@@ -41,7 +44,7 @@ declare interface Component {
   $destroy: () => void;
   $set: <T>(target: Object | Array<T>, key: string | number, val: T) => T;
   $delete: <T>(target: Object | Array<T>, key: string | number) => void;
-  $watch: (expOrFn: string | Function, cb: Function, options?: Object) => Function;
+  $watch: (expOrFn: string | Function | Array<string | Function>, cb: Function, options?: Object) => Function;
   $on: (event: string | Array<string>, fn: Function) => Component;
   $once: (event: string, fn: Function) => Component;
   $off: (event?: string | Array<string>, fn?: Function) => Component;
@@ -58,7 +61,14 @@ declare interface Component {
   _renderContext: ?Component;
   _watcher: Watcher;
   _watchers: Array<Watcher>;
+  _scope: EffectScope;
+  _priority: number;
   _computedWatchers: { [key: string]: Watcher };
+  _asyncComputedData: Object;
+  _setupState: ?Object;
+  _asyncSetup: ?Promise<any>;
+  _suspense: ?{ pending: boolean; deps: number; fallback: boolean };
+  _errorBoundary: ?{ error: ?Error };
   _data: Object;
   _props: Object;
   _events: Object;
@@ -68,6 +78,7 @@ declare interface Component {
   _isDestroyed: boolean;
   _isBeingDestroyed: boolean;
   _vnode: ?VNode; // self root node
+  _container: any; // container node of a custom renderer root
   _staticTrees: ?Array<VNode>; // v-once cached trees
   _hasHookEvent: boolean;
   _provided: ?Object;
@@ -17,6 +17,32 @@ declare interface GlobalAPI {
   filter: (id: string, def?: Function) => Function | void;
 
   observable: <T>(value: T) => T;
+  readonly: <T>(value: T) => T;
+  shallowObservable: <T>(value: T) => T;
+  markRaw: <T>(value: T) => T;
+  createHistory: (value: Object) => Object;
+  createApp: (options?: Object) => Object;
+  createRenderer: (options: Object) => Object;
+
+  getCurrentInstance: () => ?Component;
+  onBeforeMount: (fn: Function, target?: ?Component) => void;
+  onMounted: (fn: Function, target?: ?Component) => void;
+  onBeforeUpdate: (fn: Function, target?: ?Component) => void;
+  onUpdated: (fn: Function, target?: ?Component) => void;
+  onBeforeUnmount: (fn: Function, target?: ?Component) => void;
+  onUnmounted: (fn: Function, target?: ?Component) => void;
+  onActivated: (fn: Function, target?: ?Component) => void;
+  onDeactivated: (fn: Function, target?: ?Component) => void;
+  onServerPrefetch: (fn: Function, target?: ?Component) => void;
+  onRenderTracked: (fn: Function, target?: ?Component) => void;
+  onRenderTriggered: (fn: Function, target?: ?Component) => void;
+  onErrorCaptured: (fn: Function, target?: ?Component) => void;
+
+  effectScope: (detached?: boolean) => Object;
+  getCurrentScope: () => ?Object;
+  onScopeDispose: (fn: Function) => void;
+  computed: (getterOrOptions: Function | Object, debugOptions?: Object) => Object;
+  watch: (source: Function | Array<Function>, cb: Function, options?: Object) => Function;
 
   // allow dynamic method registration
   [key: string]: any
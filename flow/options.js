@@ -22,6 +22,13 @@ declare type ComponentOptions = {
       cache?: boolean
     }
   };
+  asyncComputed?: {
+    [key: string]: Function | {
+      get: Function;
+      default?: any
+    }
+  };
+  setup?: (props: Object, ctx: Object) => ?Object | Function;
   methods?: { [key: string]: Function };
   watch?: { [key: string]: Function | string };
 
@@ -56,6 +63,9 @@ declare type ComponentOptions = {
   provide?: { [key: string | Symbol]: any } | () => { [key: string | Symbol]: any };
   inject?: { [key: string]: InjectKey | { from?: InjectKey, default?: any }} | Array<string>;
 
+  // declared events
+  emits?: { [key: string]: ?Function };
+
   // component v-model customization
   model?: {
     prop?: string;
@@ -70,6 +80,8 @@ declare type ComponentOptions = {
   delimiters?: [string, string];
   comments?: boolean;
   inheritAttrs?: boolean;
+  priority?: 'user-blocking' | 'normal' | 'idle';
+  hydrate?: 'idle' | 'visible' | 'interaction' | (hydrate: Function, nodes: Array<Node>) => ?Function;
 
   // private
   _isComponent?: true;
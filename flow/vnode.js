@@ -30,12 +30,15 @@ declare type VNodeWithData = {
   componentOptions?: VNodeComponentOptions;
   componentInstance?: Component;
   isRootInsert: boolean;
+  patchFlag?: number;
+  dynamicProps?: Array<string>;
 };
 
 declare interface VNodeData {
   key?: string | number;
   slot?: string;
   ref?: string;
+  refInFor?: boolean;
   is?: string;
   pre?: boolean;
   tag?: string;
@@ -58,6 +61,12 @@ declare interface VNodeData {
   };
   directives?: Array<VNodeDirective>;
   keepAlive?: boolean;
+  fragment?: boolean;
+  teleport?: {
+    to: string | Node | void;
+    disabled: boolean;
+    offscreen?: boolean;
+  };
   scopedSlots?: { [key: string]: Function };
   model?: {
     value: any;
@@ -8,6 +8,7 @@ interface CompilerOptions {
   directives?: Record<string, DirectiveFunction>;
   preserveWhitespace?: boolean;
   whitespace?: 'preserve' | 'condense';
+  blocks?: boolean;
   outputSourceRange?: any
 }
 
@@ -13,6 +13,7 @@ const compiled = compile("<div>hi</div>", {
   outputSourceRange: true,
   preserveWhitespace: false,
   whitespace: 'condense',
+  blocks: false,
   modules: [
     {
       preTransformNode: el => el,
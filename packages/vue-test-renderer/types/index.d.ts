@@ -0,0 +1,63 @@
+import Vue, { Component, DirectiveOptions, DirectiveFunction, VNodeData, Renderer, RendererModule } from 'vue';
+
+export interface TestNode {
+  type: 'element' | 'text' | 'comment';
+  tag: string;
+  text: string;
+  ns: string | undefined;
+  attrs: { [key: string]: string };
+  props: { [key: string]: any };
+  listeners: { [key: string]: Function[] };
+  components: string[];
+  children: TestNode[];
+  parentNode: TestNode | null;
+}
+
+export interface TestElementJSON {
+  type: 'element';
+  tag: string;
+  attrs: { [key: string]: string };
+  props: { [key: string]: any };
+  listeners: string[];
+  components: string[];
+  children: TestNodeJSON[];
+}
+
+export interface TestTextJSON {
+  type: 'text' | 'comment';
+  text: string;
+  components: string[];
+}
+
+export type TestNodeJSON = TestElementJSON | TestTextJSON;
+
+export type NodeTest = string | ((node: TestNode) => boolean);
+
+export interface TestWrapper {
+  vm: Vue | undefined;
+  container: TestNode;
+  toJSON(): TestNodeJSON | TestNodeJSON[];
+  toString(): string;
+  find(test: NodeTest): TestNode | null;
+  findAll(test: NodeTest): TestNode[];
+  unmount(): void;
+}
+
+export interface TestRendererOptions {
+  modules?: RendererModule[];
+  directives?: { [key: string]: DirectiveOptions | DirectiveFunction };
+  components?: { [key: string]: Component<any, any, any, any> };
+}
+
+export interface TestRenderer {
+  config: Renderer['config'];
+  mount(component: Component<any, any, any, any>, data?: VNodeData): TestWrapper;
+  trigger(node: TestNode, event: string, eventInit?: object): void;
+  flush(): void;
+}
+
+export declare function createTestRenderer(vue: typeof Vue, options?: TestRendererOptions): TestRenderer;
+
+export declare function toJSON(node: TestNode): TestNodeJSON;
+
+export declare function prettyPrint(nodes: TestNode | TestNode[]): string;
@@ -0,0 +1,30 @@
+import Vue from "vue";
+import { createTestRenderer, toJSON, prettyPrint, TestNodeJSON } from "./";
+
+const renderer = createTestRenderer(Vue, {
+  modules: [{ create (oldVnode, vnode) {} }],
+  directives: { focus: () => {} },
+  components: { foo: { template: "<span></span>" } }
+});
+renderer.config.errorHandler = (err, vm, info) => {};
+
+const wrapper = renderer.mount({
+  props: ["msg"],
+  template: "<button @click=\"$emit('select')\">{{ msg }}</button>"
+}, {
+  props: { msg: "hello" },
+  on: { select () {} }
+});
+
+const vm: Vue | undefined = wrapper.vm;
+const button = wrapper.find("button");
+if (button) {
+  renderer.trigger(button, "click");
+  renderer.trigger(button, "keyup", { key: "Enter" });
+  const json: TestNodeJSON = toJSON(button);
+  const listeners: string[] = button.listeners.click ? ["click"] : [];
+}
+wrapper.findAll(node => node.components.indexOf("Foo") > -1);
+const snapshot: string = wrapper.toString() + prettyPrint(wrapper.container.children);
+renderer.flush();
+wrapper.unmount();
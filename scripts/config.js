@@ -201,6 +201,13 @@ const builds = {
     format: 'cjs',
     external: Object.keys(require('../packages/vue-server-renderer/package.json').dependencies)
   },
+  // Web test renderer (CommonJS).
+  'web-test-renderer': {
+    entry: resolve('web/entry-test-renderer.js'),
+    dest: resolve('packages/vue-test-renderer/build.js'),
+    format: 'cjs',
+    env: 'development'
+  },
   // Weex runtime factory
   'weex-factory': {
     weex: true,
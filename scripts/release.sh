@@ -43,7 +43,16 @@ if [[ $REPLY =~ ^[Yy]$ ]]; then
   fi
   )
 
-  cd packages/vue-server-renderer
+  ( cd packages/vue-server-renderer
+  npm version "$VERSION"
+  if [[ -z $RELEASE_TAG ]]; then
+    npm publish
+  else
+    npm publish --tag "$RELEASE_TAG"
+  fi
+  )
+
+  cd packages/vue-test-renderer
   npm version "$VERSION"
   if [[ -z $RELEASE_TAG ]]; then
     npm publish
@@ -62,7 +71,8 @@ if [[ $REPLY =~ ^[Yy]$ ]]; then
     packages/vue-server-renderer/server-plugin.js \
     packages/vue-server-renderer/client-plugin.js \
     packages/vue-template-compiler/build.js \
-    packages/vue-template-compiler/browser.js
+    packages/vue-template-compiler/browser.js \
+    packages/vue-test-renderer/build.js
   git commit -m "build: build $VERSION"
   # generate release note
   npm run release:note
@@ -71,6 +71,7 @@ export function genElement (el: ASTElement, state: CodegenState): string {
     return genSlot(el, state)
   } else {
     // component or element
+    const staticRenderFnsCount = state.staticRenderFns.length
     let code
     if (el.component) {
       code = genComponent(el.component, el, state)
@@ -91,10 +92,31 @@ export function genElement (el: ASTElement, state: CodegenState): string {
     for (let i = 0; i < state.transforms.length; i++) {
       code = state.transforms[i](el, code)
     }
+    if (el.patchFlag) {
+      code = genPatchFlag(code, el.patchFlag, el.dynamicProps)
+    }
+    if (el.block) {
+      // the id of a block identifies its structure: blocks rendered by the
+      // same code (and static trees) can be patched through their dynamic
+      // nodes only
+      const id = hash(code + state.staticRenderFns.slice(staticRenderFnsCount).join(','))
+      code = `(_ob(),_bk(${code},${id}))`
+    }
     return code
   }
 }
 
+// dynamic node of a block
+function genPatchFlag (
+  code: string,
+  patchFlag: number,
+  dynamicProps: ?Array<string>
+): string {
+  return `_pf(${code},${patchFlag}${
+    dynamicProps ? `,${JSON.stringify(dynamicProps)}` : ''
+  })`
+}
+
 // hoist static sub-trees out
 function genStatic (el: ASTElement, state: CodegenState): string {
   el.staticProcessed = true
@@ -533,10 +555,13 @@ function genNode (node: ASTNode, state: CodegenState): string {
 }
 
 export function genText (text: ASTText | ASTExpression): string {
-  return `_v(${text.type === 2
+  const code = `_v(${text.type === 2
     ? text.expression // no need for () because already wrapped in _s()
     : transformSpecialNewlines(JSON.stringify(text.text))
   })`
+  return text.type === 2 && text.patchFlag
+    ? genPatchFlag(code, text.patchFlag)
+    : code
 }
 
 export function genComment (comment: ASTText): string {
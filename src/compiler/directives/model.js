@@ -1,5 +1,8 @@
 /* @flow */
 
+import { camelize, hyphenate } from 'shared/util'
+import { addAttr, addHandler } from 'compiler/helpers'
+
 /**
  * Cross-platform code generation for component v-model
  */
@@ -8,9 +11,65 @@ export function genComponentModel (
   value: string,
   modifiers: ?ASTModifiers
 ): ?boolean {
-  const { number, trim } = modifiers || {}
-
   const baseValueExpression = '$$v'
+  const assignment = genAssignmentCode(
+    value,
+    genModelValueExpression(baseValueExpression, modifiers)
+  )
+
+  el.model = {
+    value: `(${value})`,
+    expression: JSON.stringify(value),
+    callback: `function (${baseValueExpression}) {${assignment}}`
+  }
+}
+
+/**
+ * Cross-platform code generation for component v-model with an argument,
+ * e.g. v-model:start="range.start". Unlike the default binding, which is
+ * resolved against the `model` option at runtime, it compiles to a prop
+ * named after the argument plus an "update:<arg>" listener (the same
+ * contract as .sync). Modifiers are passed down as a "<arg>Modifiers" prop.
+ */
+export function genComponentArgModel (
+  el: ASTElement,
+  dir: ASTDirective,
+  warn?: ?Function
+) {
+  const { value, modifiers, isDynamicArg } = dir
+  const arg: string = (dir.arg: any)
+  const handler = genAssignmentCode(
+    value,
+    genModelValueExpression('$event', modifiers)
+  )
+  const modifiersValue = modifiers ? JSON.stringify(modifiers) : null
+  if (isDynamicArg) {
+    addAttr(el, arg, value, dir, true)
+    addHandler(el, `"update:"+(${arg})`, handler, null, false, warn, dir, true)
+    if (modifiersValue) {
+      addAttr(el, `(${arg})+"Modifiers"`, modifiersValue, dir, true)
+    }
+    return
+  }
+  const name = camelize(arg)
+  addAttr(el, name, value, dir)
+  addHandler(el, `update:${name}`, handler, null, false, warn, dir)
+  if (hyphenate(arg) !== name) {
+    addHandler(el, `update:${hyphenate(arg)}`, handler, null, false, warn, dir)
+  }
+  if (modifiersValue) {
+    addAttr(el, `${name}Modifiers`, modifiersValue, dir)
+  }
+}
+
+/**
+ * Apply the .trim and .number modifiers to the emitted value.
+ */
+function genModelValueExpression (
+  baseValueExpression: string,
+  modifiers: ?ASTModifiers
+): string {
+  const { number, trim } = modifiers || {}
   let valueExpression = baseValueExpression
   if (trim) {
     valueExpression =
@@ -21,13 +80,7 @@ export function genComponentModel (
   if (number) {
     valueExpression = `_n(${valueExpression})`
   }
-  const assignment = genAssignmentCode(value, valueExpression)
-
-  el.model = {
-    value: `(${value})`,
-    expression: JSON.stringify(value),
-    callback: `function (${baseValueExpression}) {${assignment}}`
-  }
+  return valueExpression
 }
 
 /**
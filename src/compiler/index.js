@@ -1,7 +1,7 @@
 /* @flow */
 
 import { parse } from './parser/index'
-import { optimize } from './optimizer'
+import { optimize, markBlocks } from './optimizer'
 import { generate } from './codegen/index'
 import { createCompilerCreator } from './create-compiler'
 
@@ -15,6 +15,9 @@ export const createCompiler = createCompilerCreator(function baseCompile (
   const ast = parse(template.trim(), options)
   if (options.optimize !== false) {
     optimize(ast, options)
+    if (options.blocks !== false) {
+      markBlocks(ast, options)
+    }
   }
   const code = generate(ast, options)
   return {
@@ -1,6 +1,7 @@
 /* @flow */
 
 import { makeMap, isBuiltInTag, cached, no } from 'shared/util'
+import { PatchFlags } from 'shared/constants'
 
 let isStaticKey
 let isPlatformReservedTag
@@ -28,6 +29,20 @@ export function optimize (root: ?ASTElement, options: CompilerOptions) {
   markStaticRoots(root, false)
 }
 
+/**
+ * Third pass, run after `optimize`: detect blocks, i.e. elements whose
+ * descendants can never change in structure (no v-if, v-for, slots or
+ * components). The dynamic descendants of a block are marked with patch
+ * flags telling which of their bindings may change; they are collected into
+ * a flat array at render time, so that patching the block only needs to
+ * walk that array instead of diffing the whole sub-tree.
+ */
+export function markBlocks (root: ?ASTElement, options: CompilerOptions) {
+  if (!root) return
+  isPlatformReservedTag = options.isReservedTag || no
+  markBlockRoots(root)
+}
+
 function genStaticKeys (keys: string): Function {
   return makeMap(
     'type,tag,attrsList,attrsMap,plain,parent,children,attrs,start,end,rawAttrsMap' +
@@ -126,3 +141,109 @@ function isDirectChildOfTemplateFor (node: ASTElement): boolean {
   }
   return false
 }
+
+function markBlockRoots (node: ASTNode) {
+  if (node.type !== 1) {
+    return
+  }
+  if (isBlockRoot(node)) {
+    node.block = true
+    markDynamicNodes(node.children)
+    return
+  }
+  for (let i = 0, l = node.children.length; i < l; i++) {
+    markBlockRoots(node.children[i])
+  }
+  if (node.ifConditions) {
+    for (let i = 1, l = node.ifConditions.length; i < l; i++) {
+      markBlockRoots(node.ifConditions[i].block)
+    }
+  }
+}
+
+function isBlockRoot (node: ASTElement): boolean {
+  return !node.static &&
+    !node.once &&
+    !node.component &&
+    node.tag !== 'template' &&
+    !isBuiltInTag(node.tag) &&
+    !!isPlatformReservedTag(node.tag) &&
+    node.children.length > 0 &&
+    node.children.every(isStableNode)
+}
+
+// whether the node always renders the same vnode structure
+function isStableNode (node: ASTNode): boolean {
+  if (node.type !== 1) {
+    return true
+  }
+  return !!(node.static || (
+    !node.if && !node.for && !node.once &&
+    !node.component &&
+    node.tag !== 'template' &&
+    !isBuiltInTag(node.tag) &&
+    isPlatformReservedTag(node.tag) &&
+    // a bound key or input type may change the element
+    (node.key === undefined || node.attrsMap.key !== undefined) &&
+    !hasBoundInputType(node) &&
+    node.children.every(isStableNode)
+  ))
+}
+
+function hasBoundInputType (node: ASTElement): boolean {
+  return node.tag === 'input' &&
+    node.attrsMap.type === undefined &&
+    !!(node.hasBindings && (
+      node.dynamicAttrs ||
+      node.attrsMap['v-bind'] !== undefined ||
+      (node.attrs && node.attrs.some(attr => attr.name === 'type'))
+    ))
+}
+
+function markDynamicNodes (children: Array<ASTNode>) {
+  for (let i = 0, l = children.length; i < l; i++) {
+    const node = children[i]
+    if (node.type === 2) {
+      node.patchFlag = PatchFlags.TEXT
+    } else if (node.type === 1 && !node.static) {
+      const patchFlag = getPatchFlag(node)
+      if (patchFlag) {
+        node.patchFlag = patchFlag
+        if (patchFlag !== PatchFlags.FULL && patchFlag & PatchFlags.ATTRS) {
+          node.dynamicProps = getDynamicProps(node)
+        }
+      }
+      markDynamicNodes(node.children)
+    }
+  }
+}
+
+function getPatchFlag (el: ASTElement): number {
+  // directives (including v-model, v-html, v-bind="object"...) add bindings
+  // at codegen time
+  if (el.directives) {
+    return PatchFlags.FULL
+  }
+  let patchFlag = 0
+  if (el.classBinding) patchFlag |= PatchFlags.CLASS
+  if (el.styleBinding) patchFlag |= PatchFlags.STYLE
+  if (el.dynamicAttrs || (el.attrs && el.attrs.some(isBoundAttr(el)))) {
+    patchFlag |= PatchFlags.ATTRS
+  }
+  if (el.props) patchFlag |= PatchFlags.PROPS
+  if (el.events || el.nativeEvents) patchFlag |= PatchFlags.EVENTS
+  if (el.ref) patchFlag |= PatchFlags.NEED_PATCH
+  return patchFlag
+}
+
+// static attributes keep their raw name in attrsMap
+function isBoundAttr (el: ASTElement): (attr: ASTAttr) => boolean {
+  return attr => el.attrsMap[attr.name] === undefined
+}
+
+function getDynamicProps (el: ASTElement): Array<string> | void {
+  if (el.dynamicAttrs) {
+    return
+  }
+  return (el.attrs || []).filter(isBoundAttr(el)).map(attr => attr.name)
+}
@@ -73,6 +73,19 @@ export function createASTElement (
   }
 }
 
+/**
+ * Wrap the root element of a template with multiple root elements into a
+ * <template> root, which is generated as an array of vnodes and rendered
+ * as a fragment.
+ */
+function createFragmentRoot (el: ASTElement): ASTElement {
+  const root = createASTElement('template', [], undefined)
+  root.fragment = true
+  root.children.push(el)
+  el.parent = root
+  return root
+}
+
 /**
  * Convert HTML string to AST.
  */
@@ -119,20 +132,21 @@ export function parse (
     if (!stack.length && element !== root) {
       // allow root elements with v-if, v-else-if and v-else
       if (root.if && (element.elseif || element.else)) {
-        if (process.env.NODE_ENV !== 'production') {
-          checkRootConstraints(element)
-        }
         addIfCondition(root, {
           exp: element.elseif,
           block: element
         })
-      } else if (process.env.NODE_ENV !== 'production') {
-        warnOnce(
-          `Component template should contain exactly one root element. ` +
-          `If you are using v-if on multiple elements, ` +
-          `use v-else-if to chain them instead.`,
-          { start: element.start }
-        )
+      } else {
+        // multiple root elements are rendered as a fragment
+        if (!root.fragment) {
+          root = createFragmentRoot(root)
+        }
+        if (element.elseif || element.else) {
+          processIfConditions(element, root)
+        } else {
+          root.children.push(element)
+          element.parent = root
+        }
       }
     }
     if (currentParent && !element.forbidden) {
@@ -184,23 +198,6 @@ export function parse (
     }
   }
 
-  function checkRootConstraints (el) {
-    if (el.tag === 'slot' || el.tag === 'template') {
-      warnOnce(
-        `Cannot use <${el.tag}> as component root element because it may ` +
-        'contain multiple nodes.',
-        { start: el.start }
-      )
-    }
-    if (el.attrsMap.hasOwnProperty('v-for')) {
-      warnOnce(
-        'Cannot use v-for on stateful component root element because ' +
-        'it renders multiple elements.',
-        el.rawAttrsMap['v-for']
-      )
-    }
-  }
-
   parseHTML(template, {
     warn,
     expectHTML: options.expectHTML,
@@ -284,9 +281,6 @@ export function parse (
 
       if (!root) {
         root = element
-        if (process.env.NODE_ENV !== 'production') {
-          checkRootConstraints(root)
-        }
       }
 
       if (!unary) {
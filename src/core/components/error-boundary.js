@@ -0,0 +1,57 @@
+/* @flow */
+
+// <error-boundary> renders its #default slot until an error is captured
+// from its content (render functions, lifecycle hooks, watchers, event
+// handlers...), then renders its #fallback slot with `{ error, reset }`
+// instead. Captured errors do not propagate any further, they are emitted
+// as an `error` event. `reset()` renders the default slot again.
+export default {
+  name: 'error-boundary',
+  abstract: true,
+
+  emits: ['error'],
+
+  created () {
+    this._errorBoundary = {
+      error: null
+    }
+  },
+
+  errorCaptured (err: Error, vm: Component, info: string) {
+    const state: any = this._errorBoundary
+    if (!state.error) {
+      state.error = err
+      this.$forceUpdate()
+    }
+    this.$emit('error', err, vm, info)
+    return false
+  },
+
+  methods: {
+    reset () {
+      this._errorBoundary.error = null
+      this.$forceUpdate()
+    }
+  },
+
+  render () {
+    const state = this._errorBoundary
+    const slots = this.$scopedSlots
+    if (!state.error && slots.default) {
+      try {
+        return slots.default()
+      } catch (e) {
+        // scoped slot content is rendered by the boundary itself, so its
+        // errors are not passed to errorCaptured
+        state.error = e
+        this.$emit('error', e, this, 'render')
+      }
+    }
+    if (state.error && slots.fallback) {
+      return slots.fallback({
+        error: state.error,
+        reset: this.reset
+      })
+    }
+  }
+}
@@ -3,8 +3,6 @@
 import { isRegExp, remove } from 'shared/util'
 import { getFirstComponentChild } from 'core/vdom/helpers/index'
 
-type VNodeCache = { [key: string]: ?VNode };
-
 function getComponentName (opts: ?VNodeComponentOptions): ?string {
   return opts && (opts.Ctor.options.name || opts.tag)
 }
@@ -22,30 +20,60 @@ function matches (pattern: string | RegExp | Array<string>, name: string): boole
 }
 
 function pruneCache (keepAliveInstance: any, filter: Function) {
-  const { cache, keys, _vnode } = keepAliveInstance
+  const { cache, _vnode } = keepAliveInstance
   for (const key in cache) {
     const cachedNode: ?VNode = cache[key]
     if (cachedNode) {
       const name: ?string = getComponentName(cachedNode.componentOptions)
       if (name && !filter(name)) {
-        pruneCacheEntry(cache, key, keys, _vnode)
+        pruneCacheEntry(keepAliveInstance, key, _vnode)
       }
     }
   }
 }
 
 function pruneCacheEntry (
-  cache: VNodeCache,
+  keepAliveInstance: any,
   key: string,
-  keys: Array<string>,
   current?: VNode
 ) {
-  const cached = cache[key]
-  if (cached && (!current || cached.tag !== current.tag)) {
-    cached.componentInstance.$destroy()
+  const { cache, cachedKeys, timers } = keepAliveInstance
+  const cached: ?VNode = cache[key]
+  if (cached) {
+    // the same component may be cached under several keys, so compare
+    // instances rather than tags
+    if (!current || cached.componentInstance !== current.componentInstance) {
+      cached.componentInstance.$destroy()
+    } else if (current.data) {
+      // the active instance is destroyed when switched out instead of
+      // being deactivated
+      current.data.keepAlive = false
+    }
+  }
+  if (timers[key]) {
+    clearTimeout(timers[key])
+    delete timers[key]
   }
   cache[key] = null
-  remove(keys, key)
+  remove(cachedKeys, key)
+}
+
+function setActiveKey (keepAliveInstance: any, key: ?string) {
+  const { activeKey, timers } = keepAliveInstance
+  if (key === activeKey) return
+  if (key && timers[key]) {
+    clearTimeout(timers[key])
+    delete timers[key]
+  }
+  // the entry switched out expires after being inactive for `ttl` ms
+  const ttl = parseInt(keepAliveInstance.ttl)
+  if (activeKey && ttl >= 0 && keepAliveInstance.cache[activeKey]) {
+    timers[activeKey] = setTimeout(() => {
+      delete timers[activeKey]
+      pruneCacheEntry(keepAliveInstance, activeKey, keepAliveInstance._vnode)
+    }, ttl)
+  }
+  keepAliveInstance.activeKey = key
 }
 
 const patternTypes: Array<Function> = [String, RegExp, Array]
@@ -57,17 +85,41 @@ export default {
   props: {
     include: patternTypes,
     exclude: patternTypes,
-    max: [String, Number]
+    max: [String, Number],
+    ttl: [String, Number],
+    cacheKey: Function
   },
 
   created () {
     this.cache = Object.create(null)
-    this.keys = []
+    this.cachedKeys = []
+    this.timers = Object.create(null)
+    this.activeKey = null
   },
 
   destroyed () {
     for (const key in this.cache) {
-      pruneCacheEntry(this.cache, key, this.keys)
+      pruneCacheEntry(this, key)
+    }
+  },
+
+  methods: {
+    // remove a cached instance, e.g. to purge views holding user data
+    evict (key: string) {
+      if (this.cache[key]) {
+        pruneCacheEntry(this, key, this._vnode)
+      }
+    },
+
+    clear () {
+      for (const key in this.cache) {
+        pruneCacheEntry(this, key, this._vnode)
+      }
+    },
+
+    // cached keys, from the least to the most recently used
+    keys (): Array<string> {
+      return this.cachedKeys.slice()
     }
   },
 
@@ -94,15 +146,25 @@ export default {
         // excluded
         (exclude && name && matches(exclude, name))
       ) {
+        setActiveKey(this, null)
         return vnode
       }
 
-      const { cache, keys } = this
-      const key: ?string = vnode.key == null
-        // same constructor may get registered as different local components
-        // so cid alone is not enough (#3269)
-        ? componentOptions.Ctor.cid + (componentOptions.tag ? `::${componentOptions.tag}` : '')
-        : vnode.key
+      const { cache, cachedKeys: keys } = this
+      const customKey = this.cacheKey && this.cacheKey(vnode)
+      const key: ?string = customKey != null
+        ? String(customKey)
+        : vnode.key == null
+          // same constructor may get registered as different local components
+          // so cid alone is not enough (#3269)
+          ? componentOptions.Ctor.cid + (componentOptions.tag ? `::${componentOptions.tag}` : '')
+          : vnode.key
+      if (customKey != null) {
+        // instances cached under different keys must not be patched
+        // into each other
+        vnode.key = key
+      }
+      setActiveKey(this, key)
       if (cache[key]) {
         vnode.componentInstance = cache[key].componentInstance
         // make current key freshest
@@ -113,11 +175,13 @@ export default {
         keys.push(key)
         // prune oldest entry
         if (this.max && keys.length > parseInt(this.max)) {
-          pruneCacheEntry(cache, keys[0], keys, this._vnode)
+          pruneCacheEntry(this, keys[0], this._vnode)
         }
       }
 
       vnode.data.keepAlive = true
+    } else {
+      setActiveKey(this, null)
     }
     return vnode || (slot && slot[0])
   }
@@ -0,0 +1,102 @@
+/* @flow */
+
+import { createEmptyVNode, createFragmentVNode } from 'core/vdom/vnode'
+import { once, nextTick } from 'core/util/index'
+
+// <suspense> renders its #default slot and, when components in it are still
+// waiting for async dependencies once it is mounted (pending async
+// components, a promise returned from setup() or from a lifecycle hook),
+// shows the #fallback slot instead until all of them are settled.
+// Meanwhile the default content stays mounted in a detached container, so
+// it keeps its state and only its DOM is moved into place when resolved.
+// A boundary resolves once: dependencies registered afterwards are not
+// waited for.
+export default {
+  name: 'suspense',
+  abstract: true,
+
+  emits: ['pending', 'fallback', 'resolve'],
+
+  created () {
+    this._suspense = {
+      pending: true,
+      deps: 0,
+      fallback: false
+    }
+  },
+
+  mounted () {
+    const state = this._suspense
+    if (state.deps > 0) {
+      state.fallback = true
+      this.$emit('pending')
+      this.$forceUpdate()
+      this.$nextTick(() => this.$emit('fallback'))
+    } else {
+      // the content was rendered in place
+      state.pending = false
+      this.$emit('resolve')
+    }
+  },
+
+  render () {
+    const state = this._suspense
+    const slots = this.$scopedSlots
+    // the default content is rendered through a teleport, which moves it
+    // between the detached container and its place without re-creating it
+    const content = createEmptyVNode('suspense')
+    content.data = {
+      teleport: {
+        to: undefined,
+        disabled: !state.fallback,
+        offscreen: state.fallback
+      }
+    }
+    content.children = (slots.default && slots.default()) || []
+    const children = [content]
+    if (state.fallback && slots.fallback) {
+      children.push.apply(children, slots.fallback())
+    }
+    return createFragmentVNode(children)
+  }
+}
+
+/**
+ * Register an async dependency of an instance on its closest <suspense>,
+ * if that boundary has not resolved yet. Returns the callback to invoke
+ * once the dependency is settled.
+ * 向最近的未解析的suspense注册异步依赖，返回依赖完成时需要调用的方法
+ * @param {object} vm 依赖所属的vue实例
+ */
+export function registerAsyncDep (vm: ?Component): ?Function {
+  // $options.parent also includes abstract parents
+  // 通过$options.parent查找，以包含抽象组件
+  let boundary = vm
+  while (boundary && !boundary._suspense) {
+    boundary = boundary.$options.parent
+  }
+  const state = boundary && boundary._suspense
+  if (!boundary || !state || !state.pending) return
+  const suspense: Component = boundary
+  state.deps++
+  return once(() => {
+    if (--state.deps === 0) {
+      // the settled dependencies re-render first, which may register
+      // new ones
+      // 等待依赖的组件更新后再检查，更新时可能注册新的依赖
+      nextTick(() => {
+        if (
+          state.deps === 0 &&
+          state.pending &&
+          suspense._isMounted &&
+          !suspense._isDestroyed
+        ) {
+          state.pending = false
+          state.fallback = false
+          suspense.$forceUpdate()
+          suspense.$nextTick(() => suspense.$emit('resolve'))
+        }
+      })
+    }
+  })
+}
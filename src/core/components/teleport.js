@@ -0,0 +1,32 @@
+/* @flow */
+
+import { createEmptyVNode } from 'core/vdom/vnode'
+
+// <teleport to="#selector"> renders its default slot into a target
+// container elsewhere in the document. The slot content still belongs to
+// the component tree it is declared in (its context, $parent chain,
+// provide/inject and listeners are unchanged), only its DOM is moved.
+// The component renders a placeholder vnode carrying the target, which is
+// mounted, moved and removed by patch().
+export default {
+  name: 'teleport',
+  abstract: true,
+
+  props: {
+    // selector string or element
+    to: null,
+    disabled: Boolean
+  },
+
+  render () {
+    const vnode = createEmptyVNode('teleport')
+    vnode.data = {
+      teleport: {
+        to: this.to,
+        disabled: this.disabled
+      }
+    }
+    vnode.children = this.$slots.default || []
+    return vnode
+  }
+}
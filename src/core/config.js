@@ -17,8 +17,11 @@ export type Config = {
   devtools: boolean;
   errorHandler: ?(err: Error, vm: Component, info: string) => void;
   warnHandler: ?(msg: string, vm: Component, trace: string) => void;
+  hydrationMismatchHandler: ?(mismatch: Object) => void;
   ignoredElements: Array<string | RegExp>;
   keyCodes: { [key: string]: number | Array<number> };
+  reactivity: 'defineProperty' | 'proxy';
+  flushTimeBudget: number;
 
   // platform
   isReservedTag: (x?: string) => boolean;
@@ -77,6 +80,13 @@ export default ({
    */
   warnHandler: null,
 
+  /**
+   * Handler for the differences found between the server-rendered DOM and
+   * the virtual DOM while hydrating, instead of warnings
+   * 注水时服务端渲染内容不一致的处理
+   */
+  hydrationMismatchHandler: null,
+
   /**
    * Ignore certain custom elements
    * 忽略某些自定义元素
@@ -90,6 +100,22 @@ export default ({
   // $flow-disable-line
   keyCodes: Object.create(null),
 
+  /**
+   * How objects and arrays are made reactive. 'proxy' wraps them in an
+   * ES2015 Proxy so that added keys and index assignments are tracked,
+   * and falls back to 'defineProperty' where Proxy is not supported.
+   * 响应式实现方式，proxy模式下新增属性和数组下标赋值也能被追踪
+   */
+  reactivity: 'defineProperty',
+
+  /**
+   * Milliseconds a scheduler flush may run before yielding to the
+   * browser. The remaining watchers run in a later task, so nextTick
+   * callbacks may see a partially updated DOM. Disabled by default.
+   * 刷新队列的时间预算，超出后让出主线程，默认不限制
+   */
+  flushTimeBudget: Infinity,
+
   /**
    * Check if a tag is reserved so that it cannot be registered as a
    * component. This is platform-dependent and may be overwritten.
@@ -0,0 +1,127 @@
+/* @flow */
+
+import config from '../config'
+import { ASSET_TYPES } from 'shared/constants'
+import { warn, extend, toArray } from '../util/index'
+
+/**
+ * 初始化createApp方法
+ * @param {Vue} Vue Vue构造器
+ */
+export function initCreateApp (Vue: GlobalAPI) {
+  /**
+   * Create an application instance. Plugins, mixins, assets and config
+   * registered on the app only apply to the components rendered in it:
+   * they are registered on a base constructor derived from Vue for this
+   * app, which is used to extend plain-object components.
+   * 创建应用实例，应用上注册的插件、混入、资源和配置不会影响全局的Vue
+   * @param {object} rootOptions 根组件配置
+   */
+  Vue.createApp = function (rootOptions?: Object): Object {
+    const provides = Object.create(null)
+    const installedPlugins = []
+    let instance = null
+
+    // unset values fall back to the global Vue.config, the nested
+    // objects inherit from (or copy) the global ones so that writing to
+    // them doesn't change it
+    // 未设置的配置使用全局的Vue.config，嵌套的对象需要继承或复制
+    const appConfig: Object = Object.create(config)
+    appConfig.optionMergeStrategies = Object.create(config.optionMergeStrategies)
+    appConfig.keyCodes = Object.create(config.keyCodes)
+    appConfig.ignoredElements = config.ignoredElements.slice()
+
+    const app: Object = {
+      config: appConfig,
+
+      use (plugin: Function | Object) {
+        if (installedPlugins.indexOf(plugin) > -1) {
+          return app
+        }
+        // plugins are installed on the base constructor of the app, as
+        // they would be on Vue, the app itself is passed last
+        // 插件安装在应用的基础构造器上，应用作为最后一个参数传入
+        const args = toArray(arguments, 1)
+        args.unshift(Base)
+        args.push(app)
+        if (typeof plugin.install === 'function') {
+          plugin.install.apply(plugin, args)
+        } else if (typeof plugin === 'function') {
+          plugin.apply(null, args)
+        }
+        installedPlugins.push(plugin)
+        return app
+      },
+
+      mixin (mixin: Object) {
+        Base.mixin(mixin)
+        return app
+      },
+
+      provide (key: any, value: any) {
+        if (process.env.NODE_ENV !== 'production' && key in provides) {
+          warn(`App already provides property with key "${String(key)}". It will be overwritten with the new value.`)
+        }
+        provides[key] = value
+        return app
+      },
+
+      mount (el?: string | Element, hydrating?: boolean): ?Component {
+        if (instance) {
+          process.env.NODE_ENV !== 'production' && warn(
+            `App has already been mounted. Create a new app instance ` +
+            `with Vue.createApp() to mount another root component.`
+          )
+          return
+        }
+        // app level provides are provided by the root instance,
+        // overridden by its own provide option
+        // 应用级别的provide由根实例提供
+        const options = extend({}, rootOptions)
+        options.mixins = [{ provide: () => extend({}, provides) }].concat(options.mixins || [])
+        instance = new Base(options)
+        return instance.$mount(el, hydrating)
+      },
+
+      unmount () {
+        if (instance) {
+          instance.$destroy()
+          instance = null
+        }
+      }
+    }
+
+    // the base constructor of this app, `_base` is the constructor used
+    // to extend plain-object components
+    // 应用的基础构造器
+    const Base: any = Vue.extend({ _app: app })
+    Base.options._base = Base
+    Base.config = appConfig
+    // the app config exposes the app prototype like Vue.prototype
+    appConfig.globalProperties = Base.prototype
+
+    ASSET_TYPES.forEach(type => {
+      const register = Base[type]
+      Base[type] = function (id: string, definition?: Function | Object) {
+        if (!definition) {
+          return register.call(Base, id)
+        }
+        // also keep the asset in the extend options, so that it survives
+        // re-resolving the options after a global mixin
+        // 同时存储在继承配置中，全局混入后重新合并配置时不会丢失
+        const extendOptions = Base.extendOptions
+        const assets = extendOptions[type + 's'] || (extendOptions[type + 's'] = {})
+        return (assets[id] = register.call(Base, id, definition))
+      }
+      app[type] = function (id: string, definition?: Function | Object) {
+        if (!definition) {
+          return Base[type](id)
+        }
+        Base[type](id, definition)
+        return app
+      }
+    })
+
+    return app
+  }
+}
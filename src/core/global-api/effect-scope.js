@@ -0,0 +1,117 @@
+/* @flow */
+
+import Watcher from '../observer/watcher'
+import Dep from '../observer/dep'
+import {
+  EffectScope,
+  getCurrentScope,
+  onScopeDispose
+} from '../observer/effect-scope'
+import { warn, noop, extend, handleError } from '../util/index'
+
+/**
+ * 初始化作用域相关方法
+ * @param {Vue} Vue Vue构造器
+ */
+export function initEffectScope (Vue: GlobalAPI) {
+  /**
+   * 创建作用域
+   * @param {boolean} detached 是否脱离当前作用域
+   */
+  Vue.effectScope = function (detached?: boolean): EffectScope {
+    return new EffectScope(detached)
+  }
+
+  Vue.getCurrentScope = getCurrentScope
+
+  Vue.onScopeDispose = onScopeDispose
+
+  /**
+   * Create a cached computed value outside of a component.
+   * The returned object exposes the value through `.value`.
+   * 在组件外创建计算属性
+   * @param {Function | object} getterOrOptions getter或者包含get/set的对象
+   * @param {object} debugOptions onTrack/onTrigger调试钩子
+   */
+  Vue.computed = function (
+    getterOrOptions: Function | Object,
+    debugOptions?: Object
+  ): Object {
+    const getter = typeof getterOrOptions === 'function'
+      ? getterOrOptions
+      : getterOrOptions.get
+    const setter = typeof getterOrOptions === 'function'
+      ? null
+      : getterOrOptions.set
+    // 创建懒watcher用于缓存
+    const watcher = new Watcher(null, getter || noop, noop, extend({ lazy: true }, debugOptions))
+    return {
+      __v_isRef: true,
+      get value () {
+        // 脏了则重新计算
+        if (watcher.dirty) {
+          watcher.evaluate()
+        }
+        // 让读取者也关联计算属性的依赖
+        if (Dep.target) {
+          watcher.depend()
+        }
+        return watcher.value
+      },
+      set value (val) {
+        if (setter) {
+          setter(val)
+        } else if (process.env.NODE_ENV !== 'production') {
+          warn('Computed value was assigned to but it has no setter.')
+        }
+      }
+    }
+  }
+
+  /**
+   * Watch a getter outside of a component. Returns a function
+   * that stops the watcher.
+   * 在组件外创建watcher
+   * @param {Function | Array<Function>} source 观察的方法，数组则观察多个
+   * @param {Function} cb 回调
+   * @param {object} options watcher配置
+   */
+  Vue.watch = function (
+    source: Function | Array<Function>,
+    cb: Function,
+    options?: Object
+  ): Function {
+    if (!isValidWatchSource(source)) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `Invalid watch source: "${String(source)}". ` +
+        'Watchers created outside of a component only accept functions ' +
+        'or arrays of functions.'
+      )
+      return noop
+    }
+    options = extend({}, options)
+    options.user = true
+    const watcher = new Watcher(null, (source: any), cb, options)
+    if (options.immediate) {
+      try {
+        const oldValue = watcher.multi ? [] : undefined
+        cb(watcher.value, oldValue, fn => { watcher.cleanup = fn })
+      } catch (error) {
+        handleError(error, null, `callback for immediate watcher "${watcher.expression}"`)
+      }
+    }
+    return function unwatchFn () {
+      watcher.teardown()
+    }
+  }
+}
+
+/**
+ * 组件外只能观察方法或者方法数组
+ */
+function isValidWatchSource (source: any): boolean {
+  return typeof source === 'function' || (
+    Array.isArray(source) &&
+    source.every(s => typeof s === 'function')
+  )
+}
@@ -5,10 +5,21 @@ import { initUse } from './use'
 import { initMixin } from './mixin'
 import { initExtend } from './extend'
 import { initAssetRegisters } from './assets'
+import { initEffectScope } from './effect-scope'
+import { initLifecycleAPI } from './lifecycle'
+import { initCreateApp } from './app'
+import { initCreateRenderer } from './renderer'
 import { set, del } from '../observer/index'
 import { ASSET_TYPES } from 'shared/constants'
 import builtInComponents from '../components/index'
-import { observe } from 'core/observer/index'
+import {
+  observe,
+  markRaw,
+  toReactive,
+  shallowObservable
+} from 'core/observer/index'
+import { readonly } from 'core/observer/readonly'
+import { StateHistory } from 'core/observer/history'
 
 import {
   warn,
@@ -56,8 +67,15 @@ export function initGlobalAPI (Vue: GlobalAPI) {
   // observable方法
   Vue.observable = <T>(obj: T): T => {
     observe(obj)
-    return obj
+    // proxy模式下返回代理对象
+    return toReactive(obj)
   }
+  // 只读、浅观察以及跳过观察
+  Vue.readonly = <T>(obj: T): T => readonly(obj)
+  Vue.shallowObservable = shallowObservable
+  Vue.markRaw = markRaw
+  // 记录对象的修改，支持快照和撤销/重做
+  Vue.createHistory = (obj: Object): StateHistory => new StateHistory(obj)
   // vue配置
   Vue.options = Object.create(null)
   // 挂载资源类型
@@ -78,4 +96,12 @@ export function initGlobalAPI (Vue: GlobalAPI) {
   initExtend(Vue)
   // 初始化资源注册
   initAssetRegisters(Vue)
+  // 初始化作用域api
+  initEffectScope(Vue)
+  // 初始化setup相关的生命周期方法
+  initLifecycleAPI(Vue)
+  // 初始化应用实例api
+  initCreateApp(Vue)
+  // 初始化自定义渲染器api
+  initCreateRenderer(Vue)
 }
@@ -0,0 +1,41 @@
+/* @flow */
+
+import { currentInstance } from '../instance/lifecycle'
+import {
+  onBeforeMount,
+  onMounted,
+  onBeforeUpdate,
+  onUpdated,
+  onBeforeUnmount,
+  onUnmounted,
+  onActivated,
+  onDeactivated,
+  onServerPrefetch,
+  onRenderTracked,
+  onRenderTriggered,
+  onErrorCaptured
+} from '../instance/setup'
+
+/**
+ * 初始化setup中使用的生命周期注册方法
+ * @param {Vue} Vue Vue构造器
+ */
+export function initLifecycleAPI (Vue: GlobalAPI) {
+  /**
+   * 获取当前正在执行setup或者生命周期钩子的实例
+   */
+  Vue.getCurrentInstance = (): ?Component => currentInstance
+
+  Vue.onBeforeMount = onBeforeMount
+  Vue.onMounted = onMounted
+  Vue.onBeforeUpdate = onBeforeUpdate
+  Vue.onUpdated = onUpdated
+  Vue.onBeforeUnmount = onBeforeUnmount
+  Vue.onUnmounted = onUnmounted
+  Vue.onActivated = onActivated
+  Vue.onDeactivated = onDeactivated
+  Vue.onServerPrefetch = onServerPrefetch
+  Vue.onRenderTracked = onRenderTracked
+  Vue.onRenderTriggered = onRenderTriggered
+  Vue.onErrorCaptured = onErrorCaptured
+}
@@ -0,0 +1,110 @@
+/* @flow */
+
+import config from '../config'
+import { createPatchFunction } from '../vdom/patch'
+import baseModules from '../vdom/modules/index'
+import { mountComponent } from '../instance/lifecycle'
+import { flushSchedulerQueueSync } from '../observer/scheduler'
+import { warn, extend, isDef, isUndef, no, noop, identity } from '../util/index'
+
+// platform hooks of the runtime config, with the defaults of a platform
+// without reserved tags
+const platformConfigDefaults = {
+  isReservedTag: no,
+  isReservedAttr: no,
+  isUnknownElement: no,
+  getTagNamespace: noop,
+  parsePlatformTagName: identity,
+  mustUseProp: no
+}
+
+/**
+ * 初始化createRenderer方法
+ * @param {Vue} Vue Vue构造器
+ */
+export function initCreateRenderer (Vue: GlobalAPI) {
+  /**
+   * Create a renderer for a custom (non-DOM) platform.
+   * 创建自定义平台的渲染器
+   *
+   * - nodeOps: the node operations of the platform, with the same interface
+   *   as web/runtime/node-ops (createElement, createTextNode, createComment,
+   *   insertBefore, removeChild, appendChild, parentNode, nextSibling,
+   *   tagName, setTextContent...)
+   * - modules: patch modules handling vnode data (create/update/destroy
+   *   hooks), the ref and directives modules are always included
+   * - isReservedTag, mustUseProp, getTagNamespace, isUnknownElement,
+   *   isReservedAttr, parsePlatformTagName: the platform hooks of the
+   *   runtime config
+   * - directives, components: platform directives and components
+   * - compile: compiles the templates of the components to render
+   *   functions (e.g. Vue.compile), components should otherwise provide
+   *   render functions
+   *
+   * Returns `{ config, mount, flush }`. `mount(options, container)` creates
+   * a root instance with the given component options and renders it into
+   * the container, a node of the platform. Components rendered by the
+   * renderer use `renderer.config`, which falls back to the global
+   * Vue.config. `flush()` applies the pending updates synchronously.
+   */
+  Vue.createRenderer = function (options: Object): Object {
+    const { nodeOps, modules, directives, components, compile } = options
+    if (process.env.NODE_ENV !== 'production' && !nodeOps) {
+      warn('Vue.createRenderer() requires the nodeOps of the platform.')
+    }
+
+    const rendererConfig = Object.create(config)
+    for (const key in platformConfigDefaults) {
+      rendererConfig[key] = options[key] || platformConfigDefaults[key]
+    }
+
+    // the directive module should be applied last, after all
+    // built-in modules have been applied.
+    const patch = createPatchFunction({
+      nodeOps,
+      modules: (modules || []).concat(baseModules)
+    })
+
+    const renderer: Object = {
+      config: rendererConfig,
+
+      mount (rootOptions: Object, container: any): Component {
+        const vm = new Base(rootOptions)
+        vm._container = container
+        return vm.$mount()
+      },
+
+      flush () {
+        flushSchedulerQueueSync()
+      }
+    }
+
+    // components rendered by the renderer read their config from it,
+    // like the components of an app
+    // 渲染器的组件使用渲染器的配置
+    const Base: any = Vue.extend({ _app: renderer })
+    Base.options._base = Base
+    if (directives) extend(Base.options.directives, directives)
+    if (components) extend(Base.options.components, components)
+
+    // instances use the patch function of their root, the root instance
+    // being rendered into its container
+    Base.prototype.__patch__ = function (oldVnode, vnode, hydrating, removeOnly) {
+      const container = isUndef(oldVnode) && isDef(vnode) && isUndef(vnode.parent)
+        ? this._container
+        : undefined
+      return patch(oldVnode, vnode, hydrating, removeOnly, container)
+    }
+    Base.prototype.$mount = function (): Component {
+      const options = this.$options
+      if (!options.render && typeof options.template === 'string' && compile) {
+        const { render, staticRenderFns } = compile(options.template)
+        options.render = render
+        options.staticRenderFns = staticRenderFns
+      }
+      return mountComponent(this)
+    }
+
+    return renderer
+  }
+}
@@ -2,8 +2,12 @@
 
 import {
   tip,
+  warn,
+  hasOwn,
   toArray,
+  camelize,
   hyphenate,
+  emptyObject,
   formatComponentName,
   invokeWithErrorHandling
 } from '../util/index'
@@ -220,9 +224,27 @@ export function eventsMixin (Vue: Class<Component>) {
           `${formatComponentName(vm)} but the handler is registered for "${event}". ` +
           `Note that HTML attributes are case-insensitive and you cannot use ` +
           `v-on to listen to camelCase events when using in-DOM templates. ` +
-          `You should probably use "${hyphenate(event)}" instead of "${event}".`
+          `You should probably use "${hyphenate(event)}" instead of "${event}".`,
+          vm
         )
       }
+      // 校验声明的事件，hook事件为内部事件不校验
+      const emits = vm.$options.emits
+      if (emits && event.indexOf('hook:') !== 0) {
+        const key = resolveEmitsKey(emits, event)
+        if (key == null) {
+          warn(
+            `Component emitted event "${event}" but it is not declared ` +
+            `in the emits option.`,
+            vm
+          )
+        } else {
+          const validator = emits[key]
+          if (typeof validator === 'function' && !validator.apply(vm, toArray(arguments, 1))) {
+            warn(`Invalid event arguments: event validation failed for event "${event}".`, vm)
+          }
+        }
+      }
     }
     // 获取当前事件名称的所有事件回调
     let cbs = vm._events[event]
@@ -244,3 +266,40 @@ export function eventsMixin (Vue: Class<Component>) {
     return vm
   }
 }
+
+/**
+ * Find the key of an event in the normalized `emits` option, allowing
+ * camelCase and kebab-case variants of the same name.
+ * 获取事件在emits中声明的名称，不存在则返回undefined
+ * @param {object} emits 规范化后的emits
+ * @param {string} event 事件名称
+ */
+function resolveEmitsKey (emits: Object, event: string): ?string {
+  if (hasOwn(emits, event)) return event
+  const hyphenated = hyphenate(event)
+  if (hasOwn(emits, hyphenated)) return hyphenated
+  const camelized = camelize(event)
+  if (hasOwn(emits, camelized)) return camelized
+}
+
+/**
+ * Listeners of events declared in the `emits` option are handled by
+ * the component itself, so they are left out of `$listeners` and don't
+ * fall through to elements bound with v-on="$listeners".
+ * 获取$listeners，去除emits中声明的事件
+ * @param {object} vm vue实例
+ * @param {object} listeners 父组件中的事件监听
+ */
+export function resolveFallthroughListeners (vm: Component, listeners: ?Object): Object {
+  const emits = vm.$options.emits
+  if (!listeners) return emptyObject
+  if (!emits) return listeners
+  const res = {}
+  for (const name in listeners) {
+    // 去除once、capture、passive等修饰符前缀
+    if (resolveEmitsKey(emits, name.replace(/^[~!&]+/, '')) == null) {
+      res[name] = listeners[name]
+    }
+  }
+  return res
+}
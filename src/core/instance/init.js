@@ -8,6 +8,7 @@ import { initEvents } from './events'
 import { mark, measure } from '../util/perf'
 import { initLifecycle, callHook } from './lifecycle'
 import { initProvide, initInjections } from './inject'
+import { EffectScope } from '../observer/effect-scope'
 import { extend, mergeOptions, formatComponentName } from '../util/index'
 // 存储uid
 let uid = 0
@@ -36,6 +37,9 @@ export function initMixin (Vue: Class<Component>) {
     // a flag to avoid this being observed
     // isVue用于判断是否为vue对象，并且避免被后期挂载getset观察到
     vm._isVue = true
+    // effect scope that owns all watchers of this instance
+    // 创建实例的作用域，收集实例的所有watcher，销毁时统一停止
+    vm._scope = new EffectScope(true /* detached */)
     // merge options
     // 判断是否存在options，并且是组件isComponent
     if (options && options._isComponent) {
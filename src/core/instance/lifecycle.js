@@ -4,15 +4,19 @@ import config from '../config'
 import Watcher from '../observer/watcher'
 import { mark, measure } from '../util/perf'
 import { createEmptyVNode } from '../vdom/vnode'
-import { updateComponentListeners } from './events'
+import { updateComponentListeners, resolveFallthroughListeners } from './events'
 import { resolveSlots } from './render-helpers/resolve-slots'
 import { toggleObserving } from '../observer/index'
+import { resolvePriority } from '../observer/scheduler'
 import { pushTarget, popTarget } from '../observer/dep'
+import { getCurrentScope } from '../observer/effect-scope'
+import { registerAsyncDep } from '../components/suspense'
 
 import {
   warn,
   noop,
   remove,
+  isPromise,
   emptyObject,
   validateProp,
   invokeWithErrorHandling
@@ -28,6 +32,27 @@ export function setActiveInstance(vm: Component) {
     activeInstance = prevActiveInstance
   }
 }
+
+/**
+ * The instance whose lifecycle hook is currently running.
+ * While set, its effect scope is the active one, so scopes and
+ * watchers created in e.g. `created` are owned by the instance.
+ * 当前正在调用钩子的实例
+ */
+export let currentInstance: Component | null = null
+
+export function setCurrentInstance (vm: Component) {
+  const prevInstance = currentInstance
+  // 记录之前激活的作用域，恢复时原样还原
+  const prevScope = getCurrentScope()
+  currentInstance = vm
+  // 激活当前实例的作用域
+  vm._scope.on()
+  return () => {
+    currentInstance = prevInstance
+    vm._scope.off(prevScope)
+  }
+}
 /**
  * 初始化生命周期
  * @param {any} vm vue实例
@@ -51,6 +76,8 @@ export function initLifecycle (vm: Component) {
   vm.$parent = parent
   // 设置根，判断是否存在父，存在父则用父的根
   vm.$root = parent ? parent.$root : vm
+  // 设置更新优先级
+  vm._priority = resolvePriority(vm, parent)
   // 设置子数组
   vm.$children = []
   vm.$refs = {}
@@ -89,16 +116,17 @@ export function lifecycleMixin (Vue: Class<Component>) {
     // 设置vnode
     vm._vnode = vnode
     // Vue.prototype.__patch__ is injected in entry points
-    // based on the rendering backend used.
+    // based on the rendering backend used. The patch function of the root
+    // is used, which may come from a custom renderer (Vue.createRenderer)
     // 如果上一次的vnode不存在，代表其为初始化
     if (!prevVnode) {
       // initial render
       // 初始化渲染并赋值给$el
-      vm.$el = vm.__patch__(vm.$el, vnode, hydrating, false /* removeOnly */)
+      vm.$el = vm.$root.__patch__(vm.$el, vnode, hydrating, false /* removeOnly */)
     } else {
       // updates
       // 更新渲染
-      vm.$el = vm.__patch__(prevVnode, vnode)
+      vm.$el = vm.$root.__patch__(prevVnode, vnode)
     }
     // 恢复上一次的vm实例
     restoreActiveInstance()
@@ -156,6 +184,8 @@ export function lifecycleMixin (Vue: Class<Component>) {
       remove(parent.$children, vm)
     }
     // teardown watchers
+    // 停止实例作用域，销毁作用域内的watcher和子作用域
+    vm._scope.stop()
     // 移除当前收集的依赖关系，并且将当前watcher移除
     if (vm._watcher) {
       vm._watcher.teardown()
@@ -179,7 +209,7 @@ export function lifecycleMixin (Vue: Class<Component>) {
     vm._isDestroyed = true
     // invoke destroy hooks on current rendered tree
     // 销毁vnode
-    vm.__patch__(vm._vnode, null)
+    vm.$root.__patch__(vm._vnode, null)
     // fire destroyed hook
     // 调用destoryed钩子
     callHook(vm, 'destroyed')
@@ -274,14 +304,25 @@ export function mountComponent (
   // since the watcher's initial patch may call $forceUpdate (e.g. inside child
   // component's mounted hook), which relies on vm._watcher being already defined
   // 创建watcher对象，传递updateComponent为getter，在创建vnode时进行依赖收集
-  new Watcher(vm, updateComponent, noop, {
+  const watcherOptions: Object = {
     before () {
       // 调用beforeUpdate钩子
       if (vm._isMounted && !vm._isDestroyed) {
         callHook(vm, 'beforeUpdate')
       }
     }
-  }, true /* isRenderWatcher */)
+  }
+  // 开发环境下将渲染watcher的调试钩子转发到renderTracked/renderTriggered，
+  // only for components defining them, as they run on every reactive read
+  if (process.env.NODE_ENV !== 'production') {
+    if (vm.$options.renderTracked) {
+      watcherOptions.onTrack = e => callHook(vm, 'renderTracked', [e])
+    }
+    if (vm.$options.renderTriggered) {
+      watcherOptions.onTrigger = e => callHook(vm, 'renderTriggered', [e])
+    }
+  }
+  new Watcher(vm, updateComponent, noop, watcherOptions, true /* isRenderWatcher */)
   hydrating = false
 
   // manually mounted instance, call mounted on self
@@ -366,7 +407,7 @@ export function updateChildComponent (
   // 设置父的attr属性
   vm.$attrs = parentVnode.data.attrs || emptyObject
   // 设置监听事件
-  vm.$listeners = listeners || emptyObject
+  vm.$listeners = resolveFallthroughListeners(vm, listeners)
 
   // update props
   // 存在propsData,存在options.props配置
@@ -475,18 +516,26 @@ export function deactivateChildComponent (vm: Component, direct?: boolean) {
   }
 }
 
-export function callHook (vm: Component, hook: string) {
+export function callHook (vm: Component, hook: string, args?: Array<any>) {
   // #7573 disable dep collection when invoking lifecycle hooks
   pushTarget()
+  // 记录当前实例，钩子内创建的作用域和watcher归属于当前实例
+  const resetCurrentInstance = setCurrentInstance(vm)
   const handlers = vm.$options[hook]
   const info = `${hook} hook`
   if (handlers) {
     for (let i = 0, j = handlers.length; i < j; i++) {
-      invokeWithErrorHandling(handlers[i], vm, null, vm, info)
+      const res: any = invokeWithErrorHandling(handlers[i], vm, args || null, vm, info)
+      // 返回promise的钩子是suspense的异步依赖
+      if (isPromise(res)) {
+        const done = registerAsyncDep(vm)
+        if (done) res.then(done, done)
+      }
     }
   }
   if (vm._hasHookEvent) {
     vm.$emit('hook:' + hook)
   }
+  resetCurrentInstance()
   popTarget()
 }
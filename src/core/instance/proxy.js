@@ -56,15 +56,16 @@ if (process.env.NODE_ENV !== 'production') {
     // 代理keycode
     config.keyCodes = new Proxy(config.keyCodes, {
       // 设置keycode
-      set (target, key, value) {
+      set (target, key, value, receiver) {
         // 设置为非内置时报错
         if (isBuiltInModifier(key)) {
           warn(`Avoid overwriting built-in modifier in config.keyCodes: .${key}`)
           return false
         } else {
+          // objects inheriting from config.keyCodes (the keyCodes of an
+          // app) receive the value themselves
           // 设置对应keycode
-          target[key] = value
-          return true
+          return Reflect.set(target, key, value, receiver)
         }
       }
     })
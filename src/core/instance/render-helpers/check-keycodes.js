@@ -1,7 +1,7 @@
 /* @flow */
 
-import config from 'core/config'
 import { hyphenate } from 'shared/util'
+import { getAppConfig } from 'core/util/debug'
 
 function isKeyNotMatch<T> (expect: T | Array<T>, actual: T): boolean {
   if (Array.isArray(expect)) {
@@ -12,7 +12,8 @@ function isKeyNotMatch<T> (expect: T | Array<T>, actual: T): boolean {
 }
 
 /**
- * Runtime helper for checking keyCodes from config.
+ * Runtime helper for checking keyCodes from config (the config of the
+ * app the instance belongs to).
  * exposed as Vue.prototype._k
  * passing in eventKeyName as last argument separately for backwards compat
  */
@@ -23,8 +24,9 @@ export function checkKeyCodes (
   eventKeyName?: string,
   builtInKeyName?: string | Array<string>
 ): ?boolean {
-  const mappedKeyCode = config.keyCodes[key] || builtInKeyCode
-  if (builtInKeyName && eventKeyName && !config.keyCodes[key]) {
+  const keyCodes = getAppConfig(this).keyCodes
+  const mappedKeyCode = keyCodes[key] || builtInKeyCode
+  if (builtInKeyName && eventKeyName && !keyCodes[key]) {
     return isKeyNotMatch(builtInKeyName, eventKeyName)
   } else if (mappedKeyCode) {
     return isKeyNotMatch(mappedKeyCode, eventKeyCode)
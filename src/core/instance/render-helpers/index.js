@@ -11,6 +11,7 @@ import { renderStatic, markOnce } from './render-static'
 import { bindObjectListeners } from './bind-object-listeners'
 import { resolveScopedSlots } from './resolve-scoped-slots'
 import { bindDynamicKeys, prependModifier } from './bind-dynamic-keys'
+import { openBlock, closeBlock, markDynamic } from './render-block'
 /**
  * 安装帮助渲染的方法
  * @param {object} target vue原型
@@ -33,4 +34,7 @@ export function installRenderHelpers (target: any) {
   target._g = bindObjectListeners
   target._d = bindDynamicKeys
   target._p = prependModifier
+  target._ob = openBlock
+  target._bk = closeBlock
+  target._pf = markDynamic
 }
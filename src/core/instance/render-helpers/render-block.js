@@ -0,0 +1,50 @@
+/* @flow */
+
+// dynamic nodes of the blocks being rendered. Blocks do not nest in a
+// template, but a render may still be triggered while one is open (e.g. by
+// a method called in an expression)
+const blockStack: Array<Array<VNode>> = []
+let currentBlock: ?Array<VNode> = null
+
+/**
+ * Runtime helper opening a block, before its vnodes are created.
+ */
+export function openBlock () {
+  blockStack.push(currentBlock = [])
+}
+
+/**
+ * Runtime helper closing the block rendered as `vnode`, which collects the
+ * dynamic nodes created since the block was opened.
+ */
+export function closeBlock (vnode: VNode, id: number): VNode {
+  vnode.dynamicChildren = blockStack.pop()
+  vnode.blockId = id
+  currentBlock = blockStack.length ? blockStack[blockStack.length - 1] : null
+  return vnode
+}
+
+/**
+ * Runtime helper flagging a dynamic node of the current block with the
+ * bindings that may change.
+ */
+export function markDynamic (
+  vnode: VNode,
+  patchFlag: number,
+  dynamicProps?: Array<string>
+): VNode {
+  vnode.patchFlag = patchFlag
+  vnode.dynamicProps = dynamicProps
+  if (currentBlock) {
+    currentBlock.push(vnode)
+  }
+  return vnode
+}
+
+/**
+ * Drop the blocks left open by a render that threw.
+ */
+export function resetBlocks () {
+  blockStack.length = 0
+  currentBlock = null
+}
@@ -10,11 +10,14 @@ import {
 
 import { createElement } from '../vdom/create-element'
 import { installRenderHelpers } from './render-helpers/index'
+import { resetBlocks } from './render-helpers/render-block'
 import { resolveSlots } from './render-helpers/resolve-slots'
 import { normalizeScopedSlots } from '../vdom/helpers/normalize-scoped-slots'
-import VNode, { createEmptyVNode } from '../vdom/vnode'
+import { normalizeChildren } from '../vdom/helpers/normalize-children'
+import VNode, { createEmptyVNode, createFragmentVNode } from '../vdom/vnode'
 
 import { isUpdatingChildComponent } from './lifecycle'
+import { resolveFallthroughListeners } from './events'
 /**
  * 初始化渲染
  * @param {object} vm vue实例
@@ -52,12 +55,12 @@ export function initRender (vm: Component) {
     defineReactive(vm, '$attrs', parentData && parentData.attrs || emptyObject, () => {
       !isUpdatingChildComponent && warn(`$attrs is readonly.`, vm)
     }, true)
-    defineReactive(vm, '$listeners', options._parentListeners || emptyObject, () => {
+    defineReactive(vm, '$listeners', resolveFallthroughListeners(vm, options._parentListeners), () => {
       !isUpdatingChildComponent && warn(`$listeners is readonly.`, vm)
     }, true)
   } else {
     defineReactive(vm, '$attrs', parentData && parentData.attrs || emptyObject, null, true)
-    defineReactive(vm, '$listeners', options._parentListeners || emptyObject, null, true)
+    defineReactive(vm, '$listeners', resolveFallthroughListeners(vm, options._parentListeners), null, true)
   }
 }
 
@@ -112,8 +115,13 @@ export function renderMixin (Vue: Class<Component>) {
       // 设置currentRenderingInstance为vm
       currentRenderingInstance = vm
       // 调用render方法，传入渲染代理，和createElement方法
-      vnode = render.call(vm._renderProxy, vm.$createElement)
+      // 异步setup未完成时渲染空节点
+      vnode = vm._asyncSetup
+        ? createEmptyVNode()
+        : render.call(vm._renderProxy, vm.$createElement)
     } catch (e) {
+      // 丢弃渲染中断时未关闭的区块
+      resetBlocks()
       // 拦截错误报错
       handleError(e, vm, `render`)
       // return error render result,
@@ -138,22 +146,23 @@ export function renderMixin (Vue: Class<Component>) {
       // 设置currentRenderingInstance为null
       currentRenderingInstance = null
     }
-    // if the returned array contains only a single node, allow it
-    // 如果vnode为数组，则获取其第一个
-    if (Array.isArray(vnode) && vnode.length === 1) {
-      vnode = vnode[0]
+    // if the returned array contains only a single node, allow it,
+    // multiple root nodes are rendered as a fragment
+    // 如果vnode为数组，只有一个节点则获取其第一个，多个节点则创建片段
+    if (Array.isArray(vnode)) {
+      const children = normalizeChildren(vnode) || []
+      if (children.length > 1) {
+        vnode = createFragmentVNode(children)
+        if (process.env.NODE_ENV !== 'production' && !vm._isMounted) {
+          checkFragmentAttrs(vm)
+        }
+      } else {
+        vnode = children[0]
+      }
     }
     // return empty vnode in case the render function errored out
     // 如果vnode结果不为VNode构造的
     if (!(vnode instanceof VNode)) {
-      // 非生产环境并且是数组的话，则报错
-      if (process.env.NODE_ENV !== 'production' && Array.isArray(vnode)) {
-        warn(
-          'Multiple root nodes returned from render function. Render function ' +
-          'should return a single root node.',
-          vm
-        )
-      }
       // 创建一个空的VNode
       vnode = createEmptyVNode()
     }
@@ -164,3 +173,27 @@ export function renderMixin (Vue: Class<Component>) {
     return vnode
   }
 }
+
+/**
+ * Fragments have no root element to apply the attributes, class and style
+ * of the component placeholder to, so warn about them unless the component
+ * handles $attrs itself (inheritAttrs: false).
+ * 片段无法继承非prop属性，进行提示
+ * @param {object} vm vue实例
+ */
+function checkFragmentAttrs (vm: Component) {
+  const data = vm.$vnode && vm.$vnode.data
+  if (!data || vm.$options.inheritAttrs === false) return
+  const names = Object.keys(vm.$attrs)
+  if (data.staticClass || data.class) names.push('class')
+  if (data.staticStyle || data.style) names.push('style')
+  if (names.length) {
+    warn(
+      `Extraneous non-props attributes (${names.join(', ')}) were passed to ` +
+      `component but could not be automatically inherited because component ` +
+      `renders fragment root nodes. Set "inheritAttrs: false" and bind ` +
+      `$attrs explicitly instead.`,
+      vm
+    )
+  }
+}
@@ -0,0 +1,185 @@
+/* @flow */
+
+import { proxy } from './state'
+import { currentInstance, setCurrentInstance } from './lifecycle'
+import { defineReactive } from '../observer/index'
+import { pushTarget, popTarget } from '../observer/dep'
+import { registerAsyncDep } from '../components/suspense'
+import {
+  warn,
+  hasOwn,
+  isPromise,
+  isReserved,
+  isPlainObject,
+  invokeWithErrorHandling
+} from '../util/index'
+
+/**
+ * Call the `setup(props, context)` option. It runs after props are
+ * resolved (so that they can be passed in) and before methods, data,
+ * computed and watch. An object result is proxied on the instance and
+ * exposed to the template, a function result is used as render function.
+ * A promise result is handled once resolved, the component renders
+ * nothing until then and is an async dependency of its <suspense>.
+ * 初始化setup，返回的对象代理到实例上，返回方法则作为渲染函数
+ * @param {object} vm vue实例
+ */
+export function initSetup (vm: Component) {
+  const setup = vm.$options.setup
+  if (!setup) return
+  const ctx = createSetupContext(vm)
+  // 调用setup时不收集依赖，并设置当前实例以便注册生命周期钩子
+  pushTarget()
+  const resetCurrentInstance = setCurrentInstance(vm)
+  const setupResult: any = invokeWithErrorHandling(
+    setup,
+    null,
+    [vm._props || {}, ctx],
+    vm,
+    'setup'
+  )
+  resetCurrentInstance()
+  popTarget()
+
+  if (isPromise(setupResult)) {
+    // 异步setup，完成后处理结果并重新渲染
+    vm._asyncSetup = setupResult
+    const settle = res => {
+      vm._asyncSetup = null
+      handleSetupResult(vm, res)
+      vm.$forceUpdate()
+    }
+    // errors are already handled by invokeWithErrorHandling
+    setupResult.then(settle, () => settle())
+    const done = registerAsyncDep(vm)
+    if (done) setupResult.then(done, done)
+  } else {
+    handleSetupResult(vm, setupResult)
+  }
+}
+
+/**
+ * 处理setup的返回值
+ * @param {object} vm vue实例
+ * @param {any} setupResult setup的返回值
+ */
+function handleSetupResult (vm: Component, setupResult: any) {
+  if (typeof setupResult === 'function') {
+    // 返回渲染函数
+    vm.$options.render = setupResult
+  } else if (isPlainObject(setupResult)) {
+    vm._setupState = setupResult
+    // already reactive states are proxied as they are
+    // 非响应式对象的属性定义为响应式
+    const observed = hasOwn(setupResult, '__ob__')
+    for (const key in setupResult) {
+      if (isReserved(key)) {
+        process.env.NODE_ENV !== 'production' && warn(
+          `setup() return property "${key}" should not start with "$" or "_" ` +
+          `which are reserved prefixes.`,
+          vm
+        )
+        continue
+      }
+      if (process.env.NODE_ENV !== 'production' && vm._props && hasOwn(vm._props, key)) {
+        warn(`The setup binding "${key}" is already declared as a prop.`, vm)
+      }
+      proxySetupBinding(vm, setupResult, key, observed)
+    }
+  } else if (process.env.NODE_ENV !== 'production' && setupResult !== undefined) {
+    warn(
+      `setup() should return an object or a render function. ` +
+      `Received: ${setupResult === null ? 'null' : typeof setupResult}`,
+      vm
+    )
+  }
+}
+
+/**
+ * 判断是否为ref对象，例如Vue.computed的返回值
+ */
+export function isRef (value: any): boolean {
+  return !!(value && value.__v_isRef === true)
+}
+
+/**
+ * 代理setup返回的属性到实例上，ref对象自动解包
+ * @param {object} vm vue实例
+ * @param {object} state setup返回的对象
+ * @param {string} key 属性
+ * @param {boolean} observed 对象是否已经是响应式的
+ */
+function proxySetupBinding (vm: Component, state: Object, key: string, observed: boolean) {
+  const value = state[key]
+  if (isRef(value)) {
+    Object.defineProperty(vm, key, {
+      enumerable: true,
+      configurable: true,
+      get: () => value.value,
+      set: val => { value.value = val }
+    })
+  } else {
+    if (!observed) {
+      defineReactive(state, key, value)
+    }
+    proxy(vm, '_setupState', key)
+  }
+}
+
+/**
+ * 创建setup的上下文
+ * @param {object} vm vue实例
+ */
+function createSetupContext (vm: Component): Object {
+  return {
+    get attrs () {
+      return vm.$attrs
+    },
+    get listeners () {
+      return vm.$listeners
+    },
+    get slots () {
+      return vm.$scopedSlots
+    },
+    emit (event: string, ...args: Array<any>) {
+      vm.$emit(event, ...args)
+    }
+  }
+}
+
+/**
+ * Register a lifecycle hook on the current instance, i.e. while
+ * setup() or another lifecycle hook of a component is running.
+ * 向当前实例注册生命周期钩子
+ * @param {string} hook 钩子名
+ */
+function createLifeCycle (hook: string) {
+  return function (fn: Function, target: ?Component = currentInstance) {
+    if (!target) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `Lifecycle hook "${hook}" can only be registered while setup() ` +
+        `or a lifecycle hook of a component instance is running.`
+      )
+      return
+    }
+    // the hooks array may be shared with the constructor options, so
+    // always replace it instead of pushing into it
+    // 钩子数组可能与构造器配置共享，需要替换而不是push
+    const options = target.$options
+    const hooks = options[hook]
+    options[hook] = hooks ? hooks.concat(fn) : [fn]
+  }
+}
+
+export const onBeforeMount = createLifeCycle('beforeMount')
+export const onMounted = createLifeCycle('mounted')
+export const onBeforeUpdate = createLifeCycle('beforeUpdate')
+export const onUpdated = createLifeCycle('updated')
+export const onBeforeUnmount = createLifeCycle('beforeDestroy')
+export const onUnmounted = createLifeCycle('destroyed')
+export const onActivated = createLifeCycle('activated')
+export const onDeactivated = createLifeCycle('deactivated')
+export const onServerPrefetch = createLifeCycle('serverPrefetch')
+export const onRenderTracked = createLifeCycle('renderTracked')
+export const onRenderTriggered = createLifeCycle('renderTriggered')
+export const onErrorCaptured = createLifeCycle('errorCaptured')
@@ -1,14 +1,15 @@
 /* @flow */
 
-import config from '../config'
 import Watcher from '../observer/watcher'
 import Dep, { pushTarget, popTarget } from '../observer/dep'
 import { isUpdatingChildComponent } from './lifecycle'
+import { initSetup } from './setup'
 
 import {
   set,
   del,
   observe,
+  toReactive,
   defineReactive,
   toggleObserving
 } from '../observer/index'
@@ -17,6 +18,8 @@ import {
   warn,
   bind,
   noop,
+  getAppConfig,
+  extend,
   hasOwn,
   hyphenate,
   isReserved,
@@ -24,6 +27,7 @@ import {
   nativeWatch,
   validateProp,
   isPlainObject,
+  isPromise,
   isServerRendering,
   isReservedAttribute
 } from '../util/index'
@@ -60,6 +64,8 @@ export function initState (vm: Component) {
   const opts = vm.$options
   // 如果props存在，初始化props
   if (opts.props) initProps(vm, opts.props)
+  // 调用setup，需要在props之后以便传入props
+  if (opts.setup) initSetup(vm)
   // 如果methods存在，初始化methods
   if (opts.methods) initMethods(vm, opts.methods)
   // 如果data存在初始化data
@@ -71,6 +77,11 @@ export function initState (vm: Component) {
   }
   // 判断是否存在计算属性，初始化计算属性
   if (opts.computed) initComputed(vm, opts.computed)
+  // 每个实例都有异步计算属性的加载状态和错误
+  vm.$pending = {}
+  vm.$error = {}
+  // 判断是否存在异步计算属性，初始化异步计算属性
+  if (opts.asyncComputed) initAsyncComputed(vm, opts.asyncComputed)
   // 判断是否存在watch属性，初始化watch
   if (opts.watch && opts.watch !== nativeWatch) {
     initWatch(vm, opts.watch)
@@ -107,7 +118,7 @@ function initProps (vm: Component, propsOptions: Object) {
       const hyphenatedKey = hyphenate(key)
       // 如果为保留的属性名则警告错误
       if (isReservedAttribute(hyphenatedKey) ||
-          config.isReservedAttr(hyphenatedKey)) {
+          getAppConfig(vm).isReservedAttr(hyphenatedKey)) {
         warn(
           `"${hyphenatedKey}" is a reserved attribute and cannot be used as component prop.`,
           vm
@@ -202,6 +213,8 @@ function initData (vm: Component) {
   // observe data
   // 观察对象
   observe(data, true /* asRootData */)
+  // proxy模式下实例通过代理对象读写data
+  vm._data = toReactive(vm._data)
 }
 /**
  * data为对象时调用获取data
@@ -259,7 +272,10 @@ function initComputed (vm: Component, computed: Object) {
         vm,
         getter || noop,
         noop,
-        computedWatcherOptions
+        // 开发环境下传入调试钩子
+        process.env.NODE_ENV !== 'production' && typeof userDef !== 'function'
+          ? extend({ onTrack: userDef.onTrack, onTrigger: userDef.onTrigger }, computedWatcherOptions)
+          : computedWatcherOptions
       )
     }
 
@@ -375,6 +391,124 @@ function createGetterInvoker(fn) {
     return fn.call(this, this)
   }
 }
+/**
+ * Initialize async computed properties. Each getter is run by a user
+ * watcher; when it returns a Promise, the resolved value is stored
+ * reactively, and resolutions from outdated runs are discarded.
+ * 初始化异步计算属性
+ * @param {object} vm vue实例
+ * @param {object} asyncComputed 异步计算属性对象
+ */
+function initAsyncComputed (vm: Component, asyncComputed: Object) {
+  // 存储解析后的值
+  const store = vm._asyncComputedData = {}
+  // 每个属性对应的加载状态和错误
+  const pending = vm.$pending
+  const error = vm.$error
+  for (const key in asyncComputed) {
+    const userDef = asyncComputed[key]
+    const getter = typeof userDef === 'function' ? userDef : userDef.get
+    if (process.env.NODE_ENV !== 'production') {
+      if (getter == null) {
+        warn(`Getter is missing for async computed property "${key}".`, vm)
+      }
+      if (key in vm) {
+        warn(`The async computed property "${key}" is already defined on the instance.`, vm)
+      }
+    }
+    // 获取默认值，方法则调用获取
+    let defaultValue = typeof userDef === 'function' ? undefined : userDef.default
+    if (typeof defaultValue === 'function') {
+      defaultValue = defaultValue.call(vm, vm)
+    }
+    defineReactive(store, key, defaultValue)
+    defineReactive(pending, key, false)
+    defineReactive(error, key, null)
+    if (!(key in vm)) {
+      defineAsyncComputed(vm, key)
+    }
+    if (getter) {
+      createAsyncComputedWatcher(vm, key, getter)
+    }
+  }
+}
+
+/**
+ * 创建异步计算属性的watcher，丢弃过期的结果
+ * @param {object} vm vue实例
+ * @param {string} key 属性
+ * @param {Function} getter 获取方法
+ */
+function createAsyncComputedWatcher (vm: Component, key: string, getter: Function) {
+  const store = vm._asyncComputedData
+  // 记录最新一次调用，用于丢弃过期结果
+  let runId = 0
+  // a getter that throws is handled like a rejected Promise
+  // 同步抛出的错误和Promise的reject一样处理
+  let threw = false
+  const run = () => {
+    threw = false
+    try {
+      return getter.call(vm, vm)
+    } catch (e) {
+      threw = true
+      return e
+    }
+  }
+  const reject = (err: any) => {
+    vm.$error[key] = err
+    vm.$pending[key] = false
+    handleError(err, vm, `async computed property "${key}"`)
+  }
+  const handler = (result: any) => {
+    const id = ++runId
+    if (threw) {
+      reject(result)
+      return
+    }
+    if (!isPromise(result)) {
+      // 同步结果直接设置
+      store[key] = result
+      vm.$pending[key] = false
+      vm.$error[key] = null
+      return
+    }
+    vm.$pending[key] = true
+    vm.$error[key] = null
+    result.then(value => {
+      if (id === runId && !vm._isDestroyed) {
+        store[key] = value
+        vm.$pending[key] = false
+      }
+    }, err => {
+      if (id === runId && !vm._isDestroyed) {
+        reject(err)
+      }
+    })
+  }
+  vm.$watch(run, handler, { immediate: true })
+}
+
+/**
+ * 定义异步计算属性，只能读取
+ * @param {object} vm vue实例
+ * @param {string} key 属性
+ */
+function defineAsyncComputed (vm: Component, key: string) {
+  sharedPropertyDefinition.get = function asyncComputedGetter () {
+    return this._asyncComputedData[key]
+  }
+  sharedPropertyDefinition.set = process.env.NODE_ENV !== 'production'
+    ? function () {
+      warn(
+        `Async computed property "${key}" was assigned to but it has no setter.`,
+        this
+      )
+    }
+    : noop
+  Object.defineProperty(vm, key, sharedPropertyDefinition)
+}
+
 /**
  * 初始化methods
  * @param {object} vm vue实例
@@ -446,7 +580,7 @@ function initWatch (vm: Component, watch: Object) {
  */
 function createWatcher (
   vm: Component,
-  expOrFn: string | Function,
+  expOrFn: string | Function | Array<string | Function>,
   handler: any,
   options?: Object
 ) {
@@ -505,12 +639,12 @@ export function stateMixin (Vue: Class<Component>) {
   Vue.prototype.$delete = del
   /**
    * 挂载watch方法
-   * @param {string | Function} expOrFn 观察的属性或者方法
+   * @param {string | Function | Array} expOrFn 观察的属性或者方法，数组则观察多个
    * @param {any} cb 回调
    * @param {object} options watcher配置
    */
   Vue.prototype.$watch = function (
-    expOrFn: string | Function,
+    expOrFn: string | Function | Array<string | Function>,
     cb: any,
     options?: Object
   ): Function {
@@ -530,8 +664,9 @@ export function stateMixin (Vue: Class<Component>) {
     // 如果immediate属性为true
     if (options.immediate) {
       try {
-        // 先调用一次
-        cb.call(vm, watcher.value)
+        // 先调用一次，多个数据源时旧值为空数组
+        const oldValue = watcher.multi ? [] : undefined
+        cb.call(vm, watcher.value, oldValue, fn => { watcher.cleanup = fn })
       } catch (error) {
         // 拦截错误
         handleError(error, vm, `callback for immediate watcher "${watcher.expression}"`)
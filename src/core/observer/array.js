@@ -4,6 +4,8 @@
  */
 
 import { def } from '../util/index'
+import { activeHistories, recordMutation } from './history'
+import { updateReadonlyViews } from './readonly'
 
 const arrayProto = Array.prototype
 /**
@@ -28,6 +30,8 @@ methodsToPatch.forEach(function (method) {
   // cache original method
   const original = arrayProto[method]
   def(arrayMethods, method, function mutator (...args) {
+    // copy the contents so that the mutation can be reverted
+    const oldValue = activeHistories.length ? this.slice() : undefined
     const result = original.apply(this, args)
     const ob = this.__ob__
     let inserted
@@ -40,9 +44,18 @@ methodsToPatch.forEach(function (method) {
         inserted = args.slice(2)
         break
     }
-    if (inserted) ob.observeArray(inserted)
+    if (inserted && !ob.shallow) ob.observeArray(inserted)
     // notify change
-    ob.dep.notify()
+    if (process.env.NODE_ENV !== 'production') {
+      ob.dep.notify({ type: 'array mutation', target: this, key: method })
+    } else {
+      ob.dep.notify()
+    }
+    if (oldValue) {
+      recordMutation(this, 'array', method, this.slice(), oldValue)
+    }
+    // 同步只读数组的下标
+    updateReadonlyViews(this)
     return result
   })
 })
@@ -0,0 +1,177 @@
+/*
+ * not type checking this file because flow doesn't play well with
+ * dynamically accessing methods on Map and Set prototypes
+ */
+
+import Dep from './dep'
+import { dependArray } from './index'
+import { def, hasSymbol, isObject, toRawType } from '../util/index'
+
+const readMethods = ['get', 'has', 'forEach', 'keys', 'values', 'entries']
+
+/**
+ * Check if a value is a native Map or Set that can be
+ * instrumented for reactivity. Like isPlainObject, only values
+ * whose prototype is exactly Map.prototype or Set.prototype (or
+ * the instrumented one once observed) qualify, so that the methods
+ * of subclasses are never replaced.
+ * 判断是否为可观察的Map或者Set，子类不观察
+ */
+export function isCollection (value) {
+  if (!isObject(value)) return false
+  const proto = Object.getPrototypeOf(value)
+  return (!!mapMethods && (proto === Map.prototype || proto === mapMethods)) ||
+    (!!setMethods && (proto === Set.prototype || proto === setMethods))
+}
+
+/**
+ * Collect the collection's dependency, with debug info in dev.
+ * 收集集合的依赖
+ */
+function track (target, type, key) {
+  if (process.env.NODE_ENV !== 'production') {
+    target.__ob__.dep.depend({ target, type, key })
+  } else {
+    target.__ob__.dep.depend()
+  }
+}
+
+/**
+ * Notify the collection's watchers, with debug info in dev.
+ * 通知集合的依赖更新
+ */
+function trigger (target, type, key, newValue, oldValue) {
+  if (process.env.NODE_ENV !== 'production') {
+    target.__ob__.dep.notify({ target, type, key, newValue, oldValue })
+  } else {
+    target.__ob__.dep.notify()
+  }
+}
+
+/**
+ * Create an object whose prototype is the given collection
+ * prototype, with read methods that collect dependencies and
+ * mutating methods that emit change notifications.
+ * 创建原型为集合原型的对象，读取时收集依赖，修改时通知更新
+ * @param {object} proto Map或者Set的原型
+ * @param {boolean} isMap 是否为Map
+ */
+function instrument (proto, isMap) {
+  const methods = Object.create(proto)
+  const has = proto.has
+  const get = proto.get
+  const sizeGetter = Object.getOwnPropertyDescriptor(proto, 'size').get
+
+  // 读取方法收集依赖
+  readMethods.forEach(function (method) {
+    const original = proto[method]
+    if (!original) return
+    def(methods, method, function reader (...args) {
+      const result = original.apply(this, args)
+      if (Dep.target) {
+        if (method === 'get' || method === 'has') {
+          track(this, method, args[0])
+        } else {
+          track(this, 'iterate')
+          dependArray(collectionValues(this))
+        }
+        // Map.get返回的值如果是响应对象也需要关联，
+        // 这样Vue.set添加的属性也能触发更新
+        if (method === 'get' && isObject(result) && result.__ob__) {
+          result.__ob__.dep.depend()
+        }
+      }
+      return result
+    })
+  })
+
+  // size为原型上的getter
+  Object.defineProperty(methods, 'size', {
+    enumerable: false,
+    configurable: true,
+    get: function reactiveSize () {
+      if (Dep.target) {
+        track(this, 'iterate')
+      }
+      return sizeGetter.call(this)
+    }
+  })
+
+  // for...of, v-for and spreading go through the iterator
+  if (hasSymbol) {
+    def(methods, Symbol.iterator, function iterator () {
+      if (Dep.target) {
+        track(this, 'iterate')
+        // 遍历时关联集合内的值
+        dependArray(collectionValues(this))
+      }
+      return proto[Symbol.iterator].call(this)
+    })
+  }
+
+  if (isMap) {
+    def(methods, 'set', function mutator (key, value) {
+      const hadKey = has.call(this, key)
+      const oldValue = get.call(this, key)
+      proto.set.call(this, key, value)
+      /* eslint-disable no-self-compare */
+      if (!hadKey || !(value === oldValue || (value !== value && oldValue !== oldValue))) {
+        if (!this.__ob__.shallow) this.__ob__.observeArray([value])
+        trigger(this, hadKey ? 'set' : 'add', key, value, oldValue)
+      }
+      /* eslint-enable no-self-compare */
+      return this
+    })
+  } else {
+    def(methods, 'add', function mutator (value) {
+      if (!has.call(this, value)) {
+        proto.add.call(this, value)
+        if (!this.__ob__.shallow) this.__ob__.observeArray([value])
+        trigger(this, 'add', value, value)
+      }
+      return this
+    })
+  }
+
+  def(methods, 'delete', function mutator (key) {
+    const result = proto.delete.call(this, key)
+    // 只有在真正删除时才通知
+    if (result) {
+      trigger(this, 'delete', key)
+    }
+    return result
+  })
+
+  def(methods, 'clear', function mutator () {
+    const hadItems = sizeGetter.call(this) > 0
+    proto.clear.call(this)
+    if (hadItems) {
+      trigger(this, 'clear')
+    }
+  })
+
+  return methods
+}
+
+/**
+ * 创建Map和Set的拦截原型，不支持的环境则为undefined
+ */
+export const mapMethods = typeof Map !== 'undefined'
+  ? instrument(Map.prototype, true)
+  : undefined
+
+export const setMethods = typeof Set !== 'undefined'
+  ? instrument(Set.prototype, false)
+  : undefined
+
+/**
+ * Get the raw values of a collection without collecting
+ * dependencies.
+ * 获取集合内的值(不收集依赖)
+ */
+export function collectionValues (value) {
+  const values = []
+  const proto = toRawType(value) === 'Map' ? Map.prototype : Set.prototype
+  proto.forEach.call(value, v => { values.push(v) })
+  return values
+}
@@ -1,11 +1,24 @@
 /* @flow */
 
 import type Watcher from './watcher'
-import { remove } from '../util/index'
+import { remove, extend } from '../util/index'
 import config from '../config'
 
 let uid = 0
 
+/**
+ * Extra information passed to onTrack/onTrigger debug hooks
+ * in development builds.
+ * 调试钩子接收的依赖信息
+ */
+export type DebuggerEventExtraInfo = {
+  target: any,
+  type: string,
+  key?: any,
+  newValue?: any,
+  oldValue?: any
+}
+
 /**
  * A dep is an observable that can have multiple
  * directives subscribing to it.
@@ -42,17 +55,25 @@ export default class Dep {
   }
   /**
    * 依赖关联
+   * @param {object} info 依赖信息，仅开发环境用于onTrack
    */
-  depend () {
-    if (Dep.target) {
+  depend (info?: DebuggerEventExtraInfo) {
+    const target = Dep.target
+    if (target) {
       // 添加 至watcher
-      Dep.target.addDep(this)
+      const added = target.addDep(this)
+      // 开发环境调用onTrack调试钩子，重复读取同一依赖时不调用
+      const onTrack = target.onTrack
+      if (process.env.NODE_ENV !== 'production' && added && info && onTrack) {
+        onTrack(extend({ effect: target }, info))
+      }
     }
   }
   /**
    * 通知更新
+   * @param {object} info 修改信息，仅开发环境用于onTrigger
    */
-  notify () {
+  notify (info?: DebuggerEventExtraInfo) {
     // stabilize the subscriber list first
     // 获取订阅数组
     const subs = this.subs.slice()
@@ -65,6 +86,11 @@ export default class Dep {
     }
     // 遍历调用update更新方法
     for (let i = 0, l = subs.length; i < l; i++) {
+      // 开发环境调用onTrigger调试钩子
+      const onTrigger = subs[i].onTrigger
+      if (process.env.NODE_ENV !== 'production' && info && onTrigger) {
+        onTrigger(extend({ effect: subs[i] }, info))
+      }
       subs[i].update()
     }
   }
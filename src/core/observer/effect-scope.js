@@ -0,0 +1,152 @@
+/* @flow */
+
+import type Watcher from './watcher'
+import { warn } from '../util/index'
+
+export let activeEffectScope: ?EffectScope = null
+
+/**
+ * An effect scope collects the watchers (and computed values)
+ * created while it is active, so that they can be torn down
+ * together with a single stop() call.
+ * 作用域，收集在其中创建的watcher，调用stop统一销毁
+ */
+export class EffectScope {
+  active: boolean;
+  effects: Array<Watcher>;
+  cleanups: Array<Function>;
+  parent: ?EffectScope;
+  scopes: ?Array<EffectScope>;
+  // index of this scope in its parent's scopes, for fast removal
+  index: ?number;
+  /**
+   * 构造函数
+   * @param {boolean} detached 是否脱离父作用域
+   */
+  constructor (detached?: boolean) {
+    this.active = true
+    this.effects = []
+    this.cleanups = []
+    this.parent = activeEffectScope
+    // 非独立作用域则挂载到父作用域上，父作用域stop时一起stop
+    if (!detached && activeEffectScope) {
+      this.index = (activeEffectScope.scopes || (activeEffectScope.scopes = [])).push(this) - 1
+    }
+  }
+
+  /**
+   * Run a function with this scope active, so that watchers
+   * created inside are collected by it.
+   * 以当前作用域运行方法
+   */
+  run<T> (fn: () => T): T | void {
+    if (this.active) {
+      const currentEffectScope = activeEffectScope
+      try {
+        activeEffectScope = this
+        return fn()
+      } finally {
+        activeEffectScope = currentEffectScope
+      }
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn(`cannot run an inactive effect scope.`)
+    }
+  }
+
+  /**
+   * Make this scope active without running a function.
+   * Only called on component scopes while their hooks run.
+   * 激活作用域
+   */
+  on () {
+    activeEffectScope = this
+  }
+
+  /**
+   * Deactivate this scope, restoring the scope that was active
+   * before on() was called.
+   * 取消激活，恢复为激活前的作用域
+   * @param {EffectScope} prevScope 激活前的作用域
+   */
+  off (prevScope: ?EffectScope) {
+    activeEffectScope = prevScope
+  }
+
+  /**
+   * Tear down every watcher, cleanup and child scope
+   * collected by this scope.
+   * 停止作用域，销毁所有收集的watcher
+   * @param {boolean} fromParent 是否由父作用域触发
+   */
+  stop (fromParent?: boolean) {
+    if (this.active) {
+      let i, l
+      // 销毁watcher
+      for (i = 0, l = this.effects.length; i < l; i++) {
+        this.effects[i].teardown()
+      }
+      // 调用清理方法
+      for (i = 0, l = this.cleanups.length; i < l; i++) {
+        this.cleanups[i]()
+      }
+      // 停止子作用域
+      if (this.scopes) {
+        for (i = 0, l = this.scopes.length; i < l; i++) {
+          this.scopes[i].stop(true)
+        }
+      }
+      // nested scope, dereference from parent to avoid memory leaks
+      // 从父作用域中移除自身
+      const parent = this.parent
+      const index = this.index
+      if (!fromParent && parent && parent.scopes && typeof index === 'number') {
+        // optimized O(1) removal
+        const scopes = parent.scopes
+        const last = scopes.pop()
+        if (last && last !== this) {
+          scopes[index] = last
+          last.index = index
+        }
+      }
+      this.parent = undefined
+      this.active = false
+    }
+  }
+}
+
+/**
+ * Record a watcher into the given scope, or the currently
+ * active one.
+ * 将watcher记录到作用域中
+ */
+export function recordEffectScope (
+  effect: Watcher,
+  scope: ?EffectScope = activeEffectScope
+) {
+  if (scope && scope.active) {
+    scope.effects.push(effect)
+  }
+}
+
+/**
+ * 获取当前作用域
+ */
+export function getCurrentScope (): ?EffectScope {
+  return activeEffectScope
+}
+
+/**
+ * Register a callback to be called when the current
+ * active scope is stopped.
+ * 注册作用域stop时的回调
+ */
+export function onScopeDispose (fn: Function) {
+  if (activeEffectScope) {
+    activeEffectScope.cleanups.push(fn)
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(
+      `onScopeDispose() is called when there is no active effect scope` +
+      ` to be associated with.`
+    )
+  }
+}
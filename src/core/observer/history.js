@@ -0,0 +1,396 @@
+/* @flow */
+
+import { observe, set, del, toRaw, toReactive } from './index'
+import {
+  warn,
+  hasOwn,
+  isObject,
+  isPlainObject,
+  nextTick
+} from '../util/index'
+
+export type Patch = {
+  type: 'set' | 'add' | 'delete' | 'array';
+  target: Object;
+  // path from the history root to the mutated property (or array)
+  path: Array<string | number>;
+  key: any;
+  newValue: any;
+  oldValue: any;
+};
+
+// where an object of the tree is stored in its parent
+type HistoryLink = {
+  parent: Object;
+  key: string | number;
+};
+
+// histories that are currently recording
+// 正在记录的history
+export const activeHistories: Array<StateHistory> = []
+
+/**
+ * Called by reactive setters, Vue.set/Vue.delete and the patched
+ * array methods after a mutation has been applied.
+ * 记录一次修改
+ */
+export function recordMutation (
+  target: any,
+  type: $PropertyType<Patch, 'type'>,
+  key: any,
+  newValue: any,
+  oldValue: any
+) {
+  for (let i = 0; i < activeHistories.length; i++) {
+    activeHistories[i].record(target, type, key, newValue, oldValue)
+  }
+}
+
+/**
+ * Records the mutations made to a reactive object tree as a patch
+ * log. Patches recorded before the next scheduler flush are grouped
+ * into one transaction, which is the unit of undo() and redo().
+ * 记录响应式对象的修改，同一次刷新中的修改合并为一个事务
+ */
+export class StateHistory {
+  root: Object;
+  active: boolean;
+  undoStack: Array<Array<Patch>>;
+  redoStack: Array<Array<Patch>>;
+  // transaction that is still collecting patches
+  pending: ?Array<Patch>;
+  // the parent of each object of the tree, so that the path of a mutated
+  // object is found by walking up to the root. An object stored in several
+  // places of the tree is tracked through the place it was last added to.
+  rawRoot: Object;
+  links: WeakMap<Object, HistoryLink>;
+  applying: boolean;
+
+  /**
+   * 构造函数
+   * @param {object} root 需要记录的对象
+   */
+  constructor (root: Object) {
+    this.root = root
+    this.active = true
+    this.undoStack = []
+    this.redoStack = []
+    this.pending = null
+    this.applying = false
+    // 确保对象为响应式
+    observe(root)
+    // patches are recorded on raw objects in proxy reactivity mode
+    // proxy模式下修改记录在原始对象上
+    this.rawRoot = toRaw(root)
+    this.links = new WeakMap()
+    this.linkChildren(this.rawRoot)
+    activeHistories.push(this)
+  }
+
+  /**
+   * 记录修改，不属于当前对象树的修改会被忽略
+   */
+  record (
+    target: any,
+    type: $PropertyType<Patch, 'type'>,
+    key: any,
+    newValue: any,
+    oldValue: any
+  ) {
+    const path = this.getPath(target)
+    if (!path) return
+    // 更新对象树的父级关系
+    if (type === 'array') {
+      for (let i = 0; i < oldValue.length; i++) {
+        this.unlink(oldValue[i], target)
+      }
+      for (let i = 0; i < newValue.length; i++) {
+        this.link(newValue[i], target, i)
+      }
+    } else {
+      this.unlink(oldValue, target, key)
+      if (type !== 'delete') this.link(newValue, target, key)
+    }
+    // undo/redo引起的修改不记录
+    if (this.applying) return
+    let pending = this.pending
+    if (!pending) {
+      pending = this.pending = []
+      // close the transaction after the scheduler flush, so mutations
+      // made by watchers during the flush belong to it as well
+      // 在下一次刷新后提交事务
+      nextTick(() => this.commit())
+    }
+    pending.push({
+      type,
+      target,
+      path: type === 'array' ? path : path.concat(key),
+      key,
+      newValue,
+      oldValue
+    })
+    // 新的修改会清空重做栈
+    this.redoStack.length = 0
+  }
+
+  /**
+   * Close the pending transaction immediately.
+   * 提交当前事务
+   */
+  commit () {
+    const pending = this.pending
+    if (pending && pending.length) {
+      this.undoStack.push(pending)
+    }
+    this.pending = null
+  }
+
+  /**
+   * 获取对象在对象树中的路径
+   */
+  getPath (target: Object): ?Array<string | number> {
+    const path = []
+    let node = target
+    while (node !== this.rawRoot) {
+      const link = this.links.get(node)
+      if (!link) return null
+      path.unshift(link.key)
+      node = link.parent
+    }
+    return path
+  }
+
+  /**
+   * 记录对象在对象树中的位置，并记录其未记录的子对象
+   * @param {any} value 添加到对象树的值
+   * @param {object} parent 父级对象
+   * @param {string|number} key 属性名或索引
+   */
+  link (value: any, parent: Object, key: string | number) {
+    value = toRaw(value)
+    if (!isTrackable(value) || value === this.rawRoot) return
+    // an object can't be stored below itself
+    // 避免循环引用
+    let node = parent
+    while (node !== this.rawRoot) {
+      if (node === value) return
+      const link = this.links.get(node)
+      if (!link) break
+      node = link.parent
+    }
+    const isNew = !this.links.has(value)
+    this.links.set(value, { parent, key })
+    if (isNew) this.linkChildren(value)
+  }
+
+  /**
+   * 记录对象的子对象
+   */
+  linkChildren (value: Object) {
+    if (Array.isArray(value)) {
+      for (let i = 0; i < value.length; i++) {
+        if (!this.links.has(toRaw(value[i]))) this.link(value[i], value, i)
+      }
+    } else {
+      const keys = Object.keys(value)
+      for (let i = 0; i < keys.length; i++) {
+        const child = value[keys[i]]
+        if (!this.links.has(toRaw(child))) this.link(child, value, keys[i])
+      }
+    }
+  }
+
+  /**
+   * 移除对象在对象树中的位置，已经被添加到其他位置的对象不受影响
+   * @param {any} value 从对象树移除的值
+   * @param {object} parent 父级对象
+   * @param {string|number} key 属性名，未传入时为数组的元素
+   */
+  unlink (value: any, parent: Object, key?: string | number) {
+    value = toRaw(value)
+    if (!isObject(value)) return
+    const link = this.links.get(value)
+    if (link && link.parent === parent && (key === undefined || String(link.key) === String(key))) {
+      this.links.delete(value)
+    }
+  }
+
+  canUndo (): boolean {
+    return this.undoStack.length > 0 || !!(this.pending && this.pending.length)
+  }
+
+  canRedo (): boolean {
+    return this.redoStack.length > 0
+  }
+
+  /**
+   * Revert the last transaction. Returns false if there is nothing
+   * to undo.
+   * 撤销上一个事务
+   */
+  undo (): boolean {
+    this.commit()
+    const transaction = this.undoStack.pop()
+    if (!transaction) return false
+    this.apply(transaction, true)
+    this.redoStack.push(transaction)
+    return true
+  }
+
+  /**
+   * Re-apply the last undone transaction.
+   * 重做上一个被撤销的事务
+   */
+  redo (): boolean {
+    this.commit()
+    const transaction = this.redoStack.pop()
+    if (!transaction) return false
+    this.apply(transaction, false)
+    this.undoStack.push(transaction)
+    return true
+  }
+
+  /**
+   * 应用或者回滚事务
+   * @param {Array} transaction 事务
+   * @param {boolean} inverse 是否回滚
+   */
+  apply (transaction: Array<Patch>, inverse: boolean) {
+    this.applying = true
+    try {
+      if (inverse) {
+        for (let i = transaction.length - 1; i >= 0; i--) {
+          applyPatch(transaction[i], true)
+        }
+      } else {
+        for (let i = 0; i < transaction.length; i++) {
+          applyPatch(transaction[i], false)
+        }
+      }
+    } finally {
+      this.applying = false
+    }
+  }
+
+  /**
+   * Create a plain deep copy of the current state.
+   * 获取当前状态的快照
+   */
+  snapshot (): any {
+    return cloneDeep(this.root)
+  }
+
+  /**
+   * Reactively apply a snapshot onto the root. The changes are
+   * recorded, so a restore can be undone like any other mutation.
+   * 恢复快照
+   */
+  restore (snapshot: any) {
+    if (Array.isArray(this.root) !== Array.isArray(snapshot) || !isObject(snapshot)) {
+      process.env.NODE_ENV !== 'production' && warn(
+        'Cannot restore a snapshot that does not match the shape of the history root.'
+      )
+      return
+    }
+    restoreValue(this.root, snapshot)
+  }
+
+  /**
+   * Stop recording and drop the recorded transactions.
+   * 停止记录
+   */
+  stop () {
+    if (this.active) {
+      const i = activeHistories.indexOf(this)
+      if (i > -1) activeHistories.splice(i, 1)
+      this.undoStack.length = this.redoStack.length = 0
+      this.pending = null
+      this.links = new WeakMap()
+      this.active = false
+    }
+  }
+}
+
+/**
+ * 是否为对象树中记录的对象或数组
+ */
+function isTrackable (value: any): boolean {
+  return isObject(value) &&
+    !value.__v_skip &&
+    (Array.isArray(value) || isPlainObject(value))
+}
+
+/**
+ * 应用单个修改
+ */
+function applyPatch (patch: Patch, inverse: boolean) {
+  const target = toReactive(patch.target)
+  const key = patch.key
+  const value = inverse ? patch.oldValue : patch.newValue
+  switch (patch.type) {
+    case 'set':
+      target[key] = value
+      break
+    case 'add':
+      inverse ? del(target, key) : set(target, key, value)
+      break
+    case 'delete':
+      inverse ? set(target, key, value) : del(target, key)
+      break
+    case 'array':
+      target.splice(0, target.length, ...value)
+      break
+  }
+}
+
+/**
+ * 深拷贝普通对象和数组
+ */
+function cloneDeep (value: any): any {
+  if (Array.isArray(value)) {
+    return value.map(cloneDeep)
+  }
+  if (isPlainObject(value) && !value.__v_skip) {
+    const res = {}
+    const keys = Object.keys(value)
+    for (let i = 0; i < keys.length; i++) {
+      res[keys[i]] = cloneDeep(value[keys[i]])
+    }
+    return res
+  }
+  return value
+}
+
+/**
+ * 将快照的值响应式地恢复到目标对象上
+ */
+function restoreValue (target: Object, snapshot: Object) {
+  if (Array.isArray(target)) {
+    toReactive(target).splice(0, target.length, ...snapshot.map(cloneDeep))
+    return
+  }
+  // 删除快照中不存在的属性
+  const keys = Object.keys(target)
+  for (let i = 0; i < keys.length; i++) {
+    if (!hasOwn(snapshot, keys[i])) {
+      del(target, keys[i])
+    }
+  }
+  const snapshotKeys = Object.keys(snapshot)
+  for (let i = 0; i < snapshotKeys.length; i++) {
+    const key = snapshotKeys[i]
+    const value = snapshot[key]
+    const current = target[key]
+    if (
+      hasOwn(target, key) &&
+      isObject(value) &&
+      isObject(current) &&
+      Array.isArray(value) === Array.isArray(current) &&
+      (Array.isArray(value) || isPlainObject(current))
+    ) {
+      restoreValue(current, value)
+    } else {
+      set(target, key, cloneDeep(value))
+    }
+  }
+}
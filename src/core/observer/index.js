@@ -1,19 +1,31 @@
 /* @flow */
 
 import Dep from './dep'
+import config from '../config'
 import VNode from '../vdom/vnode'
 import { arrayMethods } from './array'
+import { activeHistories, recordMutation } from './history'
+import { createReactiveProxy } from './reactive-proxy'
+import { updateReadonlyViews } from './readonly'
+import {
+  isCollection,
+  mapMethods,
+  setMethods,
+  collectionValues
+} from './collection'
 import {
   def,
   warn,
   hasOwn,
   hasProto,
+  hasProxy,
   isObject,
   isPlainObject,
   isPrimitive,
   isUndef,
   isValidArrayIndex,
-  isServerRendering
+  isServerRendering,
+  toRawType
 } from '../util/index'
 
 const arrayKeys = Object.getOwnPropertyNames(arrayMethods)
@@ -28,6 +40,10 @@ export function toggleObserving (value: boolean) {
   shouldObserve = value
 }
 
+// marks that defineReactive should read the initial value from the object
+// 标记defineReactive需要从对象上读取初始值
+const NO_INITIAL_VALUE = {}
+
 /**
  * Observer class that is attached to each observed
  * object. Once attached, the observer converts the target
@@ -39,21 +55,33 @@ export class Observer {
   value: any;
   dep: Dep;
   vmCount: number; // number of vms that have this object as root $data
+  shallow: boolean; // only the top level keys are reactive
+  proxy: any; // the reactive Proxy in proxy reactivity mode
+  keyDeps: ?{ [key: any]: Dep }; // per-key deps used by the proxy
   /**
    * obServer构造函数
    * @param {any} value 需要挂载的值
+   * @param {boolean} shallow 是否浅观察，只观察第一层属性
    */
-  constructor (value: any) {
+  constructor (value: any, shallow?: boolean) {
     // 获取对应值
     this.value = value
+    // 设置是否浅观察
+    this.shallow = !!shallow
     // 新建dep对象
     this.dep = new Dep()
     // 设置vmCount
     this.vmCount = 0
     // 给value订阅ob对象，并且挂载观察者对象
     def(value, '__ob__', this)
-    // 判断value是否是数组
-    if (Array.isArray(value)) {
+    // proxy模式下代理普通对象和数组，属性依赖在读取时惰性创建
+    if (
+      config.reactivity === 'proxy' &&
+      hasProxy &&
+      (Array.isArray(value) || isPlainObject(value))
+    ) {
+      this.proxy = createReactiveProxy(value)
+    } else if (Array.isArray(value)) {
       // 如果有proto的话
       if (hasProto) {
         protoAugment(value, arrayMethods)
@@ -61,8 +89,19 @@ export class Observer {
         // 不存在proto则将数组方法copy到value
         copyAugment(value, arrayMethods, arrayKeys)
       }
-      // 如果是数组则调用观察数组方法
-      this.observeArray(value)
+      // 如果是数组则调用观察数组方法，浅观察不观察元素
+      if (!shallow) {
+        this.observeArray(value)
+      }
+    } else if (isCollection(value)) {
+      // 先观察集合内已有的值
+      if (!shallow) {
+        this.observeArray(collectionValues(value))
+      }
+      // Map/Set only exist in environments that support __proto__,
+      // so no copy fallback is needed here.
+      // 拦截Map/Set的读写方法
+      protoAugment(value, toRawType(value) === 'Map' ? mapMethods : setMethods)
     } else {
       // 非数组则调用walk观察对象属性
       this.walk(value)
@@ -81,7 +120,7 @@ export class Observer {
     // 遍历对象属性
     for (let i = 0; i < keys.length; i++) {
       // 定义可反应的对象
-      defineReactive(obj, keys[i])
+      defineReactive(obj, keys[i], NO_INITIAL_VALUE, undefined, this.shallow)
     }
   }
 
@@ -137,8 +176,13 @@ function copyAugment (target: Object, src: Object, keys: Array<string>) {
  * 给值创建一个observer实例
  * @param {any} value 观察的值
  * @param {boolean} asRootData 是否为根data
+ * @param {boolean} shallow 是否浅观察
  */
-export function observe (value: any, asRootData: ?boolean): Observer | void {
+export function observe (
+  value: any,
+  asRootData: ?boolean,
+  shallow?: boolean
+): Observer | void {
   // 如果是一个非对象或者是vnode的话，直接返回undefined
   if (!isObject(value) || value instanceof VNode) {
     return
@@ -151,12 +195,13 @@ export function observe (value: any, asRootData: ?boolean): Observer | void {
   } else if (
     shouldObserve && // 应该观察
     !isServerRendering() && // 非服务器渲染
-    (Array.isArray(value) || isPlainObject(value)) && // 数组或者普通对象
+    (Array.isArray(value) || isPlainObject(value) || isCollection(value)) && // 数组、普通对象或者Map/Set
     Object.isExtensible(value) && // 是否可扩展
+    !value.__v_skip && // 没有被markRaw标记
     !value._isVue // 非vue对象
   ) {
     // 创建一个新的observer对象
-    ob = new Observer(value)
+    ob = new Observer(value, shallow)
   }
   // 如果为根data并且ob对象创建成功则++
   if (asRootData && ob) {
@@ -196,8 +241,11 @@ export function defineReactive (
   const getter = property && property.get
   // 获取对应setter
   const setter = property && property.set
-  // 判断如果getter不存在，或者setter存在，并且方法参数只有两个
-  if ((!getter || setter) && arguments.length === 2) {
+  // 判断如果getter不存在，或者setter存在，并且没有传入初始值
+  if (
+    (!getter || setter) &&
+    (val === NO_INITIAL_VALUE || arguments.length === 2)
+  ) {
     val = obj[key] // 设置val为object属性的值
   }
   // 如果非浅观察，则观察对应值,返回observe对象
@@ -212,7 +260,11 @@ export function defineReactive (
       // 判断是否有全局watcher
       if (Dep.target) {
         // 添加至target
-        dep.depend()
+        if (process.env.NODE_ENV !== 'production') {
+          dep.depend({ target: obj, type: 'get', key })
+        } else {
+          dep.depend()
+        }
         // 判断是否有子ob
         if (childOb) {
           // 子观察则对象的依赖也进行关联
@@ -224,9 +276,14 @@ export function defineReactive (
           }
         }
       }
-      return value
+      // proxy模式下返回代理对象
+      return childOb && childOb.proxy && childOb.value === value
+        ? childOb.proxy
+        : value
     },
     set: function reactiveSetter (newVal) { // 设置set
+      // 代理对象存储为原始对象
+      newVal = toRaw(newVal)
       // getter存在则获取getter，不存在则直接获取val
       const value = getter ? getter.call(obj) : val
       /* eslint-disable no-self-compare */
@@ -253,7 +310,21 @@ export function defineReactive (
       // 非浅观察则观察新值
       childOb = !shallow && observe(newVal)
       // 触发更新
-      dep.notify()
+      if (process.env.NODE_ENV !== 'production') {
+        dep.notify({
+          type: 'set',
+          target: obj,
+          key,
+          newValue: newVal,
+          oldValue: value
+        })
+      } else {
+        dep.notify()
+      }
+      // 记录修改用于撤销/重做
+      if (activeHistories.length) {
+        recordMutation(obj, 'set', key, newVal, value)
+      }
     }
   })
 }
@@ -276,6 +347,15 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
   ) {
     warn(`Cannot set reactive property on undefined, null, or primitive value: ${(target: any)}`)
   }
+  // 只读对象不允许修改
+  if (isReadonly(target)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Set operation on key "${key}" failed: target is readonly.`
+    )
+    return val
+  }
+  // proxy模式下通过代理对象修改，保证修改能被追踪
+  target = toReactive(target)
   // 如果target为数组，并且key为一个合法的数组index
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     // 设置数组的长度
@@ -311,10 +391,24 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
     // 返回值
     return val
   }
+  // 代理对象可以直接新增属性
+  if (ob.proxy) {
+    target[key] = val
+    return val
+  }
   // 其他则为对象定义响应
-  defineReactive(ob.value, key, val)
+  defineReactive(ob.value, key, val, undefined, ob.shallow)
   // 并且通知更新
-  ob.dep.notify()
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({ type: 'add', target, key, newValue: val })
+  } else {
+    ob.dep.notify()
+  }
+  if (activeHistories.length) {
+    recordMutation(target, 'add', key, val)
+  }
+  // 同步只读对象的属性
+  updateReadonlyViews(target)
   // 返回value
   return val
 }
@@ -334,6 +428,15 @@ export function del (target: Array<any> | Object, key: any) {
   ) {
     warn(`Cannot delete reactive property on undefined, null, or primitive value: ${(target: any)}`)
   }
+  // 只读对象不允许删除
+  if (isReadonly(target)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Delete operation on key "${key}" failed: target is readonly.`
+    )
+    return
+  }
+  // proxy模式下通过代理对象删除
+  target = toReactive(target)
   // 如果target为数组，并且key为一个合法的index
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     // 删除对应位置的值
@@ -354,21 +457,35 @@ export function del (target: Array<any> | Object, key: any) {
   if (!hasOwn(target, key)) {
     return
   }
+  // 代理对象的删除会自行触发更新
+  if (ob && ob.proxy) {
+    delete target[key]
+    return
+  }
   // 删除对应的key
+  const oldValue = target[key]
   delete target[key]
   // 如果不存在ob则代表非响应
   if (!ob) {
     return
   }
   // 通知更新
-  ob.dep.notify()
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({ type: 'delete', target, key })
+  } else {
+    ob.dep.notify()
+  }
+  if (activeHistories.length) {
+    recordMutation(target, 'delete', key, undefined, oldValue)
+  }
+  updateReadonlyViews(target)
 }
 
 /**
  * Collect dependencies on array elements when the array is touched, since
  * we cannot intercept array element access like property getters.
  */
-function dependArray (value: Array<any>) {
+export function dependArray (value: Array<any>) {
   // 遍历数组
   for (let e, i = 0, l = value.length; i < l; i++) {
     // 获取对应值
@@ -381,3 +498,52 @@ function dependArray (value: Array<any>) {
     }
   }
 }
+
+/**
+ * Mark an object so that it will never be converted into a
+ * reactive object, e.g. large third-party instances.
+ * 标记对象永远不被观察
+ */
+export function markRaw<T> (value: T): T {
+  if (isObject(value) && Object.isExtensible(value)) {
+    def(value, '__v_skip', true)
+  }
+  return value
+}
+
+/**
+ * Make only the top level properties of an object reactive.
+ * 浅观察对象，只有第一层属性是响应式的
+ */
+export function shallowObservable<T> (value: T): T {
+  observe(value, false, true)
+  return toReactive(value)
+}
+
+/**
+ * Check if a value is a readonly view created by readonly().
+ * 判断是否为只读对象
+ */
+export function isReadonly (value: any): boolean {
+  return !!(value && value.__v_isReadonly)
+}
+
+/**
+ * Return the raw object behind a reactive Proxy created in proxy
+ * reactivity mode, or the value itself.
+ * 获取代理对象对应的原始对象
+ */
+export function toRaw<T> (value: T): T {
+  const ob = isObject(value) ? (value: any).__ob__ : null
+  return ob && ob.proxy === value ? ob.value : value
+}
+
+/**
+ * Return the reactive Proxy of an observed value in proxy reactivity
+ * mode, or the value itself.
+ * 获取对象的代理对象，不存在则返回自身
+ */
+export function toReactive<T> (value: T): T {
+  const ob = isObject(value) ? (value: any).__ob__ : null
+  return ob && ob.proxy ? ob.proxy : value
+}
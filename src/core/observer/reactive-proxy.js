@@ -0,0 +1,159 @@
+/* @flow */
+
+import Dep from './dep'
+import { observe, toRaw } from './index'
+import { activeHistories, recordMutation } from './history'
+import { updateReadonlyViews } from './readonly'
+import { hasOwn } from '../util/index'
+
+/**
+ * Create the Proxy used to observe a plain object or an array when
+ * `config.reactivity` is 'proxy'. Each key gets its own lazily created
+ * Dep, so added keys, `in` checks and index assignments are tracked,
+ * while the observer's own dep is still notified on structural changes
+ * (and on any array mutation) just like in defineProperty mode.
+ * 创建proxy模式下的响应式代理对象
+ * @param {object | Array} value 需要代理的对象或数组
+ */
+export function createReactiveProxy (value: Object | Array<any>): any {
+  return new Proxy(value, reactiveHandlers)
+}
+
+const reactiveHandlers = {
+  get (target: any, key: any, receiver: any): any {
+    const value = Reflect.get(target, key, receiver)
+    // 内部属性和symbol不收集依赖
+    if (key === '__ob__' || isSymbol(key)) {
+      return value
+    }
+    const ob = target.__ob__
+    // inherited keys (e.g. array methods) are not tracked, but missing
+    // keys are, so that adding them later triggers an update
+    // 不追踪原型上的属性
+    if (Dep.target && (hasOwn(target, key) || !(key in target))) {
+      if (process.env.NODE_ENV !== 'production') {
+        getKeyDep(ob, key).depend({ target, type: 'get', key })
+      } else {
+        getKeyDep(ob, key).depend()
+      }
+      // 数组的任何读取都依赖整个数组
+      if (Array.isArray(target)) {
+        ob.dep.depend()
+      }
+    }
+    if (ob.shallow) {
+      return value
+    }
+    // 惰性观察子对象，并且返回子对象的代理
+    const childOb = observe(value)
+    if (!childOb) {
+      return value
+    }
+    if (Dep.target) {
+      childOb.dep.depend()
+    }
+    return childOb.proxy || value
+  },
+
+  set (target: any, key: any, value: any): boolean {
+    const hadKey = hasOwn(target, key)
+    const oldValue = target[key]
+    // 存储原始对象而不是代理对象
+    const newValue = toRaw(value)
+    const result = Reflect.set(target, key, newValue)
+    /* eslint-disable no-self-compare */
+    if (
+      result &&
+      !isSymbol(key) &&
+      (!hadKey || !(newValue === oldValue || (newValue !== newValue && oldValue !== oldValue)))
+    ) {
+      trigger(target, hadKey ? 'set' : 'add', key, newValue, oldValue)
+    }
+    /* eslint-enable no-self-compare */
+    return result
+  },
+
+  deleteProperty (target: any, key: any): boolean {
+    const hadKey = hasOwn(target, key)
+    const oldValue = target[key]
+    const result = Reflect.deleteProperty(target, key)
+    if (result && hadKey && !isSymbol(key)) {
+      trigger(target, 'delete', key, undefined, oldValue)
+    }
+    return result
+  },
+
+  has (target: any, key: any): boolean {
+    // `in`检查依赖对应属性
+    if (Dep.target && !isSymbol(key)) {
+      const ob = target.__ob__
+      if (process.env.NODE_ENV !== 'production') {
+        getKeyDep(ob, key).depend({ target, type: 'has', key })
+      } else {
+        getKeyDep(ob, key).depend()
+      }
+    }
+    return Reflect.has(target, key)
+  },
+
+  ownKeys (target: any): Array<any> {
+    // 遍历属性依赖整个对象，新增或者删除属性时触发
+    if (Dep.target) {
+      if (process.env.NODE_ENV !== 'production') {
+        target.__ob__.dep.depend({ target, type: 'iterate' })
+      } else {
+        target.__ob__.dep.depend()
+      }
+    }
+    return Reflect.ownKeys(target)
+  }
+}
+
+/**
+ * 判断属性是否为symbol
+ */
+function isSymbol (key: any): boolean {
+  // $flow-disable-line
+  return typeof key === 'symbol'
+}
+
+/**
+ * 获取属性对应的dep，不存在则创建
+ */
+function getKeyDep (ob: any, key: any): Dep {
+  const deps = ob.keyDeps || (ob.keyDeps = Object.create(null))
+  return deps[key] || (deps[key] = new Dep())
+}
+
+/**
+ * Notify the dep of the mutated key, plus the observer's own dep when
+ * keys were added or removed, or when an array was mutated.
+ * 触发更新
+ */
+function trigger (
+  target: any,
+  type: 'set' | 'add' | 'delete',
+  key: any,
+  newValue: any,
+  oldValue: any
+) {
+  const ob = target.__ob__
+  const dep = ob.keyDeps && ob.keyDeps[key]
+  const notifyOb = type !== 'set' || Array.isArray(target)
+  if (process.env.NODE_ENV !== 'production') {
+    const info = { target, type, key, newValue, oldValue }
+    dep && dep.notify(info)
+    notifyOb && ob.dep.notify(info)
+  } else {
+    dep && dep.notify()
+    notifyOb && ob.dep.notify()
+  }
+  // 记录修改用于撤销/重做
+  if (activeHistories.length) {
+    recordMutation(target, type, key, newValue, oldValue)
+  }
+  // 同步只读对象的属性
+  if (notifyOb) {
+    updateReadonlyViews(target)
+  }
+}
@@ -0,0 +1,177 @@
+/* @flow */
+
+import { observe, isReadonly, toReactive, toRaw } from './index'
+import { def, warn, hasOwn, isPlainObject } from '../util/index'
+
+/**
+ * Create a readonly view of an object. Reads go through the
+ * source object, so the view stays reactive to changes made on
+ * the source, while writes warn in development. Nested plain
+ * objects and arrays are returned as readonly views as well.
+ * 创建只读对象，读取时代理到源对象，修改时报警告
+ * @param {object} target 源对象
+ * @param {boolean} shallow 是否只对第一层只读
+ */
+export function readonly (target: any, shallow?: boolean): any {
+  // 只支持普通对象
+  if (!isPlainObject(target)) {
+    if (process.env.NODE_ENV !== 'production') {
+      if (Array.isArray(target)) {
+        warn(`Vue 2 does not support readonly arrays.`)
+      } else {
+        warn(`value cannot be made readonly: ${String(target)}`)
+      }
+    }
+    return target
+  }
+  return createReadonly(target, shallow)
+}
+
+/**
+ * Update the readonly views of an object after keys were added to or
+ * deleted from it, or of an array after it was mutated. Called from
+ * Vue.set / Vue.delete, the array methods and the proxy traps.
+ * 源对象新增或删除属性时同步只读对象的属性
+ * @param {object | Array} target 源对象
+ */
+export function updateReadonlyViews (target: any) {
+  target = toRaw(target)
+  const view = target.__v_rawToReadonly
+  const shallowView = target.__v_rawToShallowReadonly
+  if (view) {
+    syncReadonlyKeys(view, toReactive(target), target)
+  }
+  if (shallowView) {
+    syncReadonlyKeys(shallowView, toReactive(target), target, true)
+  }
+}
+
+/**
+ * 创建只读对象或只读数组
+ * @param {object | Array} target 源对象
+ * @param {boolean} shallow 是否只对第一层只读
+ */
+function createReadonly (target: any, shallow?: boolean): any {
+  target = toRaw(target)
+  // 已经是只读对象则直接返回
+  if (isReadonly(target)) {
+    return target
+  }
+  // 获取缓存的只读对象
+  const cacheKey = shallow ? '__v_rawToShallowReadonly' : '__v_rawToReadonly'
+  if (target[cacheKey]) {
+    return target[cacheKey]
+  }
+  // make sure the source is reactive so the view can track it
+  // 观察源对象，保证只读对象也是响应式的
+  observe(target)
+
+  const isArray = Array.isArray(target)
+  const proxy: any = isArray ? [] : Object.create(Object.getPrototypeOf(target))
+  def(proxy, '__v_isReadonly', true)
+  def(proxy, '__v_raw', target)
+  // the view itself should never be observed
+  def(proxy, '__v_skip', true)
+  // 只读数组的修改方法只报警告
+  if (isArray) {
+    proxy.__proto__ = readonlyArrayMethods
+  }
+  // 缓存只读对象
+  if (Object.isExtensible(target)) {
+    def(target, cacheKey, proxy)
+  }
+  // 遍历属性定义只读属性，proxy模式下从代理对象读取以收集依赖
+  syncReadonlyKeys(proxy, toReactive(target), target, shallow)
+  return proxy
+}
+
+/**
+ * Array methods of the readonly array views: the mutating ones only warn.
+ * 只读数组的方法，修改方法只报警告
+ */
+const readonlyArrayMethods = Object.create(Array.prototype)
+
+const methodsToBlock = [
+  'push',
+  'pop',
+  'shift',
+  'unshift',
+  'splice',
+  'sort',
+  'reverse',
+  'fill',
+  'copyWithin'
+]
+
+methodsToBlock.forEach(method => {
+  def(readonlyArrayMethods, method, function () {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Array method "${method}" failed: target is readonly.`
+    )
+  })
+})
+
+/**
+ * 同步只读对象和源对象的属性
+ * @param {object} proxy 只读对象
+ * @param {object} source 读取的源对象
+ * @param {object} target 原始的源对象
+ * @param {boolean} shallow 是否浅只读
+ */
+function syncReadonlyKeys (
+  proxy: any,
+  source: any,
+  target: any,
+  shallow?: boolean
+) {
+  // 数组按长度同步下标
+  if (Array.isArray(target)) {
+    for (let i = proxy.length; i < target.length; i++) {
+      defineReadonlyProperty(proxy, source, i, shallow)
+    }
+    proxy.length = target.length
+    return
+  }
+  const keys = Object.keys(target)
+  for (let i = 0; i < keys.length; i++) {
+    if (!hasOwn(proxy, keys[i])) {
+      defineReadonlyProperty(proxy, source, keys[i], shallow)
+    }
+  }
+  const viewKeys = Object.keys(proxy)
+  for (let i = 0; i < viewKeys.length; i++) {
+    if (!hasOwn(target, viewKeys[i])) {
+      delete proxy[viewKeys[i]]
+    }
+  }
+}
+
+/**
+ * 定义只读属性
+ * @param {object} proxy 只读对象
+ * @param {object} target 源对象
+ * @param {string | number} key 属性名
+ * @param {boolean} shallow 是否浅只读
+ */
+function defineReadonlyProperty (
+  proxy: any,
+  target: any,
+  key: string | number,
+  shallow?: boolean
+) {
+  Object.defineProperty(proxy, key, {
+    enumerable: true,
+    configurable: true,
+    get () {
+      const val = target[key]
+      return shallow || !(isPlainObject(val) || Array.isArray(val))
+        ? val
+        : createReadonly(val)
+    },
+    set () {
+      process.env.NODE_ENV !== 'production' && warn(
+        `Set operation on key "${key}" failed: target is readonly.`
+      )
+    }
+  })
+}
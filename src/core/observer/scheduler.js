@@ -6,13 +6,24 @@ import { callHook, activateChildComponent } from '../instance/lifecycle'
 
 import {
   warn,
+  hasOwn,
   nextTick,
   devtools,
   inBrowser,
-  isIE
+  isIE,
+  isNative
 } from '../util/index'
 
 export const MAX_UPDATE_COUNT = 100
+
+// update priorities, lower values are flushed first
+// 更新优先级，值越小越先刷新
+export const PRIORITIES = {
+  'user-blocking': 0,
+  'normal': 1,
+  'idle': 2
+}
+export const DEFAULT_PRIORITY = PRIORITIES.normal
 // 存储观察者队列
 const queue: Array<Watcher> = []
 const activatedChildren: Array<Component> = []
@@ -21,6 +32,7 @@ let has: { [key: number]: ?true } = {}
 let circular: { [key: number]: number } = {}
 let waiting = false
 let flushing = false
+let yielded = false
 let index = 0
 
 /**
@@ -33,7 +45,7 @@ function resetSchedulerState () {
   if (process.env.NODE_ENV !== 'production') {
     circular = {}
   }
-  waiting = flushing = false
+  waiting = flushing = yielded = false
 }
 
 // Async edge case #6566 requires saving the timestamp when event listeners are
@@ -67,16 +79,73 @@ if (inBrowser && !isIE) {
   }
 }
 
+/**
+ * Resolve the update priority of a component. A component is never
+ * more urgent than its parent, so sorting by priority keeps the
+ * parent-before-child update order; components without the option
+ * inherit the priority of their parent.
+ * 获取组件的更新优先级，不能高于父组件的优先级
+ * @param {object} vm 组件实例
+ * @param {object} parent 父组件
+ */
+export function resolvePriority (vm: Component, parent: ?Component): number {
+  const parentPriority = parent ? parent._priority : DEFAULT_PRIORITY
+  const priority = vm.$options.priority
+  if (priority == null) {
+    return parentPriority
+  }
+  if (!hasOwn(PRIORITIES, priority)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Invalid priority option: "${String(priority)}". ` +
+      `Expected one of ${Object.keys(PRIORITIES).join(', ')}.`,
+      vm
+    )
+    return parentPriority
+  }
+  return Math.max(PRIORITIES[priority], parentPriority)
+}
+
+/**
+ * Watchers with `flush: 'pre'` created after their component's render
+ * watcher are sorted as the render watcher, and before it, so that they
+ * still run before the component re-renders.
+ * pre的watcher在组件的渲染watcher之前执行
+ */
+function getSortId (watcher: Watcher): number {
+  const renderWatcher = watcher.pre && watcher.vm && watcher.vm._watcher
+  return renderWatcher && renderWatcher.id < watcher.id
+    ? renderWatcher.id
+    : watcher.id
+}
+
+/**
+ * Watchers with `flush: 'post'` run after every other watcher
+ * (render watchers included) in the same flush, so they see the
+ * patched DOM. Otherwise watchers run by priority, then in creation
+ * order.
+ * 排序方法，post的watcher排在最后，其他按照优先级和id从小到大排序
+ */
+function sortCompareFn (a: Watcher, b: Watcher): number {
+  if (a.post) {
+    if (!b.post) return 1
+  } else if (b.post) {
+    return -1
+  }
+  return a.priority - b.priority ||
+    getSortId(a) - getSortId(b) ||
+    (b.pre ? 1 : 0) - (a.pre ? 1 : 0) ||
+    a.id - b.id
+}
+
 /**
  * Flush both queues and run the watchers.
  * 刷新队列
  */
-function flushSchedulerQueue () {
+function flushSchedulerQueue (sync?: boolean) {
   // 获取当前时间戳
   currentFlushTimestamp = getNow()
   // 刷新
   flushing = true
-  let watcher, id
 
   // Sort queue before flush.
   // This ensures that:
@@ -86,14 +155,58 @@ function flushSchedulerQueue () {
   //    user watchers are created before the render watcher)
   // 3. If a component is destroyed during a parent component's watcher run,
   //    its watchers can be skipped.
-  queue.sort((a, b) => a.id - b.id) // 排列顺序从小 到达排序
+  // 4. Watchers with `flush: 'pre'` run before their component's render
+  //    watcher, even when created after it.
+  // 5. Watchers with `flush: 'post'` run after all components are patched.
+  queue.sort(sortCompareFn) // 排列顺序从小 到达排序
+  index = 0
+  runSchedulerQueue(sync)
+}
+
+/**
+ * Flush the queued watchers synchronously without waiting for the next
+ * tick, including a flush paused by the time budget. Does nothing when
+ * called from a running flush.
+ * 同步刷新队列
+ */
+export function flushSchedulerQueueSync () {
+  if (!waiting || (flushing && !yielded)) {
+    return
+  }
+  if (flushing) {
+    yielded = false
+    runSchedulerQueue(true)
+  } else {
+    flushSchedulerQueue(true)
+  }
+}
 
+/**
+ * Run the queued watchers from the current index. When a time budget
+ * is configured and it runs out, the rest of the queue is run in a
+ * later task so that the browser can handle input in between.
+ * User-blocking watchers and synchronous flushes never yield.
+ * 执行队列中的watcher，超出时间预算则让出主线程，稍后继续执行
+ */
+function runSchedulerQueue (sync?: boolean) {
+  const budget = config.async && !sync ? config.flushTimeBudget : Infinity
+  const sliceStart = getNow()
+  let watcher, id
   // do not cache length because more watchers might be pushed
   // as we run existing watchers
   // 遍历队列数组
-  for (index = 0; index < queue.length; index++) {
+  for (let ran = 0; index < queue.length; index++, ran++) {
     // 获取对应watcher
     watcher = queue[index]
+    // 超出时间预算并且至少执行过一个watcher，则让出主线程
+    if (
+      ran > 0 &&
+      watcher.priority !== PRIORITIES['user-blocking'] &&
+      getNow() - sliceStart > budget
+    ) {
+      yieldSchedulerQueue()
+      return
+    }
     // 判断是否有before前置方法，则调用
     if (watcher.before) {
       watcher.before()
@@ -122,6 +235,13 @@ function flushSchedulerQueue () {
     }
   }
 
+  finishSchedulerQueue()
+}
+
+/**
+ * 所有watcher执行完毕，调用updated和activated钩子
+ */
+function finishSchedulerQueue () {
   // keep copies of post queues before resetting state
   const activatedQueue = activatedChildren.slice()
   const updatedQueue = queue.slice()
@@ -139,12 +259,42 @@ function flushSchedulerQueue () {
   }
 }
 
+let channel: ?MessageChannel = null
+
+/**
+ * Continue the flush in a new macro task. nextTick is a micro task
+ * and would not let the browser handle pending input.
+ * 在下一个宏任务中继续刷新
+ */
+function yieldSchedulerQueue () {
+  yielded = true
+  if (inBrowser && typeof MessageChannel !== 'undefined' && isNative(MessageChannel)) {
+    if (!channel) {
+      channel = new MessageChannel()
+      channel.port1.onmessage = resumeSchedulerQueue
+    }
+    channel.port2.postMessage(null)
+  } else {
+    setTimeout(resumeSchedulerQueue, 0)
+  }
+}
+
+function resumeSchedulerQueue () {
+  // already resumed by a synchronous flush
+  if (!yielded) return
+  yielded = false
+  // listeners attached from now on must ignore events that were
+  // fired while the flush was paused
+  currentFlushTimestamp = getNow()
+  runSchedulerQueue()
+}
+
 function callUpdatedHooks (queue) {
   let i = queue.length
   while (i--) {
     const watcher = queue[i]
     const vm = watcher.vm
-    if (vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
+    if (vm && vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
       callHook(vm, 'updated')
     }
   }
@@ -197,7 +347,7 @@ export function queueWatcher (watcher: Watcher) {
       // 获取最后的index
       let i = queue.length - 1
       // 找到对应的位置id从小到大排序
-      while (i > index && queue[i].id > watcher.id) {
+      while (i > index && sortCompareFn(queue[i], watcher) > 0) {
         i--
       }
       // 添加到对应的位置
@@ -3,6 +3,7 @@
 import { _Set as Set, isObject } from '../util/index'
 import type { SimpleSet } from '../util/index'
 import VNode from '../vdom/vnode'
+import { isCollection, collectionValues } from './collection'
 
 const seenObjects = new Set()
 
@@ -32,6 +33,12 @@ function _traverse (val: any, seen: SimpleSet) {
   if (isA) {
     i = val.length
     while (i--) _traverse(val[i], seen)
+  } else if (isCollection(val)) {
+    // touch size so mutations of the collection itself are tracked
+    void val.size
+    const values = collectionValues(val)
+    i = values.length
+    while (i--) _traverse(values[i], seen)
   } else {
     keys = Object.keys(val)
     i = keys.length
@@ -11,13 +11,16 @@ import {
 } from '../util/index'
 
 import { traverse } from './traverse'
-import { queueWatcher } from './scheduler'
+import { queueWatcher, DEFAULT_PRIORITY } from './scheduler'
 import Dep, { pushTarget, popTarget } from './dep'
+import { activeEffectScope, recordEffectScope } from './effect-scope'
 
 import type { SimpleSet } from '../util/index'
 
 let uid = 0
 
+const validFlushModes = ['pre', 'post', 'sync']
+
 /**
  * A watcher parses an expression, collects dependencies,
  * and fires callback when the expression value changes.
@@ -25,7 +28,7 @@ let uid = 0
  * 观察者类
  */
 export default class Watcher {
-  vm: Component;
+  vm: ?Component;
   expression: string;
   cb: Function;
   id: number;
@@ -33,6 +36,10 @@ export default class Watcher {
   user: boolean;
   lazy: boolean;
   sync: boolean;
+  pre: boolean;
+  post: boolean;
+  multi: boolean;
+  cleanup: ?Function;
   dirty: boolean;
   active: boolean;
   deps: Array<Dep>;
@@ -40,43 +47,69 @@ export default class Watcher {
   depIds: SimpleSet;
   newDepIds: SimpleSet;
   before: ?Function;
+  priority: number;
+  onTrack: ?Function;
+  onTrigger: ?Function;
   getter: Function;
   value: any;
   /**
    * 构造函数
-   * @param {object} vm 组件实例
+   * @param {object} vm 组件实例，在组件外创建时为null
    * @param {string|function} expOrFn
    * @param {function} cb 回调
    * @param {object} options 配置
    * @param {boolean} isRenderWatcher 是否为负责渲染的watcher
    */
   constructor (
-    vm: Component,
-    expOrFn: string | Function,
+    vm: ?Component,
+    expOrFn: string | Function | Array<string | Function>,
     cb: Function,
     options?: ?Object,
     isRenderWatcher?: boolean
   ) {
+    // 组件的watcher总是归属于组件的作用域，组件外创建的记录到当前作用域
+    recordEffectScope(this, vm ? vm._scope : activeEffectScope)
     // 设置vm
     this.vm = vm
-    // 是否渲染watcher
-    if (isRenderWatcher) {
-      // 设置_watcher
-      vm._watcher = this
+    if (vm) {
+      // 是否渲染watcher
+      if (isRenderWatcher) {
+        // 设置_watcher
+        vm._watcher = this
+      }
+      // 添加wathcer到实例的_watchers数组内
+      vm._watchers.push(this)
     }
-    // 添加wathcer到实例的_watchers数组内
-    vm._watchers.push(this)
     // options
     // 如果配置存在
     if (options) {
       this.deep = !!options.deep // 深度
       this.user = !!options.user // 目前不知道干啥的
       this.lazy = !!options.lazy // 懒
-      this.sync = !!options.sync
+      this.sync = !!options.sync || options.flush === 'sync' // 同步触发
+      this.pre = options.flush === 'pre' // 在组件渲染之前触发
+      this.post = options.flush === 'post' // 在patch之后触发
       this.before = options.before
+      // 调试钩子只在开发环境生效
+      if (process.env.NODE_ENV !== 'production') {
+        this.onTrack = options.onTrack
+        this.onTrigger = options.onTrigger
+      }
+      if (
+        process.env.NODE_ENV !== 'production' &&
+        options.flush && validFlushModes.indexOf(options.flush) < 0
+      ) {
+        warn(
+          `Invalid watcher flush option: "${options.flush}". ` +
+          `Expected one of ${validFlushModes.join(', ')}.`,
+          vm
+        )
+      }
     } else {
-      this.deep = this.user = this.lazy = this.sync = false
+      this.deep = this.user = this.lazy = this.sync = this.pre = this.post = false
     }
+    // 更新优先级跟随组件
+    this.priority = vm ? vm._priority : DEFAULT_PRIORITY
     this.cb = cb // 获取回调
     this.id = ++uid // uid for batching 设置uid
     this.active = true // 默认为true
@@ -89,19 +122,14 @@ export default class Watcher {
       ? expOrFn.toString()
       : ''
     // parse expression for getter
-    if (typeof expOrFn === 'function') { // 如果 exporfun是方法的话
-      this.getter = expOrFn // 设置为对应的get
-    } else {
-      this.getter = parsePath(expOrFn) // 如果非function则拼接返回function
-      if (!this.getter) { // 判断是否获取失败
-        this.getter = noop // getter为空
-        process.env.NODE_ENV !== 'production' && warn(
-          `Failed watching path: "${expOrFn}" ` +
-          'Watcher only accepts simple dot-delimited paths. ' +
-          'For full control, use a function instead.',
-          vm
-        )
+    this.multi = Array.isArray(expOrFn)
+    if (Array.isArray(expOrFn)) { // 观察多个数据源，值为数组
+      const getters = expOrFn.map(source => parseGetter(source, vm))
+      this.getter = function (vm) {
+        return getters.map(getter => getter.call(vm, vm))
       }
+    } else {
+      this.getter = parseGetter(expOrFn, vm)
     }
     // 如果为懒，则值为undefined否则调用get获取值
     this.value = this.lazy
@@ -145,10 +173,11 @@ export default class Watcher {
   }
 
   /**
-   * Add a dependency to this directive.
-   * 添加dep依赖
+   * Add a dependency to this directive. Returns whether the dependency
+   * was new to the current evaluation.
+   * 添加dep依赖，返回是否为本次新收集的依赖
    */
-  addDep (dep: Dep) {
+  addDep (dep: Dep): boolean {
     // 获取depid
     const id = dep.id
     // 判断newdepid内是否不存在depid
@@ -161,7 +190,9 @@ export default class Watcher {
       if (!this.depIds.has(id)) {
         dep.addSub(this) // dep添加依赖
       }
+      return true
     }
+    return false
   }
 
   /**
@@ -225,22 +256,21 @@ export default class Watcher {
       const value = this.get()
       // 判断新旧value是否相同，或者是对象，或者deep深
       if (
-        value !== this.value ||
-        // Deep watchers and watchers on Object/Arrays should fire even
-        // when the value is the same, because the value may
-        // have mutated.
-        isObject(value) ||
+        // multi-source watchers compare each source separately
+        (this.multi
+          ? hasMultiSourceChanged(value, this.value)
+          : value !== this.value ||
+            // Deep watchers and watchers on Object/Arrays should fire even
+            // when the value is the same, because the value may
+            // have mutated.
+            isObject(value)) ||
         this.deep
       ) {
         // set new value
         const oldValue = this.value // 获取oldvalue
         this.value = value // 设置成新的值
         if (this.user) { //
-          try {
-            this.cb.call(this.vm, value, oldValue)
-          } catch (e) {
-            handleError(e, this.vm, `callback for watcher "${this.expression}"`)
-          }
+          this.invokeCallback(value, oldValue)
         } else {
           // 调用回调
           this.cb.call(this.vm, value, oldValue)
@@ -249,6 +279,37 @@ export default class Watcher {
     }
   }
 
+  /**
+   * Invoke the user callback. It also receives an onCleanup function,
+   * whose callback runs before the next invocation and when the
+   * watcher is torn down.
+   * 调用用户回调
+   */
+  invokeCallback (value: any, oldValue: any) {
+    // 调用上一次注册的清理方法
+    this.runCleanup()
+    try {
+      this.cb.call(this.vm, value, oldValue, fn => { this.cleanup = fn })
+    } catch (e) {
+      handleError(e, this.vm, `callback for watcher "${this.expression}"`)
+    }
+  }
+
+  /**
+   * 调用清理方法
+   */
+  runCleanup () {
+    const cleanup = this.cleanup
+    if (cleanup) {
+      this.cleanup = null
+      try {
+        cleanup()
+      } catch (e) {
+        handleError(e, this.vm, `cleanup for watcher "${this.expression}"`)
+      }
+    }
+  }
+
   /**
    * Evaluate the value of the watcher.
    * This only gets called for lazy watchers.
@@ -283,10 +344,14 @@ export default class Watcher {
       // this is a somewhat expensive operation so we skip it
       // if the vm is being destroyed.
       // vm销毁了，我们就跳过删除自身
-      if (!this.vm._isBeingDestroyed) {
+      const vm = this.vm
+      if (vm && !vm._isBeingDestroyed) {
         // 从实例中的watchers移除自己
-        remove(this.vm._watchers, this)
+        remove(vm._watchers, this)
+        remove(vm._scope.effects, this)
       }
+      // 调用清理方法
+      this.runCleanup()
       // 获取dep的长度
       let i = this.deps.length
       // 遍历dep依赖
@@ -299,3 +364,42 @@ export default class Watcher {
     }
   }
 }
+
+/**
+ * Create the getter for a single watch source.
+ * 解析观察源获取getter
+ * @param {string|function} source 属性路径或者方法
+ * @param {object} vm 组件实例
+ */
+function parseGetter (source: string | Function, vm: ?Component): Function {
+  // 如果 source是方法的话直接作为getter
+  if (typeof source === 'function') {
+    return source
+  }
+  // 如果非function则拼接返回function
+  const getter = parsePath(source)
+  if (!getter) { // 判断是否获取失败
+    process.env.NODE_ENV !== 'production' && warn(
+      `Failed watching path: "${source}" ` +
+      'Watcher only accepts simple dot-delimited paths. ' +
+      'For full control, use a function instead.',
+      vm
+    )
+    return noop
+  }
+  return getter
+}
+
+/**
+ * Check if any source of a multi-source watcher has changed.
+ * Object values are treated as changed since they may have mutated.
+ * 判断多个数据源中是否有值发生变化
+ */
+function hasMultiSourceChanged (value: any, oldValue: any): boolean {
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] !== oldValue[i] || isObject(value[i])) {
+      return true
+    }
+  }
+  return false
+}
@@ -7,6 +7,19 @@ export let warn = noop
 export let tip = noop
 export let generateComponentTrace = (noop: any) // work around flow check
 export let formatComponentName = (noop: any)
+
+/**
+ * Get the config of the app an instance belongs to (see Vue.createApp),
+ * or the global config.
+ * 获取实例所属应用的配置，不属于应用则返回全局配置
+ * @param {object} vm vue实例
+ */
+export function getAppConfig (vm: any): Config {
+  const options = vm && vm.$options
+  const app = options && (options._app || (vm.$root && vm.$root.$options._app))
+  return app ? app.config : config
+}
+
 // 非生产环境
 if (process.env.NODE_ENV !== 'production') {
   // 判断是否存在console
@@ -24,11 +37,13 @@ if (process.env.NODE_ENV !== 'production') {
   warn = (msg, vm) => {
     // 获取组件栈
     const trace = vm ? generateComponentTrace(vm) : ''
+    // 所属应用的配置
+    const appConfig = getAppConfig(vm)
     // 判断配置是否存在错误触发函数
-    if (config.warnHandler) {
+    if (appConfig.warnHandler) {
       // 调用配置的
-      config.warnHandler.call(null, msg, vm, trace)
-    } else if (hasConsole && (!config.silent)) {
+      appConfig.warnHandler.call(null, msg, vm, trace)
+    } else if (hasConsole && (!appConfig.silent)) {
       // 调用console的error
       console.error(`[Vue warn]: ${msg}${trace}`)
     }
@@ -39,8 +54,8 @@ if (process.env.NODE_ENV !== 'production') {
    * @param {object} vm vue实例
    */
   tip = (msg, vm) => {
-    // 存在console，并且判断silent为false则提示
-    if (hasConsole && (!config.silent)) {
+    // 存在console，并且判断所属应用配置的silent为false则提示
+    if (hasConsole && (!getAppConfig(vm).silent)) {
       console.warn(`[Vue tip]: ${msg}` + (
         vm ? generateComponentTrace(vm) : ''
       ))
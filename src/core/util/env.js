@@ -91,6 +91,8 @@ export function isNative (Ctor: any): boolean {
 export const hasSymbol =
   typeof Symbol !== 'undefined' && isNative(Symbol) &&
   typeof Reflect !== 'undefined' && isNative(Reflect.ownKeys)
+/** 判断是否支持原生Proxy */
+export const hasProxy = typeof Proxy !== 'undefined' && isNative(Proxy)
 // 存储set对象
 let _Set
 /* istanbul ignore if */ // $flow-disable-line
@@ -1,7 +1,6 @@
 /* @flow */
 
-import config from '../config'
-import { warn } from './debug'
+import { warn, getAppConfig } from './debug'
 import { inBrowser, inWeex } from './env'
 import { isPromise } from 'shared/util'
 import { pushTarget, popTarget } from '../observer/dep'
@@ -13,7 +12,8 @@ export function handleError (err: Error, vm: any, info: string) {
   try {
     if (vm) {
       let cur = vm
-      while ((cur = cur.$parent)) {
+      // $options.parent also includes abstract parents, e.g. <error-boundary>
+      while ((cur = cur.$options.parent)) {
         const hooks = cur.$options.errorCaptured
         if (hooks) {
           for (let i = 0; i < hooks.length; i++) {
@@ -69,9 +69,10 @@ export function invokeWithErrorHandling (
 }
 
 function globalHandleError (err, vm, info) {
-  if (config.errorHandler) {
+  const { errorHandler } = getAppConfig(vm)
+  if (errorHandler) {
     try {
-      return config.errorHandler.call(null, err, vm, info)
+      return errorHandler.call(null, err, vm, info)
     } catch (e) {
       // if the user intentionally throws the original error in the handler,
       // do not log it twice
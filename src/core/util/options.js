@@ -350,7 +350,9 @@ strats.watch = function (
 strats.props =
 strats.methods =
 strats.inject =
-strats.computed = function (
+strats.emits =
+strats.computed =
+strats.asyncComputed = function (
   parentVal: ?Object,
   childVal: ?Object,
   vm?: Component,
@@ -480,6 +482,28 @@ function normalizeInject (options: Object, vm: ?Component) {
   }
 }
 
+/**
+ * Normalize emits into Object-based format, with the validator
+ * function (or null) of each declared event as value.
+ */
+function normalizeEmits (options: Object, vm: ?Component) {
+  const emits = options.emits
+  if (!emits) return
+  if (Array.isArray(emits)) {
+    const normalized = options.emits = {}
+    for (let i = 0; i < emits.length; i++) {
+      normalized[emits[i]] = null
+    }
+  } else if (!isPlainObject(emits)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Invalid value for option "emits": expected an Array or an Object, ` +
+      `but got ${toRawType(emits)}.`,
+      vm
+    )
+    options.emits = undefined
+  }
+}
+
 /**
  * Normalize raw function directives into object format.
  */
@@ -536,6 +560,8 @@ export function mergeOptions (
   normalizeProps(child, vm)
   // 规范化inject
   normalizeInject(child, vm)
+  // 规范化emits
+  normalizeEmits(child, vm)
   // 规范化指令
   normalizeDirectives(child)
 
@@ -559,6 +585,13 @@ export function mergeOptions (
       }
     }
   }
+  // the components of an app are merged with the strategies of the app
+  // (see Vue.createApp), which fall back to the global ones
+  // 应用的组件使用应用的合并策略
+  const app = child._app || parent._app
+  const appStrats: { [key: string]: Function } = app
+    ? app.config.optionMergeStrategies
+    : strats
   // 暂存配置
   const options = {}
   let key
@@ -581,7 +614,7 @@ export function mergeOptions (
    */
   function mergeField (key) {
     // 获取对应合并策略
-    const strat = strats[key] || defaultStrat
+    const strat = appStrats[key] || defaultStrat
     // 调用对应合并策略方法，设置对应options属性
     options[key] = strat(parent[key], child[key], vm, key)
   }
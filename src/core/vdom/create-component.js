@@ -57,7 +57,10 @@ const componentVNodeHooks = { // 组件各阶段钩子
         vnode,
         activeInstance
       )
-      child.$mount(hydrating ? vnode.elm : undefined, hydrating)
+      // 延迟注水的组件由patch在注水策略触发时挂载
+      if (!hydrating || isUndef(child.$options.hydrate)) {
+        child.$mount(hydrating ? vnode.elm : undefined, hydrating)
+      }
     }
   },
   /**
@@ -226,14 +229,24 @@ export function createComponent (
   // 判断构造器是否为抽象
   if (isTrue(Ctor.options.abstract)) {
     // abstract components do not keep anything
-    // other than props & listeners & slot
+    // other than props & listeners & slot & scoped slots & ref
 
     // work around flow
     const slot = data.slot // 暂存slot插槽
+    const scopedSlots = data.scopedSlots // 暂存作用域插槽，例如<suspense>的#fallback
+    const ref = data.ref // 暂存ref，例如通过$refs访问<keep-alive>实例
+    const refInFor = !!data.refInFor
     data = {} // 设置data为空
     if (slot) { // 如果插槽存在
       data.slot = slot // 重新赋值
     }
+    if (scopedSlots) {
+      data.scopedSlots = scopedSlots
+    }
+    if (ref) {
+      data.ref = ref
+      data.refInFor = refInFor
+    }
   }
 
   // install component management hooks onto the placeholder node
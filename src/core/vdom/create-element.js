@@ -1,6 +1,5 @@
 /* @flow */
 
-import config from '../config'
 import VNode, { createEmptyVNode } from './vnode'
 import { createComponent } from './create-component'
 import { traverse } from '../observer/traverse'
@@ -12,7 +11,8 @@ import {
   isTrue,
   isObject,
   isPrimitive,
-  resolveAsset
+  resolveAsset,
+  getAppConfig
 } from '../util/index'
 
 import {
@@ -130,6 +130,9 @@ export function _createElement (
   let vnode, ns
   if (typeof tag === 'string') { // 判断tag如果为字符串
     let Ctor
+    // platform hooks of the app or custom renderer rendering the element
+    // 平台相关的配置，可能来自自定义渲染器
+    const config = getAppConfig(context)
     // 获取namespace
     ns = (context.$vnode && context.$vnode.ns) || config.getTagNamespace(tag)
     // 判断是否为保留的html自带标签和svg标签
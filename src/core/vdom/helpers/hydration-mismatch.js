@@ -0,0 +1,151 @@
+/* @flow */
+
+import { warn, isDef, getAppConfig, generateComponentTrace } from 'core/util/index'
+import {
+  isBooleanAttr,
+  isEnumeratedAttr,
+  isFalsyAttrValue,
+  convertEnumeratedValue
+} from 'web/util/attrs'
+
+export type HydrationMismatchType = 'node' | 'text' | 'attrs' | 'html' | 'children';
+
+export type HydrationMismatch = {
+  type: HydrationMismatchType;
+  expected: any;
+  actual: any;
+  path: string;
+  trace: string;
+  node: Node;
+  vnode: VNode;
+  vm: ?Component;
+};
+
+/**
+ * Report a difference between the server-rendered DOM and the virtual DOM
+ * being hydrated, to `config.hydrationMismatchHandler` or as a warning.
+ * `expected` is what the client renders, `actual` what the server rendered.
+ * 报告服务端渲染的DOM与注水的虚拟DOM之间的差异
+ * @param {string} type 差异类型
+ * @param {Node} node 服务端渲染的节点
+ * @param {VNode} vnode 虚拟node
+ * @param {any} expected 客户端渲染的内容
+ * @param {any} actual 服务端渲染的内容
+ */
+export function reportHydrationMismatch (
+  type: HydrationMismatchType,
+  node: Node,
+  vnode: VNode,
+  expected: any,
+  actual: any
+) {
+  const vm = vnode.context
+  const path = getDomPath(node)
+  const handler = getAppConfig(vm).hydrationMismatchHandler
+  if (handler) {
+    handler({
+      type,
+      expected,
+      actual,
+      path,
+      trace: (vm && generateComponentTrace(vm)) || '',
+      node,
+      vnode,
+      vm
+    })
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(
+      `Hydration ${type} mismatch: the client-side rendered virtual DOM is ` +
+      `not matching server-rendered content at "${path}". The mismatched ` +
+      `content is rendered on the client.\n` +
+      `- rendered on the server: ${JSON.stringify(actual)}\n` +
+      `- expected on the client: ${JSON.stringify(expected)}`,
+      vm
+    )
+  }
+}
+
+/**
+ * Get the attributes of a vnode not matching the server-rendered element,
+ * as `{ expected, actual }` maps, absent attributes being null.
+ * 获取与服务端渲染的元素不一致的属性
+ * @param {Element} elm 服务端渲染的元素
+ * @param {object} attrs vnode的属性
+ */
+export function getAttrsMismatch (
+  elm: Element,
+  attrs: { [key: string]: any }
+): ?{ expected: Object, actual: Object } {
+  let mismatch
+  for (const key in attrs) {
+    const value = attrs[key]
+    const actual = elm.getAttribute(key)
+    let expected
+    if (isBooleanAttr(key)) {
+      expected = isFalsyAttrValue(value) ? null : key
+      // the value of boolean attributes does not matter
+      if ((actual === null) === (expected === null)) continue
+    } else if (isEnumeratedAttr(key)) {
+      expected = convertEnumeratedValue(key, value)
+    } else {
+      expected = isFalsyAttrValue(value) ? null : String(value)
+    }
+    if (actual !== expected) {
+      mismatch = mismatch || { expected: {}, actual: {} }
+      mismatch.expected[key] = expected
+      mismatch.actual[key] = actual
+    }
+  }
+  return mismatch
+}
+
+/**
+ * Describe a node for mismatch reports, e.g. `<div>`, `"text"`
+ * 描述节点
+ */
+export function describeNode (node: any): string {
+  return node.nodeType === 1
+    ? `<${node.tagName.toLowerCase()}>`
+    : node.nodeType === 8 ? `<!--${node.data}-->` : node.data
+}
+
+/**
+ * Describe a vnode like the node it renders
+ * 描述vnode
+ */
+export function describeVNode (vnode: VNode): string {
+  return isDef(vnode.tag)
+    ? `<${vnode.tag}>`
+    : vnode.isComment ? `<!--${vnode.text || ''}-->` : String(vnode.text)
+}
+
+/**
+ * Get a selector-like path of a node from the closest element with an id,
+ * or the document body.
+ * 获取节点的路径
+ * @param {Node} node 节点
+ */
+export function getDomPath (node: any): string {
+  const segments = []
+  let el = node
+  if (el.nodeType !== 1) {
+    segments.push(el.nodeType === 3 ? '#text' : '#comment')
+    el = el.parentNode
+  }
+  while (el && el.nodeType === 1 && el.tagName !== 'BODY' && el.tagName !== 'HTML') {
+    const tag = el.tagName.toLowerCase()
+    if (el.id) {
+      segments.unshift(`${tag}#${el.id}`)
+      break
+    }
+    const parent = el.parentNode
+    const siblings = parent && parent.children
+    if (siblings && siblings.length > 1) {
+      segments.unshift(`${tag}:nth-child(${Array.prototype.indexOf.call(siblings, el) + 1})`)
+    } else {
+      segments.unshift(tag)
+    }
+    el = parent
+  }
+  return segments.join(' > ')
+}
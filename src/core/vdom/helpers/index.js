@@ -7,3 +7,4 @@ export * from './normalize-children'
 export * from './resolve-async-component'
 export * from './get-first-component-child'
 export * from './is-async-placeholder'
+export * from './lazy-hydration'
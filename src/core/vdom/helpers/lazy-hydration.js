@@ -0,0 +1,111 @@
+/* @flow */
+
+import { warn, once, noop } from 'core/util/index'
+
+const interactionEvents = ['click', 'focusin', 'pointerdown', 'touchstart']
+
+/**
+ * Schedule the hydration of a server-rendered component according to its
+ * `hydrate` option:
+ * - 'idle': once the browser is idle
+ * - 'visible': once one of its elements enters the viewport
+ * - 'interaction': on the first click, focus or touch on its elements. The
+ *   triggering event is dispatched again once hydrated.
+ * - a function `(hydrate, nodes) => ?teardown` implementing a custom strategy
+ * Returns a function cancelling the scheduled hydration, or null when the
+ * component should be hydrated right away.
+ * 根据hydrate配置安排组件的延迟注水，返回取消方法，需要立即注水时返回null
+ * @param {string|Function} strategy 注水策略
+ * @param {Node[]} nodes 组件服务端渲染的节点
+ * @param {Function} hydrate 注水方法
+ */
+export function scheduleHydration (
+  strategy: string | Function,
+  nodes: Array<Node>,
+  hydrate: Function
+): ?Function {
+  let scheduling = true
+  let immediate = false
+  const run = once(() => {
+    if (scheduling) {
+      immediate = true
+    } else {
+      hydrate()
+    }
+  })
+  const teardown = setupStrategy(strategy, nodes, run)
+  scheduling = false
+  if (immediate) {
+    teardown()
+    return null
+  }
+  return teardown
+}
+
+function setupStrategy (
+  strategy: string | Function,
+  nodes: Array<Node>,
+  run: Function
+): Function {
+  const elements: Array<any> = nodes.filter(node => node.nodeType === 1)
+
+  if (typeof strategy === 'function') {
+    const teardown = strategy(run, nodes)
+    return typeof teardown === 'function' ? teardown : noop
+  }
+
+  if (strategy === 'idle') {
+    if (typeof window.requestIdleCallback === 'function') {
+      const id = window.requestIdleCallback(run)
+      return () => window.cancelIdleCallback(id)
+    }
+    const id = setTimeout(run, 1)
+    return () => clearTimeout(id)
+  }
+
+  if (strategy === 'visible' && elements.length && typeof window.IntersectionObserver === 'function') {
+    const observer = new window.IntersectionObserver(entries => {
+      for (let i = 0; i < entries.length; i++) {
+        if (entries[i].isIntersecting || entries[i].intersectionRatio > 0) {
+          observer.disconnect()
+          run()
+          return
+        }
+      }
+    })
+    elements.forEach(el => observer.observe(el))
+    return () => observer.disconnect()
+  }
+
+  if (strategy === 'interaction' && elements.length) {
+    const teardown = () => {
+      elements.forEach(el => {
+        interactionEvents.forEach(event => el.removeEventListener(event, onInteraction, true))
+      })
+    }
+    const onInteraction = (e: Event) => {
+      teardown()
+      // the handlers of the component are bound once hydrated, dispatch
+      // the event again for them
+      e.stopImmediatePropagation()
+      const target: any = e.target
+      run()
+      target.dispatchEvent(new (e.constructor: any)(e.type, e))
+    }
+    elements.forEach(el => {
+      interactionEvents.forEach(event => el.addEventListener(event, onInteraction, true))
+    })
+    return teardown
+  }
+
+  if (
+    process.env.NODE_ENV !== 'production' &&
+    strategy !== 'visible' &&
+    strategy !== 'interaction'
+  ) {
+    warn(`Unknown hydration strategy "${String(strategy)}", hydrating immediately.`)
+  }
+  // nothing to observe (e.g. text content) or not supported
+  run()
+  return noop
+}
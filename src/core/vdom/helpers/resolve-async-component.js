@@ -14,6 +14,7 @@ import {
 
 import { createEmptyVNode } from 'core/vdom/vnode'
 import { currentRenderingInstance } from 'core/instance/render'
+import { registerAsyncDep } from 'core/components/suspense'
 
 function ensureCtor (comp: any, base) {
   if (
@@ -63,6 +64,7 @@ export function resolveAsyncComponent (
     // already pending
     // 插入到实例数组内
     factory.owners.push(owner)
+    trackSuspense(factory, owner)
   }
   // 判断是否loading中，并且存在loading组件
   if (isTrue(factory.loading) && isDef(factory.loadingComp)) {
@@ -106,6 +108,14 @@ export function resolveAsyncComponent (
         }
       }
     }
+    // 通知等待中的suspense
+    const settle = () => {
+      const cbs = factory.suspenseCbs
+      if (isDef(cbs)) {
+        factory.suspenseCbs = undefined
+        for (let i = 0; i < cbs.length; i++) cbs[i]()
+      }
+    }
     // 创建resolve方法
     const resolve = once((res: Object | Class<Component>) => {
       // cache resolved
@@ -115,6 +125,7 @@ export function resolveAsyncComponent (
       // (async resolves are shimmed as synchronous during SSR)
       if (!sync) {
         forceRender(true)
+        settle()
       } else {
         owners.length = 0
       }
@@ -129,6 +140,8 @@ export function resolveAsyncComponent (
         factory.error = true
         forceRender(true)
       }
+      factory.rejected = true
+      settle()
     })
 
     const res = factory(resolve, reject)
@@ -177,9 +190,27 @@ export function resolveAsyncComponent (
     }
 
     sync = false
+    if (isUndef(factory.resolved)) {
+      trackSuspense(factory, owner)
+    }
     // return in case resolved synchronously
     return factory.loading
       ? factory.loadingComp
       : factory.resolved
   }
 }
+
+/**
+ * Make a pending async component an async dependency of the <suspense>
+ * containing its owner.
+ * 将等待中的异步组件注册为suspense的异步依赖
+ * @param {function} factory 工厂方法
+ * @param {object} owner 渲染该组件的vue实例
+ */
+function trackSuspense (factory: Function, owner: Component) {
+  if (isTrue(factory.rejected)) return
+  const done = registerAsyncDep(owner)
+  if (done) {
+    (factory.suspenseCbs || (factory.suspenseCbs = [])).push(done)
+  }
+}
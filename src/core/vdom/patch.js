@@ -10,13 +10,19 @@
  * of making flow understand it is not worth it.
  */
 
-import VNode, { cloneVNode } from './vnode'
-import config from '../config'
+import VNode, { cloneVNode, createFragmentVNode } from './vnode'
 import { SSR_ATTR } from 'shared/constants'
 import { registerRef } from './modules/ref'
 import { traverse } from '../observer/traverse'
 import { activeInstance } from '../instance/lifecycle'
 import { isTextInputType } from 'web/util/element'
+import { scheduleHydration } from './helpers/lazy-hydration'
+import {
+  reportHydrationMismatch,
+  getAttrsMismatch,
+  describeNode,
+  describeVNode
+} from './helpers/hydration-mismatch'
 
 import {
   warn,
@@ -25,7 +31,8 @@ import {
   isTrue,
   makeMap,
   isRegExp,
-  isPrimitive
+  isPrimitive,
+  getAppConfig
 } from '../util/index'
 
 export const emptyNode = new VNode('', {}, [])
@@ -43,6 +50,8 @@ function sameVnode (a, b) {
       (
         a.tag === b.tag &&
         a.isComment === b.isComment &&
+        // 区块只和同一结构的区块相同
+        a.blockId === b.blockId &&
         isDef(a.data) === isDef(b.data) &&
         sameInputType(a, b)
       ) || (
@@ -53,6 +62,30 @@ function sameVnode (a, b) {
     )
   )
 }
+/**
+ * Check that two blocks with the same id really share their static
+ * structure: the id is a hash of the template, which isn't trusted alone
+ * before their nodes are patched by position.
+ * 判断区块的静态结构是否相同，区块id只是模板的哈希，不能单独信任
+ * @param {VNode[]} oldCh 旧区块的子节点
+ * @param {VNode[]} ch 新区块的子节点
+ */
+function sameBlockTree (oldCh, ch) {
+  if (oldCh.length !== ch.length) return false
+  for (let i = 0; i < ch.length; i++) {
+    const a = oldCh[i]
+    const b = ch[i]
+    if (
+      a.tag !== b.tag ||
+      a.isComment !== b.isComment ||
+      isDef(a.children) !== isDef(b.children) ||
+      (isDef(b.children) && !sameBlockTree(a.children, b.children))
+    ) {
+      return false
+    }
+  }
+  return true
+}
 /**
  * 判断input类型是否相同
  * @param {Vnode} a
@@ -70,7 +103,7 @@ function sameInputType (a, b) {
   return typeA === typeB || isTextInputType(typeA) && isTextInputType(typeB)
 }
 
-function createKeyToOldIdx (children, beginIdx, endIdx) {
+function createKeyToNewIdx (children, beginIdx, endIdx) {
   let i, key
   const map = {}
   for (i = beginIdx; i <= endIdx; ++i) {
@@ -79,6 +112,57 @@ function createKeyToOldIdx (children, beginIdx, endIdx) {
   }
   return map
 }
+
+/**
+ * Get the indices of a longest increasing subsequence of the non-zero
+ * values, zeros being skipped.
+ * 获取最长递增子序列的下标（忽略0）
+ * @param {number[]} arr 数组
+ */
+function getSequence (arr) {
+  // predecessor of each index in the subsequence ending with it
+  const p = arr.slice()
+  // result[k]: index of the smallest tail of a subsequence of length k + 1
+  const result = [0]
+  let i, j, u, v, c
+  const len = arr.length
+  for (i = 0; i < len; i++) {
+    const arrI = arr[i]
+    if (arrI !== 0) {
+      j = result[result.length - 1]
+      if (arr[j] < arrI) {
+        p[i] = j
+        result.push(i)
+        continue
+      }
+      // binary search of the first tail not smaller than arrI
+      u = 0
+      v = result.length - 1
+      while (u < v) {
+        c = (u + v) >> 1
+        if (arr[result[c]] < arrI) {
+          u = c + 1
+        } else {
+          v = c
+        }
+      }
+      if (arrI < arr[result[u]]) {
+        if (u > 0) {
+          p[i] = result[u - 1]
+        }
+        result[u] = i
+      }
+    }
+  }
+  // walk back the predecessors
+  u = result.length
+  v = result[u - 1]
+  while (u-- > 0) {
+    result[u] = v
+    v = p[v]
+  }
+  return result
+}
 /**
  * 创建补丁方法
  * @param {object} backend 工具操作方法对象
@@ -87,6 +171,8 @@ export function createPatchFunction (backend) {
   let i, j
   // 存储回调
   const cbs = {}
+  // update回调对应模块的补丁标记
+  const updateFlags = []
   // 获取传入参数
   const { modules, nodeOps } = backend
   // 遍历钩子数组
@@ -99,6 +185,9 @@ export function createPatchFunction (backend) {
       if (isDef(modules[j][hooks[i]])) {
         // 插入到对应钩子的回调方法数组中
         cbs[hooks[i]].push(modules[j][hooks[i]])
+        if (hooks[i] === 'update') {
+          updateFlags.push(modules[j].flags)
+        }
       }
     }
   }
@@ -143,6 +232,7 @@ export function createPatchFunction (backend) {
    * @param {*} inVPre
    */
   function isUnknownElement (vnode, inVPre) {
+    const config = getAppConfig(vnode.context)
     return (
       !inVPre &&
       !vnode.ns &&
@@ -199,6 +289,15 @@ export function createPatchFunction (backend) {
     const children = vnode.children
     // 获取标签名
     const tag = vnode.tag
+    // 判断是否为teleport或者片段
+    if (isDef(data) && isDef(data.teleport)) {
+      createTeleport(vnode, insertedVnodeQueue, parentElm, refElm)
+      return
+    }
+    if (isDef(data) && isDef(data.fragment)) {
+      createFragment(vnode, insertedVnodeQueue, parentElm, refElm, nested)
+      return
+    }
     // 判断标签名称是否存在
     if (isDef(tag)) {
       // 非生产环境
@@ -299,7 +398,7 @@ export function createPatchFunction (backend) {
         // 初始化组件
         initComponent(vnode, insertedVnodeQueue)
         // 插入元素到parent
-        insert(parentElm, vnode.elm, refElm)
+        insertVnode(parentElm, vnode, refElm)
         // 判断是否为isReactivated
         if (isTrue(isReactivated)) {
           // 重新启用组件
@@ -373,7 +472,7 @@ export function createPatchFunction (backend) {
     }
     // unlike a newly created component,
     // a reactivated keep-alive component doesn't insert itself
-    insert(parentElm, vnode.elm, refElm)
+    insertVnode(parentElm, vnode, refElm)
   }
   /**
    * 插入
@@ -397,6 +496,221 @@ export function createPatchFunction (backend) {
       }
     }
   }
+  /**
+   * Teleports and fragments render as a range of nodes, from the start
+   * anchor (vnode.elm) to the end anchor (vnode.anchor). Component vnodes
+   * rendering such a range resolve it through their root vnode.
+   * 获取组件最内层的根vnode
+   * @param {VNode} vnode 虚拟node
+   */
+  function getRootVnode (vnode) {
+    while (isDef(vnode.componentInstance) && isDef(vnode.componentInstance._vnode)) {
+      vnode = vnode.componentInstance._vnode
+    }
+    return vnode
+  }
+  /**
+   * 获取vnode对应的最后一个节点
+   * @param {VNode} vnode 虚拟node
+   */
+  function getLastElm (vnode) {
+    const root = getRootVnode(vnode)
+    return isDef(root.anchor) ? root.anchor : vnode.elm
+  }
+  /**
+   * Insert or move all the nodes rendered by a vnode.
+   * 插入或者移动vnode对应的所有节点
+   * @param {Node} parent 父元素
+   * @param {VNode} vnode 虚拟node
+   * @param {Node} ref 参考元素
+   */
+  function insertVnode (parent, vnode, ref) {
+    const root = getRootVnode(vnode)
+    if (isUndef(root.anchor)) {
+      insert(parent, vnode.elm, ref)
+      return
+    }
+    insert(parent, root.elm, ref)
+    let container = parent
+    let childRef = ref
+    if (isDef(root.targetAnchor)) {
+      // teleported children stay in the target, unless they have been
+      // removed from it (e.g. deactivated by keep-alive)
+      // 子元素仍在目标容器内则不需要移动
+      if (nodeOps.parentNode(root.targetAnchor)) {
+        container = null
+      } else {
+        const target = resolveTeleportTarget(root)
+        if (isDef(target)) {
+          container = target
+          childRef = root.targetAnchor
+          nodeOps.appendChild(target, childRef)
+        } else {
+          root.targetAnchor = undefined
+        }
+      }
+    }
+    if (isDef(container)) {
+      const children = root.children
+      for (let i = 0; i < children.length; i++) {
+        insertVnode(container, children[i], childRef)
+      }
+    }
+    insert(parent, root.anchor, ref)
+  }
+  /**
+   * 获取teleport的目标容器，禁用或者找不到时返回undefined
+   * @param {VNode} vnode teleport虚拟node
+   * @param {VNode} oldVnode 修补时的旧vnode
+   */
+  function resolveTeleportTarget (vnode, oldVnode) {
+    const { to, disabled, offscreen } = vnode.data.teleport
+    if (disabled) return
+    if (offscreen) {
+      // content kept out of the document (e.g. by <suspense>) is moved to
+      // a detached container, which is reused while it stays offscreen
+      // 离屏的内容移动到游离的容器中
+      const oldAnchor = isDef(oldVnode) && oldVnode.data.teleport.offscreen
+        ? oldVnode.targetAnchor
+        : undefined
+      return (isDef(oldAnchor) && nodeOps.parentNode(oldAnchor)) || nodeOps.createElement('div')
+    }
+    const target = typeof to === 'string'
+      ? isDef(nodeOps.querySelector) ? nodeOps.querySelector(to) : null
+      : to
+    if (!target) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `Failed to locate Teleport target with selector "${String(to)}". ` +
+        `The content is rendered in place instead.`
+      )
+      return
+    }
+    return target
+  }
+  /**
+   * Mount a teleport: the anchors are inserted in place and the children
+   * into the target, or between the anchors when it is disabled.
+   * 创建teleport
+   * @param {VNode} vnode 虚拟node
+   * @param {any[]} insertedVnodeQueue 插入的队列
+   * @param {Node} parentElm 父元素
+   * @param {Node} refElm 参考元素
+   */
+  function createTeleport (vnode, insertedVnodeQueue, parentElm, refElm) {
+    const children = vnode.children
+    if (process.env.NODE_ENV !== 'production') {
+      checkDuplicateKeys(children)
+    }
+    vnode.elm = nodeOps.createComment('teleport start')
+    vnode.anchor = nodeOps.createComment('teleport end')
+    insert(parentElm, vnode.elm, refElm)
+    let container = parentElm
+    let childRef = refElm
+    const target = resolveTeleportTarget(vnode)
+    if (isDef(target)) {
+      container = target
+      childRef = vnode.targetAnchor = nodeOps.createTextNode('')
+      nodeOps.appendChild(target, childRef)
+    }
+    for (let i = 0; i < children.length; ++i) {
+      createElm(children[i], insertedVnodeQueue, container, childRef, true, children, i)
+    }
+    insert(parentElm, vnode.anchor, refElm)
+  }
+  /**
+   * Patch a teleport, moving its children over when the target changed
+   * or it was enabled/disabled.
+   * 修补teleport
+   * @param {VNode} oldVnode 旧vnode
+   * @param {VNode} vnode 新vnode
+   * @param {any[]} insertedVnodeQueue 插入的队列
+   * @param {*} removeOnly
+   */
+  function patchTeleport (oldVnode, vnode, insertedVnodeQueue, removeOnly) {
+    const anchor = vnode.anchor = oldVnode.anchor
+    const oldTargetAnchor = oldVnode.targetAnchor
+    const target = resolveTeleportTarget(vnode, oldVnode)
+    let targetAnchor
+    if (isDef(target)) {
+      if (isDef(oldTargetAnchor) && nodeOps.parentNode(oldTargetAnchor) === target) {
+        targetAnchor = oldTargetAnchor
+      } else {
+        targetAnchor = nodeOps.createTextNode('')
+        nodeOps.appendChild(target, targetAnchor)
+      }
+    }
+    vnode.targetAnchor = targetAnchor
+    const container = isDef(target) ? target : nodeOps.parentNode(anchor)
+    const ref = isDef(targetAnchor) ? targetAnchor : anchor
+    const oldCh = oldVnode.children
+    const ch = vnode.children
+    if (targetAnchor !== oldTargetAnchor) {
+      // 目标变化，移动子元素
+      for (let i = 0; i < oldCh.length; i++) {
+        insertVnode(container, oldCh[i], ref)
+      }
+      if (isDef(oldTargetAnchor)) removeNode(oldTargetAnchor)
+    }
+    if (oldCh !== ch) updateChildren(container, oldCh, ch, insertedVnodeQueue, removeOnly, ref)
+  }
+  /**
+   * Mount a fragment: its children are inserted between the anchors.
+   * 创建片段
+   * @param {VNode} vnode 虚拟node
+   * @param {any[]} insertedVnodeQueue 插入的队列
+   * @param {Node} parentElm 父元素
+   * @param {Node} refElm 参考元素
+   * @param {boolean} nested 是否嵌套
+   */
+  function createFragment (vnode, insertedVnodeQueue, parentElm, refElm, nested) {
+    const children = vnode.children
+    if (process.env.NODE_ENV !== 'production') {
+      checkDuplicateKeys(children)
+    }
+    vnode.elm = nodeOps.createComment('fragment start')
+    vnode.anchor = nodeOps.createComment('fragment end')
+    insert(parentElm, vnode.elm, refElm)
+    // the children are root nodes of the component as well
+    // 子元素同样是组件的根节点
+    for (let i = 0; i < children.length; ++i) {
+      createElm(children[i], insertedVnodeQueue, parentElm, refElm, nested, children, i)
+    }
+    insert(parentElm, vnode.anchor, refElm)
+  }
+  /**
+   * 修补片段
+   * @param {VNode} oldVnode 旧vnode
+   * @param {VNode} vnode 新vnode
+   * @param {any[]} insertedVnodeQueue 插入的队列
+   * @param {*} removeOnly
+   */
+  function patchFragment (oldVnode, vnode, insertedVnodeQueue, removeOnly) {
+    const anchor = vnode.anchor = oldVnode.anchor
+    const oldCh = oldVnode.children
+    const ch = vnode.children
+    if (oldCh !== ch) {
+      updateChildren(nodeOps.parentNode(anchor), oldCh, ch, insertedVnodeQueue, removeOnly, anchor)
+    }
+  }
+  /**
+   * Remove the children and anchors of a teleport or fragment. The start
+   * anchor is removed like any other element.
+   * 移除teleport或者片段的子元素和锚点
+   * @param {VNode} vnode 虚拟node
+   */
+  function removeRange (vnode) {
+    const children = vnode.children
+    for (let i = 0; i < children.length; i++) {
+      const ch = children[i]
+      if (isDef(ch.tag)) {
+        removeAndInvokeRemoveHook(ch)
+      } else {
+        removeNode(ch.elm)
+      }
+    }
+    removeNode(vnode.anchor)
+    if (isDef(vnode.targetAnchor)) removeNode(vnode.targetAnchor)
+  }
   /**
    * 创建子元素
    * @param {VNode} vnode 虚拟bode
@@ -525,7 +839,8 @@ export function createPatchFunction (backend) {
     for (; startIdx <= endIdx; ++startIdx) {
       const ch = vnodes[startIdx]
       if (isDef(ch)) {
-        if (isDef(ch.tag)) {
+        // 片段根节点没有tag，但需要移除整个范围
+        if (isDef(ch.tag) || isDef(ch.anchor)) {
           removeAndInvokeRemoveHook(ch)
           invokeDestroyHook(ch)
         } else { // Text node
@@ -536,6 +851,10 @@ export function createPatchFunction (backend) {
   }
 
   function removeAndInvokeRemoveHook (vnode, rm) {
+    if (isUndef(rm)) {
+      const root = getRootVnode(vnode)
+      if (isDef(root.anchor)) removeRange(root)
+    }
     if (isDef(rm) || isDef(vnode.data)) {
       let i
       const listeners = cbs.remove.length + 1
@@ -570,25 +889,18 @@ export function createPatchFunction (backend) {
    * @param {*} newCh
    * @param {*} insertedVnodeQueue
    * @param {*} removeOnly
+   * @param {Node} endElm 新增子元素插入的参考元素，默认追加到末尾
    */
-  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly) {
+  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly, endElm) {
     // 旧开始位置
     let oldStartIdx = 0
     // 新开始位置
     let newStartIdx = 0
-    // 获取旧结束位置
+    // 旧结束位置
     let oldEndIdx = oldCh.length - 1
-    // 获取旧的开始vnode
-    let oldStartVnode = oldCh[0]
-    // 旧结束 vnode
-    let oldEndVnode = oldCh[oldEndIdx]
-    // 新的结束位置
+    // 新结束位置
     let newEndIdx = newCh.length - 1
-    // 新的开始vnode
-    let newStartVnode = newCh[0]
-    // 新的结束vnode
-    let newEndVnode = newCh[newEndIdx]
-    let oldKeyToIdx, idxInOld, vnodeToMove, refElm
+    let i, refElm
 
     // removeOnly is a special flag used only by <transition-group>
     // to ensure removed elements stay in correct relative positions
@@ -600,61 +912,109 @@ export function createPatchFunction (backend) {
       // 检查相同的key
       checkDuplicateKeys(newCh)
     }
-    // 遍历开始
-    while (oldStartIdx <= oldEndIdx && newStartIdx <= newEndIdx) {
-      // 判断旧开始vnode是否不存在
-      if (isUndef(oldStartVnode)) {
-        // 不存在则++,获取下一个位置的vnode
-        oldStartVnode = oldCh[++oldStartIdx] // Vnode has been moved left
-        // 判断旧结束vnode是否存在
-      } else if (isUndef(oldEndVnode)) {
-        // 不存在则--,并且更新oldEndVnode
-        oldEndVnode = oldCh[--oldEndIdx]
-        // 判断旧开始vnode是新开始vnode是否相同
-      } else if (sameVnode(oldStartVnode, newStartVnode)) {
-        patchVnode(oldStartVnode, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
-        oldStartVnode = oldCh[++oldStartIdx]
-        newStartVnode = newCh[++newStartIdx]
-      } else if (sameVnode(oldEndVnode, newEndVnode)) {
-        patchVnode(oldEndVnode, newEndVnode, insertedVnodeQueue, newCh, newEndIdx)
-        oldEndVnode = oldCh[--oldEndIdx]
-        newEndVnode = newCh[--newEndIdx]
-      } else if (sameVnode(oldStartVnode, newEndVnode)) { // Vnode moved right
-        patchVnode(oldStartVnode, newEndVnode, insertedVnodeQueue, newCh, newEndIdx)
-        canMove && nodeOps.insertBefore(parentElm, oldStartVnode.elm, nodeOps.nextSibling(oldEndVnode.elm))
-        oldStartVnode = oldCh[++oldStartIdx]
-        newEndVnode = newCh[--newEndIdx]
-      } else if (sameVnode(oldEndVnode, newStartVnode)) { // Vnode moved left
-        patchVnode(oldEndVnode, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
-        canMove && nodeOps.insertBefore(parentElm, oldEndVnode.elm, oldStartVnode.elm)
-        oldEndVnode = oldCh[--oldEndIdx]
-        newStartVnode = newCh[++newStartIdx]
+
+    // 1. patch the common head
+    // 从头部开始比较相同的vnode
+    while (
+      oldStartIdx <= oldEndIdx &&
+      newStartIdx <= newEndIdx &&
+      sameVnode(oldCh[oldStartIdx], newCh[newStartIdx])
+    ) {
+      patchVnode(oldCh[oldStartIdx], newCh[newStartIdx], insertedVnodeQueue, newCh, newStartIdx)
+      oldStartIdx++
+      newStartIdx++
+    }
+
+    // 2. patch the common tail
+    // 从尾部开始比较相同的vnode
+    while (
+      oldStartIdx <= oldEndIdx &&
+      newStartIdx <= newEndIdx &&
+      sameVnode(oldCh[oldEndIdx], newCh[newEndIdx])
+    ) {
+      patchVnode(oldCh[oldEndIdx], newCh[newEndIdx], insertedVnodeQueue, newCh, newEndIdx)
+      oldEndIdx--
+      newEndIdx--
+    }
+
+    // 3. only additions or only removals left
+    // 只剩新增或者删除的节点
+    if (oldStartIdx > oldEndIdx) {
+      refElm = isUndef(newCh[newEndIdx + 1]) ? endElm : newCh[newEndIdx + 1].elm
+      addVnodes(parentElm, refElm, newCh, newStartIdx, newEndIdx, insertedVnodeQueue)
+      return
+    }
+    if (newStartIdx > newEndIdx) {
+      removeVnodes(oldCh, oldStartIdx, oldEndIdx)
+      return
+    }
+
+    // 4. unknown sequence in the middle: patch the old vnodes still used,
+    // remove the others and record the old index of each new vnode
+    // 中间的未知序列：修补复用的旧vnode，删除其余的旧vnode，并记录新vnode对应的旧位置
+    const toBePatched = newEndIdx - newStartIdx + 1
+    const newKeyToIdx = createKeyToNewIdx(newCh, newStartIdx, newEndIdx)
+    // old index + 1 of each new vnode, 0 for new vnodes to create
+    // 新vnode对应的旧位置+1，0表示需要新建
+    const newIdxToOldIdx = new Array(toBePatched)
+    for (i = 0; i < toBePatched; i++) newIdxToOldIdx[i] = 0
+    let patched = 0
+    let moved = false
+    let maxNewIdxSoFar = 0
+    for (i = oldStartIdx; i <= oldEndIdx; i++) {
+      const oldVnode = oldCh[i]
+      if (isUndef(oldVnode)) continue
+      if (patched >= toBePatched) {
+        // all new vnodes are patched, the remaining old vnodes are removed
+        removeVnodes(oldCh, i, i)
+        continue
+      }
+      let newIdx
+      if (isDef(oldVnode.key)) {
+        newIdx = newKeyToIdx[oldVnode.key]
       } else {
-        if (isUndef(oldKeyToIdx)) oldKeyToIdx = createKeyToOldIdx(oldCh, oldStartIdx, oldEndIdx)
-        idxInOld = isDef(newStartVnode.key)
-          ? oldKeyToIdx[newStartVnode.key]
-          : findIdxInOld(newStartVnode, oldCh, oldStartIdx, oldEndIdx)
-        if (isUndef(idxInOld)) { // New element
-          createElm(newStartVnode, insertedVnodeQueue, parentElm, oldStartVnode.elm, false, newCh, newStartIdx)
-        } else {
-          vnodeToMove = oldCh[idxInOld]
-          if (sameVnode(vnodeToMove, newStartVnode)) {
-            patchVnode(vnodeToMove, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
-            oldCh[idxInOld] = undefined
-            canMove && nodeOps.insertBefore(parentElm, vnodeToMove.elm, oldStartVnode.elm)
-          } else {
-            // same key but different element. treat as new element
-            createElm(newStartVnode, insertedVnodeQueue, parentElm, oldStartVnode.elm, false, newCh, newStartIdx)
+        for (let j = newStartIdx; j <= newEndIdx; j++) {
+          if (newIdxToOldIdx[j - newStartIdx] === 0 && sameVnode(oldVnode, newCh[j])) {
+            newIdx = j
+            break
           }
         }
-        newStartVnode = newCh[++newStartIdx]
       }
+      // same key but different element: the new vnode is created
+      // 相同的key但不同的元素，删除旧元素并新建
+      if (isUndef(newIdx) || !sameVnode(oldVnode, newCh[newIdx])) {
+        removeVnodes(oldCh, i, i)
+        continue
+      }
+      newIdxToOldIdx[newIdx - newStartIdx] = i + 1
+      if (newIdx >= maxNewIdxSoFar) {
+        maxNewIdxSoFar = newIdx
+      } else {
+        moved = true
+      }
+      patchVnode(oldVnode, newCh[newIdx], insertedVnodeQueue, newCh, newIdx)
+      patched++
     }
-    if (oldStartIdx > oldEndIdx) {
-      refElm = isUndef(newCh[newEndIdx + 1]) ? null : newCh[newEndIdx + 1].elm
-      addVnodes(parentElm, refElm, newCh, newStartIdx, newEndIdx, insertedVnodeQueue)
-    } else if (newStartIdx > newEndIdx) {
-      removeVnodes(oldCh, oldStartIdx, oldEndIdx)
+
+    // 5. move and create the nodes, from the end so that the next sibling is
+    // in place. The vnodes in the longest increasing subsequence of old
+    // indices keep their relative order and are not moved.
+    // 从尾部开始移动和新建节点，最长递增子序列中的节点保持相对顺序，无需移动
+    const stable = moved ? getSequence(newIdxToOldIdx) : []
+    let j = stable.length - 1
+    for (i = toBePatched - 1; i >= 0; i--) {
+      const newIdx = newStartIdx + i
+      const vnode = newCh[newIdx]
+      refElm = newIdx + 1 < newCh.length ? newCh[newIdx + 1].elm : endElm
+      if (newIdxToOldIdx[i] === 0) {
+        createElm(vnode, insertedVnodeQueue, parentElm, refElm, false, newCh, newIdx)
+      } else if (moved) {
+        if (j < 0 || i !== stable[j]) {
+          canMove && insertVnode(parentElm, vnode, refElm)
+        } else {
+          j--
+        }
+      }
     }
   }
   /**
@@ -686,13 +1046,6 @@ export function createPatchFunction (backend) {
       }
     }
   }
-
-  function findIdxInOld (node, oldCh, start, end) {
-    for (let i = start; i < end; i++) {
-      const c = oldCh[i]
-      if (isDef(c) && sameVnode(node, c)) return i
-    }
-  }
   /**
    * 修补vnode
    * @param {VNode} oldVnode 旧vnode
@@ -750,6 +1103,15 @@ export function createPatchFunction (backend) {
     let i
     // 获取data
     const data = vnode.data
+    // 判断是否为teleport或者片段
+    if (isDef(data) && isDef(data.teleport)) {
+      patchTeleport(oldVnode, vnode, insertedVnodeQueue, removeOnly)
+      return
+    }
+    if (isDef(data) && isDef(data.fragment)) {
+      patchFragment(oldVnode, vnode, insertedVnodeQueue, removeOnly)
+      return
+    }
     // 判断是否存在prepatch钩子
     if (isDef(data) && isDef(i = data.hook) && isDef(i = i.prepatch)) {
       // 调用钩子
@@ -769,8 +1131,19 @@ export function createPatchFunction (backend) {
     if (isUndef(vnode.text)) {
       // 判断旧子元素是否存在，并且当前自元素存在
       if (isDef(oldCh) && isDef(ch)) {
-        // 新旧子元素数组不相等则更新
-        if (oldCh !== ch) updateChildren(elm, oldCh, ch, insertedVnodeQueue, removeOnly)
+        if (
+          isDef(vnode.dynamicChildren) &&
+          isDef(oldVnode.dynamicChildren) &&
+          oldVnode.dynamicChildren.length === vnode.dynamicChildren.length &&
+          sameBlockTree(oldCh, ch)
+        ) {
+          // 同一区块结构不变，只更新动态节点
+          adoptBlockElms(oldCh, ch)
+          patchBlockChildren(oldVnode.dynamicChildren, vnode.dynamicChildren)
+        } else if (oldCh !== ch) {
+          // 新旧子元素数组不相等则更新
+          updateChildren(elm, oldCh, ch, insertedVnodeQueue, removeOnly)
+        }
       } else if (isDef(ch)) { // 判断新的children是否存在
         if (process.env.NODE_ENV !== 'production') {
           // 检测重复的key
@@ -793,6 +1166,55 @@ export function createPatchFunction (backend) {
       if (isDef(i = data.hook) && isDef(i = i.postpatch)) i(oldVnode, vnode)
     }
   }
+  /**
+   * 区块的静态节点沿用旧节点的元素，区块仍然可以作为普通的树比较
+   * @param {VNode[]} oldCh 旧的子节点
+   * @param {VNode[]} ch 新的子节点
+   */
+  function adoptBlockElms (oldCh, ch) {
+    for (let i = 0; i < ch.length; i++) {
+      const oldVnode = oldCh[i]
+      const vnode = ch[i]
+      vnode.elm = oldVnode.elm
+      if (isDef(vnode.children) && isDef(oldVnode.children)) {
+        adoptBlockElms(oldVnode.children, vnode.children)
+      }
+    }
+  }
+  /**
+   * 更新区块的动态节点，区块的静态结构不需要比较
+   * @param {VNode[]} oldChildren 旧区块的动态节点
+   * @param {VNode[]} children 新区块的动态节点
+   */
+  function patchBlockChildren (oldChildren, children) {
+    for (let i = 0; i < children.length; i++) {
+      patchDynamicVnode(oldChildren[i], children[i])
+    }
+  }
+  /**
+   * 更新区块的动态节点，只调用补丁标记对应的模块，子节点由区块更新
+   * @param {VNode} oldVnode 旧的vnode
+   * @param {VNode} vnode 新的vnode
+   */
+  function patchDynamicVnode (oldVnode, vnode) {
+    const elm = vnode.elm = oldVnode.elm
+    // 文本节点
+    if (isUndef(vnode.tag)) {
+      if (oldVnode.text !== vnode.text) nodeOps.setTextContent(elm, vnode.text)
+      return
+    }
+    let i
+    const data = vnode.data
+    const patchFlag = vnode.patchFlag
+    // 未声明补丁标记的模块总是更新
+    for (i = 0; i < cbs.update.length; ++i) {
+      if (isUndef(updateFlags[i]) || (updateFlags[i] & patchFlag)) {
+        cbs.update[i](oldVnode, vnode)
+      }
+    }
+    if (isDef(i = data.hook) && isDef(i = i.update)) i(oldVnode, vnode)
+    if (isDef(i = data.hook) && isDef(i = i.postpatch)) i(oldVnode, vnode)
+  }
   /**
    * 插入钩子
    * @param {VNode} vnode 虚拟node
@@ -815,7 +1237,6 @@ export function createPatchFunction (backend) {
     }
   }
 
-  let hydrationBailed = false
   // list of modules that can skip create hook during hydration because they
   // are already rendered on the client or has no need for initialization
   // Note: style is excluded because it relies on initial clone for future
@@ -833,15 +1254,28 @@ export function createPatchFunction (backend) {
       vnode.isAsyncPlaceholder = true
       return true
     }
-    // assert node match
-    if (process.env.NODE_ENV !== 'production') {
-      if (!assertNodeMatch(elm, vnode, inVPre)) {
-        return false
-      }
+    // assert node match, a mismatched node is rendered on the client
+    // 节点不一致时在客户端重新渲染该节点
+    if (!assertNodeMatch(elm, vnode, inVPre)) {
+      reportHydrationMismatch('node', elm, vnode, describeVNode(vnode), describeNode(elm))
+      return recoverNode(elm, vnode, insertedVnodeQueue)
+    }
+    if (isDef(data) && isDef(data.teleport)) {
+      return hydrateTeleport(elm, vnode, insertedVnodeQueue, inVPre)
+    }
+    if (isDef(data) && isDef(data.fragment)) {
+      const node = hydrateRangeChildren(elm.nextSibling, null, children, insertedVnodeQueue, inVPre)
+      if (!node || node.nodeType !== 8) return false
+      vnode.anchor = node
+      return true
     }
     if (isDef(data)) {
       if (isDef(i = data.hook) && isDef(i = i.init)) i(vnode, true /* hydrating */)
       if (isDef(i = vnode.componentInstance)) {
+        // 延迟注水的组件尚未挂载
+        if (isUndef(i._vnode) && isDef(i.$options.hydrate)) {
+          return hydrateLazily(elm, vnode, insertedVnodeQueue)
+        }
         // child component. it should have hydrated its own tree.
         initComponent(vnode, insertedVnodeQueue)
         return true
@@ -856,70 +1290,236 @@ export function createPatchFunction (backend) {
           // v-html and domProps: innerHTML
           if (isDef(i = data) && isDef(i = i.domProps) && isDef(i = i.innerHTML)) {
             if (i !== elm.innerHTML) {
-              /* istanbul ignore if */
-              if (process.env.NODE_ENV !== 'production' &&
-                typeof console !== 'undefined' &&
-                !hydrationBailed
-              ) {
-                hydrationBailed = true
-                console.warn('Parent: ', elm)
-                console.warn('server innerHTML: ', i)
-                console.warn('client innerHTML: ', elm.innerHTML)
-              }
-              return false
+              reportHydrationMismatch('html', elm, vnode, i, elm.innerHTML)
+              elm.innerHTML = i
             }
           } else {
             // iterate and compare children lists
-            let childrenMatch = true
+            const serverChildCount = elm.childNodes.length
             let childNode = elm.firstChild
             for (let i = 0; i < children.length; i++) {
-              if (!childNode || !hydrate(childNode, children[i], insertedVnodeQueue, inVPre)) {
-                childrenMatch = false
+              if (!childNode) {
+                // the server rendered fewer nodes, create the missing ones
+                // 服务端渲染的节点较少，创建缺少的节点
+                reportHydrationMismatch('children', elm, vnode, children.length, serverChildCount)
+                for (; i < children.length; i++) {
+                  createElm(children[i], insertedVnodeQueue, elm, null, false, children, i)
+                }
                 break
               }
-              childNode = childNode.nextSibling
+              if (!hydrate(childNode, children[i], insertedVnodeQueue, inVPre)) {
+                return false
+              }
+              childNode = getLastElm(children[i]).nextSibling
             }
             // if childNode is not null, it means the actual childNodes list is
             // longer than the virtual children list.
-            if (!childrenMatch || childNode) {
-              /* istanbul ignore if */
-              if (process.env.NODE_ENV !== 'production' &&
-                typeof console !== 'undefined' &&
-                !hydrationBailed
-              ) {
-                hydrationBailed = true
-                console.warn('Parent: ', elm)
-                console.warn('Mismatching childNodes vs. VNodes: ', elm.childNodes, children)
+            if (childNode) {
+              reportHydrationMismatch('children', elm, vnode, children.length, serverChildCount)
+              while (childNode) {
+                const next = childNode.nextSibling
+                removeNode(childNode)
+                childNode = next
               }
-              return false
             }
           }
         }
       }
       if (isDef(data)) {
         let fullInvoke = false
-        for (const key in data) {
-          if (!isRenderedModule(key)) {
+        // attributes are compared in development, or when a mismatch
+        // handler is configured, the create hooks render the expected ones
+        // 开发环境下或配置了差异处理方法时比较属性，不一致时调用create钩子设置属性
+        if (isDef(data.attrs) && (
+          process.env.NODE_ENV !== 'production' ||
+          getAppConfig(vnode.context).hydrationMismatchHandler
+        )) {
+          const mismatch = getAttrsMismatch(elm, data.attrs)
+          if (mismatch) {
+            reportHydrationMismatch('attrs', elm, vnode, mismatch.expected, mismatch.actual)
             fullInvoke = true
-            invokeCreateHooks(vnode, insertedVnodeQueue)
-            break
           }
         }
-        if (!fullInvoke && data['class']) {
+        if (!fullInvoke) {
+          for (const key in data) {
+            if (!isRenderedModule(key)) {
+              fullInvoke = true
+              break
+            }
+          }
+        }
+        if (fullInvoke) {
+          invokeCreateHooks(vnode, insertedVnodeQueue)
+        } else if (data['class']) {
           // ensure collecting deps for deep class bindings for future updates
           traverse(data['class'])
         }
       }
     } else if (elm.data !== vnode.text) {
+      reportHydrationMismatch('text', elm, vnode, vnode.text, elm.data)
       elm.data = vnode.text
     }
     return true
   }
 
+  /**
+   * Render a vnode not matching the server-rendered node on the client,
+   * in place of that node.
+   * 在客户端渲染与服务端节点不一致的vnode，替换该节点
+   * @param {Node} elm 服务端渲染的节点
+   * @param {VNode} vnode 虚拟node
+   * @param {any[]} insertedVnodeQueue 插入的队列
+   */
+  function recoverNode (elm, vnode, insertedVnodeQueue) {
+    const parent = nodeOps.parentNode(elm)
+    createElm(vnode, insertedVnodeQueue, parent, elm)
+    removeNode(elm)
+    return true
+  }
+
+  // Server-rendered teleport content is appended to the target, each
+  // teleport followed by a "teleport anchor" comment. Teleports into the
+  // same target are hydrated in order, so remember where the next starts,
+  // until the root hydration (child components included) is done.
+  let hydrationDepth = 0
+  let teleportCursors = null
+
+  function hydrateTeleport (elm, vnode, insertedVnodeQueue, inVPre) {
+    const children = vnode.children
+    const target = resolveTeleportTarget(vnode)
+    let node = elm.nextSibling
+    if (isUndef(target)) {
+      node = hydrateRangeChildren(node, null, children, insertedVnodeQueue, inVPre)
+      if (node === false) return false
+    } else {
+      const cursors = teleportCursors || (teleportCursors = new Map())
+      const start = cursors.has(target) ? cursors.get(target) : target.firstChild
+      let end = start
+      while (end && !(end.nodeType === 8 && end.data === 'teleport anchor')) {
+        end = end.nextSibling
+      }
+      if (end) {
+        if (hydrateRangeChildren(start, end, children, insertedVnodeQueue, inVPre) !== end) {
+          return false
+        }
+        cursors.set(target, end.nextSibling)
+        vnode.targetAnchor = end
+      } else {
+        // no server-rendered content, mount it on the client
+        vnode.targetAnchor = nodeOps.createTextNode('')
+        nodeOps.appendChild(target, vnode.targetAnchor)
+        for (let i = 0; i < children.length; ++i) {
+          createElm(children[i], insertedVnodeQueue, target, vnode.targetAnchor, true, children, i)
+        }
+      }
+    }
+    if (!node || node.nodeType !== 8) return false
+    vnode.anchor = node
+    return true
+  }
+
+  // hydrate the children of a teleport or fragment starting at node,
+  // returns the node following them, or false on mismatch
+  function hydrateRangeChildren (node, end, children, insertedVnodeQueue, inVPre) {
+    for (let i = 0; i < children.length; i++) {
+      if (!node || node === end || !hydrate(node, children[i], insertedVnodeQueue, inVPre)) {
+        return false
+      }
+      node = getLastElm(children[i]).nextSibling
+    }
+    return node
+  }
+
+  /**
+   * Defer the hydration of a component with a `hydrate` option. Its
+   * server-rendered nodes, between "lazy start" and "lazy end" comments,
+   * are left untouched until its hydration strategy triggers. Meanwhile a
+   * stand-in root vnode keeps them, so that the component can be moved or
+   * removed as usual.
+   * 延迟组件的注水，在注水策略触发之前不处理服务端渲染的节点
+   * @param {Node} elm 真实节点
+   * @param {VNode} vnode 组件vnode
+   * @param {any[]} insertedVnodeQueue 插入的队列
+   */
+  function hydrateLazily (elm, vnode, insertedVnodeQueue) {
+    const vm = vnode.componentInstance
+    const nodes = []
+    let root
+    if (isLazyMarker(elm, 'lazy start')) {
+      // lazily hydrated components may be nested
+      let depth = 0
+      let node = elm.nextSibling
+      while (node && (depth > 0 || !isLazyMarker(node, 'lazy end'))) {
+        if (isLazyMarker(node, 'lazy start')) depth++
+        if (isLazyMarker(node, 'lazy end')) depth--
+        nodes.push(node)
+        node = node.nextSibling
+      }
+      if (!node || !nodes.length) return false
+      root = createFragmentVNode(nodes.map(createRawVNode))
+      root.elm = elm
+      root.anchor = node
+    } else {
+      // rendered without markers, e.g. as the root of the app
+      nodes.push(elm)
+      root = createRawVNode(elm)
+    }
+    vm._vnode = root
+    vm.$el = elm
+
+    const hydrateNow = queue => {
+      vm._vnode = null
+      if (isDef(root.anchor)) {
+        removeNode(root.elm)
+        removeNode(root.anchor)
+      }
+      vm.$mount(nodes[0], true)
+      initComponent(vm.$vnode, queue)
+    }
+    const cancel = scheduleHydration(vm.$options.hydrate, nodes, () => {
+      if (vm._isDestroyed) return
+      vm.$off('hook:beforeDestroy', cancel)
+      const queue = []
+      hydrateNow(queue)
+      updateAncestorElms(vm)
+      invokeInsertHook(vm.$vnode, queue, false)
+    })
+    if (cancel === null) {
+      hydrateNow(insertedVnodeQueue)
+    } else {
+      vm.$once('hook:beforeDestroy', cancel)
+      registerRef(vnode)
+    }
+    return true
+  }
+
+  function isLazyMarker (node, text) {
+    return node.nodeType === 8 && node.data === text
+  }
+
+  function createRawVNode (elm) {
+    return new VNode(undefined, undefined, undefined, undefined, elm)
+  }
+
+  // the lazily hydrated component may be the root of its parents, which
+  // still reference its "lazy start" marker
+  function updateAncestorElms (vm) {
+    const elm = vm.$el
+    let ancestor = vm.$vnode
+    while (isDef(ancestor.parent)) {
+      ancestor = ancestor.parent
+      ancestor.elm = elm
+      ancestor.componentInstance.$el = elm
+    }
+    if (vm.$root._vnode === ancestor) {
+      vm.$root.$el = elm
+    }
+  }
+
   function assertNodeMatch (node, vnode, inVPre) {
     if (isDef(vnode.tag)) {
       return vnode.tag.indexOf('vue-component') === 0 || (
-        !isUnknownElement(vnode, inVPre) &&
+        (process.env.NODE_ENV === 'production' || !isUnknownElement(vnode, inVPre)) &&
         vnode.tag.toLowerCase() === (node.tagName && node.tagName.toLowerCase())
       )
     } else {
@@ -930,8 +1530,11 @@ export function createPatchFunction (backend) {
    * 返回patch补丁方法
    * @param {VNode} 旧的虚拟node
    * @param {VNode} 新的虚拟node
+   * @param {boolean} hydrating 是否注水
+   * @param {boolean} removeOnly
+   * @param {Node} container 初始化时插入的容器（自定义渲染器）
    */
-  return function patch (oldVnode, vnode, hydrating, removeOnly) {
+  return function patch (oldVnode, vnode, hydrating, removeOnly, container) {
     // 如果新的vnode为空
     if (isUndef(vnode)) {
       // 如果旧的vnode不为空，则调用销毁钩子
@@ -948,7 +1551,7 @@ export function createPatchFunction (backend) {
       // 初始化补丁为true
       isInitialPatch = true
       // 创建元素
-      createElm(vnode, insertedVnodeQueue)
+      createElm(vnode, insertedVnodeQueue, container)
     } else {
       // 判断是否为真实的node
       const isRealElement = isDef(oldVnode.nodeType)
@@ -972,9 +1575,17 @@ export function createPatchFunction (backend) {
           }
           // 如果为true
           if (isTrue(hydrating)) {
-            if (hydrate(oldVnode, vnode, insertedVnodeQueue)) {
+            let hydrated
+            hydrationDepth++
+            try {
+              hydrated = hydrate(oldVnode, vnode, insertedVnodeQueue)
+            } finally {
+              if (--hydrationDepth === 0) teleportCursors = null
+            }
+            if (hydrated) {
               invokeInsertHook(vnode, insertedVnodeQueue, true)
-              return oldVnode
+              // a lazily hydrated root component may not start at oldVnode
+              return vnode.elm
             } else if (process.env.NODE_ENV !== 'production') {
               warn(
                 'The client-side rendered virtual DOM tree is not matching ' +
@@ -1006,7 +1617,7 @@ export function createPatchFunction (backend) {
           // leaving transition. Only happens when combining transition +
           // keep-alive + HOCs. (#4590)
           oldElm._leaveCb ? null : parentElm,
-          nodeOps.nextSibling(oldElm)
+          nodeOps.nextSibling(getLastElm(oldVnode))
         )
 
         // update parent placeholder node element, recursively
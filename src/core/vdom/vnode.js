@@ -51,6 +51,18 @@ export default class VNode {
   devtoolsMeta: ?Object; // used to store functional render context for devtools
   /** 方法作用域id */
   fnScopeId: ?string; // functional scope id support
+  /** 结束锚点 */
+  anchor: Node | void; // end anchor of vnodes rendered as several nodes (teleport)
+  /** 目标容器内的锚点 */
+  targetAnchor: Node | void; // anchor of teleported children inside the target
+  /** 补丁标记 */
+  patchFlag: number | void; // bindings of a block's dynamic node that may change
+  /** 动态属性名称 */
+  dynamicProps: Array<string> | void;
+  /** 区块的动态子节点 */
+  dynamicChildren: Array<VNode> | void; // dynamic nodes of a block root
+  /** 区块id */
+  blockId: number | void; // structure of a block root
   /**
    * VNode构造函数
    * @param {string} tag 标签名
@@ -118,6 +130,18 @@ export default class VNode {
     this.asyncMeta = undefined
     // 是否异步占位符
     this.isAsyncPlaceholder = false
+    // 结束锚点
+    this.anchor = undefined
+    // 目标容器内的锚点
+    this.targetAnchor = undefined
+    // 补丁标记
+    this.patchFlag = undefined
+    // 动态属性名称
+    this.dynamicProps = undefined
+    // 区块的动态子节点
+    this.dynamicChildren = undefined
+    // 区块id
+    this.blockId = undefined
   }
 
   // DEPRECATED: alias for componentInstance for backwards compat.
@@ -141,6 +165,18 @@ export const createEmptyVNode = (text: string = '') => {
   // 返回node对象
   return node
 }
+/**
+ * Create the vnode of a fragment, i.e. several root nodes returned by a
+ * render function. It is rendered between two anchor comments, with the
+ * start anchor as its elm.
+ * 创建片段vnode
+ * @param {VNode[]} children 子vnode数组
+ */
+export function createFragmentVNode (children: Array<VNode>): VNode {
+  const node = new VNode(undefined, { fragment: true }, children)
+  node.isComment = true
+  return node
+}
 /**
  * 创建文本vnode
  * @param {string} val 文本值
@@ -180,6 +216,9 @@ export function cloneVNode (vnode: VNode): VNode {
   cloned.fnOptions = vnode.fnOptions
   cloned.fnScopeId = vnode.fnScopeId
   cloned.asyncMeta = vnode.asyncMeta
+  cloned.patchFlag = vnode.patchFlag
+  cloned.dynamicProps = vnode.dynamicProps
+  cloned.blockId = vnode.blockId
   cloned.isCloned = true
   return cloned
 }
@@ -2,7 +2,11 @@
 
 import config from 'core/config'
 import { addHandler, addProp, getBindingAttr } from 'compiler/helpers'
-import { genComponentModel, genAssignmentCode } from 'compiler/directives/model'
+import {
+  genComponentModel,
+  genComponentArgModel,
+  genAssignmentCode
+} from 'compiler/directives/model'
 
 let warn
 
@@ -34,6 +38,20 @@ export default function model (
     }
   }
 
+  // v-model:arg is only supported on components
+  if (dir.arg) {
+    if (el.component || !config.isReservedTag(tag)) {
+      genComponentArgModel(el, dir, warn)
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn(
+        `<${el.tag} v-model:${dir.arg}="${value}">: ` +
+        `v-model arguments are only supported on components.`,
+        el.rawAttrsMap[dir.rawName]
+      )
+    }
+    return false
+  }
+
   if (el.component) {
     genComponentModel(el, value, modifiers)
     // component v-model doesn't need extra runtime
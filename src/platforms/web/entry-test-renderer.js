@@ -0,0 +1,4 @@
+/* @flow */
+
+export { createTestRenderer } from './test-renderer/index'
+export { toJSON, prettyPrint } from './test-renderer/serialize'
@@ -17,6 +17,7 @@ import {
   isFalsyAttrValue,
   convertEnumeratedValue
 } from 'web/util/index'
+import { PatchFlags } from 'shared/constants'
 /**
  * 更新元素属性
  * @param {object} oldVnode 旧的vnode
@@ -39,6 +40,17 @@ function updateAttrs (oldVnode: VNodeWithData, vnode: VNodeWithData) {
   if (isDef(attrs.__ob__)) {
     attrs = vnode.data.attrs = extend({}, attrs)
   }
+  // only the bound attributes of the dynamic nodes of a block may change
+  const dynamicProps = vnode.dynamicProps
+  if (isDef(dynamicProps) && isDef(oldVnode.dynamicProps)) {
+    for (let i = 0; i < dynamicProps.length; i++) {
+      key = dynamicProps[i]
+      if (oldAttrs[key] !== attrs[key]) {
+        setAttr(elm, key, attrs[key])
+      }
+    }
+    return
+  }
 
   for (key in attrs) {
     cur = attrs[key]
@@ -126,5 +138,6 @@ function baseSetAttr (el, key, value) {
 
 export default {
   create: updateAttrs,
-  update: updateAttrs
+  update: updateAttrs,
+  flags: PatchFlags.ATTRS
 }
@@ -2,6 +2,7 @@
 
 import { isDef, isUndef, extend, toNumber } from 'shared/util'
 import { isSVG } from 'web/util/index'
+import { PatchFlags } from 'shared/constants'
 
 let svgContainer
 
@@ -112,5 +113,6 @@ function isDirtyWithModifiers (elm: any, newVal: string): boolean {
 
 export default {
   create: updateDOMProps,
-  update: updateDOMProps
+  update: updateDOMProps,
+  flags: PatchFlags.PROPS
 }
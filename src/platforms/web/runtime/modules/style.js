@@ -2,6 +2,7 @@
 
 import { getStyle, normalizeStyleBinding } from 'web/util/style'
 import { cached, camelize, extend, isDef, isUndef, hyphenate } from 'shared/util'
+import { PatchFlags } from 'shared/constants'
 
 const cssVarRE = /^--/
 const importantRE = /\s*!important$/
@@ -89,5 +90,6 @@ function updateStyle (oldVnode: VNodeWithData, vnode: VNodeWithData) {
 
 export default {
   create: updateStyle,
-  update: updateStyle
+  update: updateStyle,
+  flags: PatchFlags.STYLE
 }
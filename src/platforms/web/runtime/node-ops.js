@@ -112,3 +112,10 @@ export function setTextContent (node: Node, text: string) {
 export function setStyleScope (node: Element, scopeId: string) {
   node.setAttribute(scopeId, '')
 }
+/**
+ * 根据选择器查询元素
+ * @param {string} selector 选择器
+ */
+export function querySelector (selector: string): ?Element {
+  return document.querySelector(selector)
+}
@@ -0,0 +1,8 @@
+import show from './show'
+
+export default {
+  // the values bound with v-model are recorded as props and listeners,
+  // the runtime part of the directive only deals with DOM elements
+  model: {},
+  show
+}
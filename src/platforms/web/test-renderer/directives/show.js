@@ -0,0 +1,19 @@
+/* @flow */
+
+// v-show hides the node with an inline `display:none;` style
+function applyShow (el: any, { value }: VNodeDirective) {
+  const style = (el.attrs.style || '').replace('display:none;', '')
+  if (!value) {
+    el.attrs.style = style + 'display:none;'
+  } else if (style) {
+    el.attrs.style = style
+  } else {
+    delete el.attrs.style
+  }
+}
+
+export default {
+  bind: applyShow,
+  // the style module may have reset the style
+  update: applyShow
+}
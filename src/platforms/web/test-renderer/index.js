@@ -0,0 +1,135 @@
+/* @flow */
+
+import * as nodeOps from './node-ops'
+import platformModules from './modules/index'
+import platformDirectives from './directives/index'
+import { toJSON, prettyPrint } from './serialize'
+import { extend, noop } from 'shared/util'
+import {
+  mustUseProp,
+  isReservedTag,
+  isReservedAttr,
+  getTagNamespace
+} from 'web/util/index'
+
+import type { TestNode } from './node-ops'
+
+export type TestRendererOptions = {
+  modules?: Array<Object>;
+  directives?: Object;
+  components?: Object;
+};
+
+export type TestWrapper = {
+  vm: ?Component;
+  container: TestNode;
+  toJSON: () => Object | Array<Object>;
+  toString: () => string;
+  find: (test: string | (node: TestNode) => boolean) => ?TestNode;
+  findAll: (test: string | (node: TestNode) => boolean) => Array<TestNode>;
+  unmount: () => void;
+};
+
+/**
+ * Create a renderer rendering the components of the given Vue to plain
+ * objects, to assert on the rendered tree without a DOM. Elements record
+ * their attributes (including class and style), DOM props, listeners and the
+ * names of the components rendering them.
+ *
+ *   const { mount, trigger } = createTestRenderer(Vue)
+ *   const wrapper = mount(Counter, { props: { start: 1 }})
+ *   trigger(wrapper.find('button'), 'click')
+ *   expect(wrapper.toString()).toMatchSnapshot()
+ */
+export function createTestRenderer (Vue: GlobalAPI, options?: TestRendererOptions = {}) {
+  const renderer = Vue.createRenderer({
+    nodeOps,
+    modules: platformModules.concat(options.modules || []),
+    directives: extend(extend({}, platformDirectives), options.directives),
+    components: options.components,
+    mustUseProp,
+    isReservedTag,
+    isReservedAttr,
+    getTagNamespace,
+    compile: Vue.compile
+  })
+
+  /**
+   * Mount a component, `data` being the data of its vnode (props, attrs,
+   * on, scopedSlots...). `vm` is the component instance, unless the
+   * component is functional.
+   */
+  function mount (component: Object | Class<Component>, data?: VNodeData): TestWrapper {
+    // the container itself is not part of the serialized tree
+    const container = nodeOps.createElement('#root')
+    const root = renderer.mount({
+      render: h => h(component, data)
+    }, container)
+
+    const findAll = test => {
+      const match = typeof test === 'string'
+        ? node => node.tag === test || node.components.indexOf(test) > -1
+        : test
+      const matches = []
+      const walk = (node: TestNode) => {
+        if (match(node)) matches.push(node)
+        node.children.forEach(walk)
+      }
+      container.children.forEach(walk)
+      return matches
+    }
+
+    return {
+      vm: root.$children[0],
+      container,
+      toJSON () {
+        const json = container.children.map(toJSON)
+        return json.length === 1 ? json[0] : json
+      },
+      toString () {
+        return prettyPrint(container.children)
+      },
+      find: test => findAll(test)[0] || null,
+      findAll,
+      unmount () {
+        root.$destroy()
+        container.children.slice().forEach(node => nodeOps.removeChild(container, node))
+      }
+    }
+  }
+
+  /**
+   * Call the listeners of a node for an event, then flush the updates. The
+   * listeners receive a minimal event object extended with `eventInit`,
+   * e.g. `{ key: 'Enter' }`.
+   */
+  function trigger (node: TestNode, event: string, eventInit?: Object) {
+    const handlers = node.listeners[event]
+    if (handlers) {
+      const e = extend(createEvent(node, event), eventInit)
+      handlers.slice().forEach(handler => handler(e))
+    }
+    renderer.flush()
+  }
+
+  return {
+    config: renderer.config,
+    mount,
+    trigger,
+    flush: renderer.flush
+  }
+}
+
+function createEvent (node: TestNode, type: string): Object {
+  return {
+    type,
+    target: node,
+    currentTarget: node,
+    defaultPrevented: false,
+    preventDefault () {
+      this.defaultPrevented = true
+    },
+    stopPropagation: noop,
+    stopImmediatePropagation: noop
+  }
+}
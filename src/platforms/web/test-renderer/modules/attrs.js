@@ -0,0 +1,56 @@
+/* @flow */
+
+import { isDef, isUndef } from 'shared/util'
+import {
+  isBooleanAttr,
+  isEnumeratedAttr,
+  isFalsyAttrValue,
+  convertEnumeratedValue
+} from 'web/util/attrs'
+import { PatchFlags } from 'shared/constants'
+
+// attribute values are stored the way the DOM would report them
+function setAttr (elm: any, key: string, value: any) {
+  if (isBooleanAttr(key)) {
+    if (isFalsyAttrValue(value)) {
+      delete elm.attrs[key]
+    } else {
+      elm.attrs[key] = key
+    }
+  } else if (isEnumeratedAttr(key)) {
+    elm.attrs[key] = convertEnumeratedValue(key, value)
+  } else if (isFalsyAttrValue(value)) {
+    delete elm.attrs[key]
+  } else {
+    elm.attrs[key] = String(value)
+  }
+}
+
+function updateAttrs (oldVnode: VNodeWithData, vnode: VNodeWithData) {
+  const opts = vnode.componentOptions
+  if (isDef(opts) && opts.Ctor.options.inheritAttrs === false) {
+    return
+  }
+  if (isUndef(oldVnode.data.attrs) && isUndef(vnode.data.attrs)) {
+    return
+  }
+  const elm = vnode.elm
+  const oldAttrs = oldVnode.data.attrs || {}
+  const attrs = vnode.data.attrs || {}
+  for (const key in attrs) {
+    if (attrs[key] !== oldAttrs[key]) {
+      setAttr(elm, key, attrs[key])
+    }
+  }
+  for (const key in oldAttrs) {
+    if (isUndef(attrs[key]) && !isEnumeratedAttr(key)) {
+      delete elm.attrs[key]
+    }
+  }
+}
+
+export default {
+  create: updateAttrs,
+  update: updateAttrs,
+  flags: PatchFlags.ATTRS
+}
@@ -0,0 +1,33 @@
+/* @flow */
+
+import { isUndef } from 'shared/util'
+import { genClassForVnode } from 'web/util/class'
+import { PatchFlags } from 'shared/constants'
+
+function updateClass (oldVnode: any, vnode: any) {
+  const data: VNodeData = vnode.data
+  const oldData: VNodeData = oldVnode.data
+  if (
+    isUndef(data.staticClass) &&
+    isUndef(data.class) && (
+      isUndef(oldData) || (
+        isUndef(oldData.staticClass) &&
+        isUndef(oldData.class)
+      )
+    )
+  ) {
+    return
+  }
+  const cls = genClassForVnode(vnode)
+  if (cls) {
+    vnode.elm.attrs.class = cls
+  } else {
+    delete vnode.elm.attrs.class
+  }
+}
+
+export default {
+  create: updateClass,
+  update: updateClass,
+  flags: PatchFlags.CLASS
+}
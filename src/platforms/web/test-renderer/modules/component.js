@@ -0,0 +1,18 @@
+/* @flow */
+
+import { isDef } from 'shared/util'
+
+// records the names of the components rendering each root node. The create
+// hook is invoked for component placeholders with their root node, from the
+// innermost component out, and again when a component replaces its root.
+function addComponentName (_: any, vnode: VNodeWithData) {
+  const opts = vnode.componentOptions
+  if (isDef(vnode.componentInstance) && isDef(opts)) {
+    const elm: any = vnode.elm
+    elm.components.unshift(opts.Ctor.options.name || opts.tag || 'Anonymous')
+  }
+}
+
+export default {
+  create: addComponentName
+}
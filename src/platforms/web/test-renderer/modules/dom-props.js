@@ -0,0 +1,37 @@
+/* @flow */
+
+import { isUndef } from 'shared/util'
+import { setTextContent } from '../node-ops'
+import { PatchFlags } from 'shared/constants'
+
+function updateDOMProps (oldVnode: VNodeWithData, vnode: VNodeWithData) {
+  if (isUndef(oldVnode.data.domProps) && isUndef(vnode.data.domProps)) {
+    return
+  }
+  const elm: any = vnode.elm
+  const oldProps = oldVnode.data.domProps || {}
+  const props = vnode.data.domProps || {}
+
+  for (const key in oldProps) {
+    if (!(key in props)) {
+      delete elm.props[key]
+    }
+  }
+  for (const key in props) {
+    const cur = props[key]
+    if (key === 'textContent') {
+      // the text replaces the children, like in the DOM
+      if (vnode.children) vnode.children.length = 0
+      if (cur !== oldProps[key]) setTextContent(elm, cur)
+    } else {
+      if (key === 'innerHTML' && vnode.children) vnode.children.length = 0
+      elm.props[key] = cur
+    }
+  }
+}
+
+export default {
+  create: updateDOMProps,
+  update: updateDOMProps,
+  flags: PatchFlags.PROPS
+}
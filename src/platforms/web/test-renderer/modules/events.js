@@ -0,0 +1,56 @@
+/* @flow */
+
+import { isDef, isUndef } from 'shared/util'
+import { updateListeners } from 'core/vdom/helpers/update-listeners'
+import { RANGE_TOKEN } from 'web/compiler/directives/model'
+import { PatchFlags } from 'shared/constants'
+
+let target: any
+
+function add (name: string, handler: Function) {
+  const listeners = target.listeners[name] || (target.listeners[name] = [])
+  listeners.push(handler)
+}
+
+function remove (name: string, handler: Function, capture: boolean, _target?: any) {
+  const listeners = (_target || target).listeners
+  const handlers = listeners[name]
+  if (handlers) {
+    const index = handlers.indexOf(handler)
+    if (index > -1) handlers.splice(index, 1)
+    if (!handlers.length) delete listeners[name]
+  }
+}
+
+function createOnceHandler (event, handler, capture) {
+  const _target = target // save current target node in closure
+  return function onceHandler () {
+    const res = handler.apply(null, arguments)
+    if (res !== null) {
+      remove(event, onceHandler, capture, _target)
+    }
+  }
+}
+
+// listeners are recorded on the nodes, to be called with `trigger()`
+function updateListenersOfNode (oldVnode: VNodeWithData, vnode: VNodeWithData) {
+  if (isUndef(oldVnode.data.on) && isUndef(vnode.data.on)) {
+    return
+  }
+  const on = vnode.data.on || {}
+  const oldOn = oldVnode.data.on || {}
+  // v-model on range inputs listens to the input event
+  if (isDef(on[RANGE_TOKEN])) {
+    on.input = [].concat(on[RANGE_TOKEN], on.input || [])
+    delete on[RANGE_TOKEN]
+  }
+  target = vnode.elm
+  updateListeners(on, oldOn, add, remove, createOnceHandler, vnode.context)
+  target = undefined
+}
+
+export default {
+  create: updateListenersOfNode,
+  update: updateListenersOfNode,
+  flags: PatchFlags.EVENTS
+}
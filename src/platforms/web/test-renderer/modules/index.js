@@ -0,0 +1,15 @@
+import attrs from './attrs'
+import klass from './class'
+import style from './style'
+import events from './events'
+import domProps from './dom-props'
+import component from './component'
+
+export default [
+  attrs,
+  klass,
+  style,
+  events,
+  domProps,
+  component
+]
@@ -0,0 +1,34 @@
+/* @flow */
+
+import { isUndef } from 'shared/util'
+import { getStyle } from 'web/util/style'
+import { genStyle } from 'web/server/modules/style'
+import { PatchFlags } from 'shared/constants'
+
+// styles are serialized like the server renderer does,
+// e.g. `color:red;font-size:12px;`
+function updateStyle (oldVnode: VNodeWithData, vnode: VNodeWithData) {
+  const data = vnode.data
+  const oldData = oldVnode.data
+  if (
+    isUndef(data.staticStyle) &&
+    isUndef(data.style) &&
+    isUndef(oldData.staticStyle) &&
+    isUndef(oldData.style)
+  ) {
+    return
+  }
+  const elm: any = vnode.elm
+  const style = genStyle(getStyle(vnode, true))
+  if (style) {
+    elm.attrs.style = style
+  } else {
+    delete elm.attrs.style
+  }
+}
+
+export default {
+  create: updateStyle,
+  update: updateStyle,
+  flags: PatchFlags.STYLE
+}
@@ -0,0 +1,106 @@
+/* @flow */
+
+export type TestNode = {
+  type: 'element' | 'text' | 'comment';
+  tag: string;
+  text: string;
+  ns: ?string;
+  attrs: { [key: string]: string };
+  props: { [key: string]: any };
+  listeners: { [key: string]: Array<Function> };
+  // names of the components rendering the node, the outermost first
+  components: Array<string>;
+  children: Array<TestNode>;
+  parentNode: ?TestNode;
+};
+
+function createNode (type, tag: string, text: string, ns: ?string): TestNode {
+  return {
+    type,
+    tag,
+    text,
+    ns,
+    attrs: {},
+    props: {},
+    listeners: {},
+    components: [],
+    children: [],
+    parentNode: null
+  }
+}
+
+function detach (node: TestNode) {
+  const parent = node.parentNode
+  if (parent) {
+    parent.children.splice(parent.children.indexOf(node), 1)
+    node.parentNode = null
+  }
+}
+
+export function createElement (tagName: string): TestNode {
+  return createNode('element', tagName, '')
+}
+
+export function createElementNS (namespace: string, tagName: string): TestNode {
+  return createNode('element', tagName, '', namespace)
+}
+
+export function createTextNode (text: string): TestNode {
+  return createNode('text', '', text)
+}
+
+export function createComment (text: string): TestNode {
+  return createNode('comment', '', text)
+}
+
+export function insertBefore (parentNode: TestNode, newNode: TestNode, referenceNode: ?TestNode) {
+  detach(newNode)
+  const index = referenceNode ? parentNode.children.indexOf(referenceNode) : -1
+  if (index > -1) {
+    parentNode.children.splice(index, 0, newNode)
+  } else {
+    parentNode.children.push(newNode)
+  }
+  newNode.parentNode = parentNode
+}
+
+export function removeChild (node: TestNode, child: TestNode) {
+  if (child.parentNode === node) {
+    detach(child)
+  }
+}
+
+export function appendChild (node: TestNode, child: TestNode) {
+  detach(child)
+  node.children.push(child)
+  child.parentNode = node
+}
+
+export function parentNode (node: TestNode): ?TestNode {
+  return node.parentNode
+}
+
+export function nextSibling (node: TestNode): ?TestNode {
+  const parent = node.parentNode
+  return parent ? parent.children[parent.children.indexOf(node) + 1] || null : null
+}
+
+export function tagName (node: TestNode): string {
+  return node.tag
+}
+
+export function setTextContent (node: TestNode, text: string) {
+  if (node.type !== 'element') {
+    node.text = text
+    return
+  }
+  node.children.forEach(child => { child.parentNode = null })
+  node.children = []
+  if (text) {
+    appendChild(node, createTextNode(text))
+  }
+}
+
+export function setStyleScope (node: TestNode, scopeId: string) {
+  node.attrs[scopeId] = ''
+}
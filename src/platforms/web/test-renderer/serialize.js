@@ -0,0 +1,91 @@
+/* @flow */
+
+import { extend } from 'shared/util'
+import type { TestNode } from './node-ops'
+
+/**
+ * Serialize a node of the test renderer to a plain object:
+ * - elements: `{ type, tag, attrs, props, listeners, components, children }`,
+ *   `listeners` being the sorted names of the events listened to
+ * - text and comments: `{ type, text, components }`
+ * `components` lists the names of the components rendering the node, the
+ * outermost first.
+ */
+export function toJSON (node: TestNode): Object {
+  const json: Object = { type: node.type }
+  if (node.type === 'element') {
+    json.tag = node.tag
+    json.attrs = extend({}, node.attrs)
+    json.props = extend({}, node.props)
+    json.listeners = Object.keys(node.listeners).sort()
+    json.components = node.components.slice()
+    json.children = node.children.map(toJSON)
+  } else {
+    json.text = node.text
+    json.components = node.components.slice()
+  }
+  return json
+}
+
+/**
+ * Print nodes of the test renderer as indented markup for snapshots, e.g.
+ *
+ *   <div class="list" @click> // App > List
+ *     <span .textContent="foo"></span>
+ *     bar
+ *   </div>
+ *
+ * Attributes, props (prefixed with `.`) and listeners (prefixed with `@`)
+ * are sorted, text is trimmed and whitespace-only text is left out.
+ */
+export function prettyPrint (nodes: TestNode | Array<TestNode>): string {
+  const lines = []
+  ;[].concat(nodes).forEach(node => printNode(node, '', lines))
+  return lines.join('\n')
+}
+
+function printNode (node: TestNode, indent: string, lines: Array<string>) {
+  const components = node.components.length
+    ? ` // ${node.components.join(' > ')}`
+    : ''
+  if (node.type === 'text') {
+    const text = node.text.trim()
+    if (text) lines.push(indent + text + components)
+    return
+  }
+  if (node.type === 'comment') {
+    lines.push(`${indent}<!--${node.text}-->${components}`)
+    return
+  }
+  let open = `<${node.tag}`
+  Object.keys(node.attrs).sort().forEach(key => {
+    const value = node.attrs[key]
+    open += value === '' ? ` ${key}` : ` ${key}=${JSON.stringify(value)}`
+  })
+  Object.keys(node.props).sort().forEach(key => {
+    open += ` .${key}=${formatValue(node.props[key])}`
+  })
+  Object.keys(node.listeners).sort().forEach(key => {
+    open += ` @${key}`
+  })
+  open += '>'
+  const start = lines.length
+  node.children.forEach(child => printNode(child, indent + '  ', lines))
+  if (lines.length === start) {
+    lines.push(`${indent}${open}</${node.tag}>${components}`)
+  } else {
+    lines.splice(start, 0, indent + open + components)
+    lines.push(`${indent}</${node.tag}>`)
+  }
+}
+
+function formatValue (value: any): string {
+  if (typeof value === 'function' || value === undefined) {
+    return String(value)
+  }
+  try {
+    return JSON.stringify(value)
+  } catch (e) {
+    return String(value)
+  }
+}
@@ -1,13 +1,19 @@
 /* @flow */
 
 import { addHandler, addAttr } from 'compiler/helpers'
-import { genComponentModel, genAssignmentCode } from 'compiler/directives/model'
+import {
+  genComponentModel,
+  genComponentArgModel,
+  genAssignmentCode
+} from 'compiler/directives/model'
 
 export default function model (
   el: ASTElement,
   dir: ASTDirective
 ): ?boolean {
-  if (el.tag === 'input' || el.tag === 'textarea') {
+  if (dir.arg) {
+    genComponentArgModel(el, dir)
+  } else if (el.tag === 'input' || el.tag === 'textarea') {
     genDefaultModel(el, dir.value, dir.modifiers)
   } else {
     genComponentModel(el, dir.value, dir.modifiers)
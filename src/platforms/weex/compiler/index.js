@@ -24,6 +24,8 @@ export const baseOptions: WeexCompilerOptions = {
   getTagNamespace,
   preserveWhitespace: false,
   recyclable: false,
+  // keep the generated code (and the <recycle-list> one) free of block helpers
+  blocks: false,
   staticKeys: genStaticKeys(modules)
 }
 
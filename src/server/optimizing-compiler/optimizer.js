@@ -63,7 +63,9 @@ function walk (node: ASTNode, isRoot?: boolean) {
       (!isRoot && (node.attrsMap['v-html'] || node.attrsMap['v-text']))
     ) {
       node.ssrOptimizability = optimizability.FULL
-    } else {
+    } else if (!node.fragment) {
+      // the root nodes of a fragment are kept apart, so that they are
+      // rendered between the fragment anchors
       node.children = optimizeSiblings(node)
     }
   } else {
@@ -13,9 +13,26 @@ type RenderState = {
   rendered: number;
   total: number;
   children: Array<VNode>;
+} | {
+  type: 'Teleport';
+  rendered: number;
+  total: number;
+  children: Array<VNode>;
+  target: string;
+  buffer: string;
+  prevWrite: Function;
+} | {
+  type: 'ErrorBoundary';
+  vm: Component;
+  isRoot: boolean;
+  buffer: string;
+  prevWrite: Function;
+  cacheIndex: number;
+  cacheLength: number;
 } | {
   type: 'Component';
   prevActive: Component;
+  endTag: string;
 } | {
   type: 'ComponentWithCache';
   buffer: Array<string>;
@@ -87,9 +104,49 @@ export class RenderContext {
             }
           }
           break
+        case 'Teleport': {
+          if (lastState.rendered < lastState.total) {
+            return this.renderNode(lastState.children[lastState.rendered++], false, this)
+          }
+          this.renderStates.pop()
+          // collect the content into context.teleports, keyed by target
+          this.write = lastState.prevWrite
+          const userContext = this.userContext
+          if (userContext) {
+            const teleports = userContext.teleports || (userContext.teleports = {})
+            teleports[lastState.target] = (teleports[lastState.target] || '') +
+              lastState.buffer + '<!--teleport anchor-->'
+          }
+          return this.write('<!--teleport end-->', this.next)
+        }
+        case 'ErrorBoundary': {
+          this.renderStates.pop()
+          this.write = lastState.prevWrite
+          const { vm, cacheIndex, cacheLength } = lastState
+          if (vm._errorBoundary && vm._errorBoundary.error) {
+            // discard the content and render the fallback instead
+            const cacheBuffer = this.write.cacheBuffer
+            if (cacheIndex > -1) {
+              cacheBuffer[cacheIndex] = cacheBuffer[cacheIndex].slice(0, cacheLength)
+            }
+            const fallback = vm._render()
+            return this.renderNode(fallback, lastState.isRoot, this)
+          }
+          // the content has already been added to the cache
+          const write = this.write
+          const caching = write.caching
+          write.caching = false
+          return write(lastState.buffer, () => {
+            write.caching = caching
+            this.next()
+          })
+        }
         case 'Component':
           this.renderStates.pop()
           this.activeInstance = lastState.prevActive
+          if (lastState.endTag) {
+            return this.write(lastState.endTag, this.next)
+          }
           break
         case 'ComponentWithCache':
           this.renderStates.pop()
@@ -52,6 +52,14 @@ const normalizeRender = vm => {
 
 function waitForServerPrefetch (vm, resolve, reject) {
   let handlers = vm.$options.serverPrefetch
+  if (vm._asyncSetup) {
+    // wait for async setup() first, serverPrefetch may rely on its state
+    vm._asyncSetup.then(
+      () => waitForServerPrefetch(vm, resolve, reject),
+      reject
+    )
+    return
+  }
   if (isDef(handlers)) {
     if (!Array.isArray(handlers)) handlers = [handlers]
     try {
@@ -82,6 +90,18 @@ function renderNode (node, isRoot, context) {
     if (isDef(node.asyncFactory)) {
       // async component
       renderAsyncComponent(node, isRoot, context)
+    } else if (isDef(node.data) && isDef(node.data.teleport)) {
+      renderTeleport(node, context)
+    } else if (isDef(node.data) && isDef(node.data.fragment)) {
+      // fragment, rendered between the anchors used for hydration
+      context.renderStates.push({
+        type: 'Element',
+        children: node.children,
+        rendered: 0,
+        total: node.children.length,
+        endTag: '<!--fragment end-->'
+      })
+      context.write('<!--fragment start-->', context.next)
     } else {
       context.write(`<!--${node.text}-->`, context.next)
     }
@@ -197,11 +217,26 @@ function renderComponentInner (node, isRoot, context) {
   const resolve = () => {
     const childNode = child._render()
     childNode.parent = node
+    // lazily hydrated components are rendered between markers, so that the
+    // client can skip their nodes until they are hydrated
+    const lazy = isDef(child.$options.hydrate) && !isRoot
     context.renderStates.push({
       type: 'Component',
-      prevActive
+      prevActive,
+      endTag: lazy ? '<!--lazy end-->' : ''
     })
-    renderNode(childNode, isRoot, context)
+    const render = () => {
+      if (isDef(child._errorBoundary)) {
+        renderErrorBoundary(childNode, isRoot, child, context)
+      } else {
+        renderNode(childNode, isRoot, context)
+      }
+    }
+    if (lazy) {
+      context.write('<!--lazy start-->', render)
+    } else {
+      render()
+    }
   }
 
   const reject = context.done
@@ -274,6 +309,85 @@ function renderAsyncComponent (node, isRoot, context) {
   }
 }
 
+// Teleported content is rendered into context.teleports[to] (followed by
+// an anchor comment used for hydration) for the user to inject into the
+// page, while the component's position is marked by two anchor comments.
+// Disabled teleports are rendered in place, between the anchors.
+function renderTeleport (node, context) {
+  const { to, disabled } = node.data.teleport
+  const children = node.children || []
+  if (disabled || typeof to !== 'string') {
+    context.renderStates.push({
+      type: 'Element',
+      children,
+      rendered: 0,
+      total: children.length,
+      endTag: '<!--teleport end-->'
+    })
+    context.write('<!--teleport start-->', context.next)
+    return
+  }
+  const prevWrite = context.write
+  const state = {
+    type: 'Teleport',
+    children,
+    rendered: 0,
+    total: children.length,
+    target: to,
+    buffer: '',
+    prevWrite
+  }
+  const write = createBufferedWrite(state, prevWrite)
+  context.renderStates.push(state)
+  prevWrite('<!--teleport start-->', () => {
+    context.write = write
+    context.next()
+  })
+}
+
+// The content of an <error-boundary> is buffered, so that it can be
+// replaced by the fallback when an error is captured while rendering it.
+function renderErrorBoundary (node, isRoot, vm, context) {
+  const boundary = vm._errorBoundary
+  if (boundary && boundary.error) {
+    renderNode(node, isRoot, context)
+    return
+  }
+  const prevWrite = context.write
+  const cacheBuffer = prevWrite.cacheBuffer
+  const state = {
+    type: 'ErrorBoundary',
+    vm,
+    isRoot,
+    buffer: '',
+    prevWrite,
+    // the content written into the cache of a parent component,
+    // discarded as well on error
+    cacheIndex: prevWrite.caching ? cacheBuffer.length - 1 : -1,
+    cacheLength: prevWrite.caching ? cacheBuffer[cacheBuffer.length - 1].length : 0
+  }
+  context.renderStates.push(state)
+  context.write = createBufferedWrite(state, prevWrite)
+  renderNode(node, isRoot, context)
+}
+
+// Create a write function collecting the output into `state.buffer`
+// instead of the stream, while still feeding the component cache.
+function createBufferedWrite (state, prevWrite) {
+  const write = (text, next) => {
+    if (text && write.caching) {
+      write.cacheBuffer[write.cacheBuffer.length - 1] += text
+    }
+    state.buffer += text
+    // let the original write function schedule next()
+    prevWrite('', next)
+  }
+  write.caching = prevWrite.caching
+  write.cacheBuffer = prevWrite.cacheBuffer
+  write.componentBuffer = prevWrite.componentBuffer
+  return write
+}
+
 function renderStringNode (el, context) {
   const { write, next } = context
   if (isUndef(el.children) || el.children.length === 0) {
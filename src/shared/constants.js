@@ -23,5 +23,28 @@ export const LIFECYCLE_HOOKS = [
   'activated',
   'deactivated',
   'errorCaptured',
-  'serverPrefetch'
+  'serverPrefetch',
+  'renderTracked',
+  'renderTriggered'
 ]
+/**
+ * 编译器为区块中的动态节点生成的补丁标记，表示节点中可能变化的部分
+ */
+export const PatchFlags = {
+  // 动态文本
+  TEXT: 1,
+  // 动态class
+  CLASS: 1 << 1,
+  // 动态style
+  STYLE: 1 << 2,
+  // 动态属性，名称列在dynamicProps中
+  ATTRS: 1 << 3,
+  // 动态dom属性
+  PROPS: 1 << 4,
+  // 事件监听
+  EVENTS: 1 << 5,
+  // ref等需要基础模块更新的绑定
+  NEED_PATCH: 1 << 6,
+  // 需要完整更新，例如指令和对象绑定
+  FULL: -1
+}
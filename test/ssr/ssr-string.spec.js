@@ -1170,9 +1170,9 @@ describe('SSR: renderToString', () => {
 
   it('should catch template compilation error', done => {
     renderToString(new Vue({
-      template: `<div></div><div></div>`
+      template: `<div></div>text`
     }), (err) => {
-      expect(err.toString()).toContain('Component template should contain exactly one root element')
+      expect(err.toString()).toContain('outside root element will be ignored')
       done()
     })
   })
@@ -1577,6 +1577,159 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  it('should render teleport content into context.teleports', done => {
+    const context = {}
+    renderToString(new Vue({
+      template: `<div>
+        <teleport to="#modals"><p>{{ msg }}</p></teleport>
+        <teleport to="#modals"><span>second</span></teleport>
+      </div>`,
+      data: { msg: 'hello' }
+    }), context, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toBe(
+        '<div data-server-rendered="true">' +
+        '<!--teleport start--><!--teleport end--> ' +
+        '<!--teleport start--><!--teleport end-->' +
+        '</div>'
+      )
+      expect(context.teleports['#modals']).toBe(
+        '<p>hello</p><!--teleport anchor-->' +
+        '<span>second</span><!--teleport anchor-->'
+      )
+      done()
+    })
+  })
+
+  it('should render disabled teleport in place', done => {
+    renderVmWithOptions({
+      template: '<div><teleport to="#modals" disabled><p>hi</p></teleport></div>'
+    }, result => {
+      expect(result).toContain(
+        '<div data-server-rendered="true">' +
+        '<!--teleport start--><p>hi</p><!--teleport end-->' +
+        '</div>'
+      )
+      done()
+    })
+  })
+
+  it('should render resolved suspense content', done => {
+    renderVmWithOptions({
+      template: `
+        <div><suspense>
+          <template #default><test /></template>
+          <template #fallback><p>loading</p></template>
+        </suspense></div>
+      `,
+      components: {
+        test: {
+          template: '<p>{{ msg }}</p>',
+          setup () {
+            return new Promise(resolve => {
+              setTimeout(() => resolve({ msg: 'hello' }), 0)
+            })
+          }
+        }
+      }
+    }, result => {
+      expect(result).toContain(
+        '<div data-server-rendered="true">' +
+        '<!--fragment start--><!--teleport start--><p>hello</p><!--teleport end--><!--fragment end-->' +
+        '</div>'
+      )
+      done()
+    })
+  })
+
+  it('should render error boundary fallback on errors', done => {
+    const onError = jasmine.createSpy('error')
+    renderVmWithOptions({
+      template: `
+        <div>
+          <error-boundary @error="onError">
+            <template #default><p>before</p><test /></template>
+            <template #fallback="{ error }"><p>{{ error.message }}</p></template>
+          </error-boundary>
+          <error-boundary>
+            <template #default><p>ok</p></template>
+            <template #fallback><p>failed</p></template>
+          </error-boundary>
+        </div>
+      `,
+      methods: { onError },
+      components: {
+        test: {
+          render () {
+            throw new Error('render failed')
+          }
+        }
+      }
+    }, result => {
+      expect(result).toContain(
+        '<div data-server-rendered="true"><p>render failed</p> <p>ok</p></div>'
+      )
+      expect(onError.calls.argsFor(0)[2]).toBe('render')
+      done()
+    })
+  })
+
+  it('should render fragments between anchors', done => {
+    renderVmWithOptions({
+      template: '<div><test :msg="msg" /></div>',
+      data: { msg: 'hi' },
+      components: {
+        test: {
+          props: ['msg'],
+          template: '<p>{{ msg }}</p><span>static</span><b v-if="false"></b>'
+        }
+      }
+    }, result => {
+      expect(result).toContain(
+        '<div data-server-rendered="true">' +
+        '<!--fragment start--><p>hi</p><span>static</span><!----><!--fragment end-->' +
+        '</div>'
+      )
+      done()
+    })
+  })
+
+  it('should render lazily hydrated components between markers', done => {
+    const lazy = {
+      hydrate: 'visible',
+      template: '<p>lazy <inner /></p>',
+      components: {
+        inner: {
+          hydrate: 'idle',
+          template: '<span>inner</span>'
+        }
+      }
+    }
+    renderVmWithOptions({
+      template: '<div><lazy /><wrapper /></div>',
+      components: {
+        lazy,
+        wrapper: {
+          // the root of the app is rendered without markers
+          render: h => h(lazy)
+        }
+      }
+    }, result => {
+      expect(result).toContain(
+        '<div data-server-rendered="true">' +
+        '<!--lazy start--><p>lazy <!--lazy start--><span>inner</span><!--lazy end--></p><!--lazy end-->' +
+        '<!--lazy start--><p>lazy <!--lazy start--><span>inner</span><!--lazy end--></p><!--lazy end-->' +
+        '</div>'
+      )
+      renderVmWithOptions({ render: h => h(lazy) }, result => {
+        expect(result).toContain(
+          '<p data-server-rendered="true">lazy <!--lazy start--><span>inner</span><!--lazy end--></p>'
+        )
+        done()
+      })
+    })
+  })
+
   it('handling max stack size limit', done => {
     const vueInstance = new Vue({
       template: `<div class="root">
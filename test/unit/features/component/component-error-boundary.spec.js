@@ -0,0 +1,146 @@
+import Vue from 'vue'
+
+describe('Component error boundary', () => {
+  let globalSpy
+
+  beforeEach(() => {
+    globalSpy = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+  })
+
+  afterEach(() => {
+    Vue.config.errorHandler = null
+  })
+
+  function createBoundary (content, child, data) {
+    const onError = jasmine.createSpy('error')
+    const vm = new Vue({
+      template: `
+        <div><error-boundary @error="onError">
+          <template #default>${content}</template>
+          <template #fallback="{ error, reset }">
+            <p class="fallback" @click="reset">{{ error.message }}</p>
+          </template>
+        </error-boundary></div>
+      `,
+      data: data || {},
+      methods: { onError },
+      components: { child }
+    }).$mount()
+    return { vm, onError }
+  }
+
+  it('should render the default content', () => {
+    const { vm, onError } = createBoundary('<child />', {
+      template: '<p>ok</p>'
+    })
+    expect(vm.$el.textContent.trim()).toBe('ok')
+    expect(onError).not.toHaveBeenCalled()
+  })
+
+  it('should render the fallback on render errors and reset', done => {
+    let fail = true
+    let child
+    const { vm, onError } = createBoundary('<child />', {
+      created () {
+        child = this
+      },
+      render (h) {
+        if (fail) throw new Error('render failed')
+        return h('p', 'ok')
+      }
+    })
+    const err = onError.calls.argsFor(0)[0]
+    expect(err.message).toBe('render failed')
+    expect(onError).toHaveBeenCalledWith(err, child, 'render')
+    // captured errors do not propagate
+    expect(globalSpy).not.toHaveBeenCalled()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent.trim()).toBe('render failed')
+      fail = false
+      triggerEvent(vm.$el.querySelector('.fallback'), 'click')
+    }).then(() => {
+      expect(vm.$el.textContent.trim()).toBe('ok')
+    }).then(done)
+  })
+
+  it('should capture errors from lifecycle hooks, watchers and event handlers', done => {
+    let failMounted = true
+    const { vm, onError } = createBoundary('<child :n="n" />', {
+      props: ['n'],
+      template: '<button @click="boom">{{ n }}</button>',
+      watch: {
+        n () {
+          throw new Error('watcher failed')
+        }
+      },
+      mounted () {
+        if (failMounted) throw new Error('mounted failed')
+      },
+      methods: {
+        boom () {
+          throw new Error('handler failed')
+        }
+      }
+    }, { n: 1 })
+    expect(onError.calls.argsFor(0)[0].message).toBe('mounted failed')
+    expect(onError.calls.argsFor(0)[2]).toBe('mounted hook')
+    waitForUpdate(() => {
+      expect(vm.$el.textContent.trim()).toBe('mounted failed')
+      failMounted = false
+      triggerEvent(vm.$el.querySelector('.fallback'), 'click')
+    }).then(() => {
+      expect(vm.$el.textContent.trim()).toBe('1')
+      vm.n++
+    }).then(() => {
+      expect(onError.calls.argsFor(1)[0].message).toBe('watcher failed')
+      expect(onError.calls.argsFor(1)[2]).toBe('callback for watcher "n"')
+    }).then(() => {
+      expect(vm.$el.textContent.trim()).toBe('watcher failed')
+      triggerEvent(vm.$el.querySelector('.fallback'), 'click')
+    }).then(() => {
+      triggerEvent(vm.$el.querySelector('button'), 'click')
+      expect(onError.calls.argsFor(2)[0].message).toBe('handler failed')
+      expect(onError.calls.argsFor(2)[2]).toBe('v-on handler')
+    }).then(() => {
+      expect(vm.$el.textContent.trim()).toBe('handler failed')
+      expect(globalSpy).not.toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should capture errors of the default slot synchronously', () => {
+    const { vm, onError } = createBoundary('<p>{{ foo.bar }}</p>', null, {
+      foo: null
+    })
+    expect(onError).toHaveBeenCalled()
+    expect(vm.$el.querySelector('.fallback')).toBeTruthy()
+    expect(globalSpy).not.toHaveBeenCalled()
+  })
+
+  it('should propagate errors of the fallback', done => {
+    const outer = jasmine.createSpy('errorCaptured')
+    const vm = new Vue({
+      template: `
+        <div><error-boundary>
+          <child />
+          <template #fallback="{ error }">{{ error.foo.bar }}</template>
+        </error-boundary></div>
+      `,
+      errorCaptured: outer,
+      components: {
+        child: {
+          created () {
+            throw new Error('created failed')
+          },
+          render () {}
+        }
+      }
+    }).$mount()
+    expect(outer).not.toHaveBeenCalled()
+    waitForUpdate(() => {
+      expect(outer).toHaveBeenCalled()
+      expect(outer.calls.argsFor(0)[2]).toBe('render')
+      expect(globalSpy).toHaveBeenCalled()
+      expect(vm.$el.textContent).toBe('')
+    }).then(done)
+  })
+})
@@ -0,0 +1,153 @@
+import Vue from 'vue'
+
+describe('Component fragment', () => {
+  const Row = {
+    props: ['n'],
+    template: '<b>{{ n }}</b><i>{{ n }}</i>'
+  }
+
+  it('should render multiple root nodes', done => {
+    const vm = new Vue({
+      template: '<div><test :msg="msg" /><span>after</span></div>',
+      data: { msg: 'a' },
+      components: {
+        test: {
+          props: ['msg'],
+          template: '<p>{{ msg }}</p><p v-if="msg === \'b\'">b</p>'
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(vm.$el.innerHTML).toBe(
+      '<!--fragment start--><p>a</p><!----><!--fragment end--><span>after</span>'
+    )
+    // $el is the start anchor
+    expect(child.$el).toBe(vm.$el.firstChild)
+    vm.msg = 'b'
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe(
+        '<!--fragment start--><p>b</p><p>b</p><!--fragment end--><span>after</span>'
+      )
+    }).then(done)
+  })
+
+  it('should support render functions returning arrays', () => {
+    const vm = new Vue({
+      render: h => h('div', [h({
+        render: h => [h('p', 'a'), 'text', [h('p', 'b')]]
+      })])
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe(
+      '<!--fragment start--><p>a</p>text<p>b</p><!--fragment end-->'
+    )
+  })
+
+  it('should move and remove fragment components', done => {
+    const vm = new Vue({
+      template: '<div><row v-for="i in list" :key="i" :n="i" /><span>end</span></div>',
+      data: { list: [1, 2, 3] },
+      components: { Row }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('112233end')
+    vm.list = [3, 1, 2]
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('331122end')
+      vm.list = [2, 4]
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('2244end')
+      // 2 fragments of 4 nodes + span
+      expect(vm.$el.childNodes.length).toBe(9)
+      vm.list = []
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>end</span>')
+    }).then(done)
+  })
+
+  it('should switch between fragment and single roots', done => {
+    const vm = new Vue({
+      template: '<div><test :multi="multi" /><span>after</span></div>',
+      data: { multi: true },
+      components: {
+        test: {
+          props: ['multi'],
+          render (h) {
+            return this.multi ? [h('p', 'a'), h('p', 'b')] : h('p', 'c')
+          }
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(vm.$el.textContent).toBe('abafter')
+    vm.multi = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>c</p><span>after</span>')
+      expect(child.$el).toBe(vm.$el.firstChild)
+      vm.multi = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe(
+        '<!--fragment start--><p>a</p><p>b</p><!--fragment end--><span>after</span>'
+      )
+      expect(child.$el).toBe(vm.$el.firstChild)
+    }).then(done)
+  })
+
+  it('should mount a fragment root instance', () => {
+    const el = document.createElement('div')
+    const container = document.createElement('div')
+    container.appendChild(el)
+    const vm = new Vue({
+      template: '<p>a</p><p>b</p>'
+    }).$mount(el)
+    expect(container.innerHTML).toBe(
+      '<!--fragment start--><p>a</p><p>b</p><!--fragment end-->'
+    )
+    expect(vm.$el).toBe(container.firstChild)
+  })
+
+  it('should warn attributes that cannot be inherited', () => {
+    new Vue({
+      template: '<div><row id="foo" class="bar" /></div>',
+      components: { Row }
+    }).$mount()
+    expect(
+      'Extraneous non-props attributes (id, class) were passed to component ' +
+      'but could not be automatically inherited'
+    ).toHaveBeenWarned()
+  })
+
+  it('should not warn attributes with inheritAttrs: false', () => {
+    const vm = new Vue({
+      template: '<div><test id="foo" /></div>',
+      components: {
+        test: {
+          inheritAttrs: false,
+          template: '<p v-bind="$attrs">a</p><p>b</p>'
+        }
+      }
+    }).$mount()
+    expect('Extraneous non-props attributes').not.toHaveBeenWarned()
+    expect(vm.$el.querySelector('p').id).toBe('foo')
+  })
+
+  it('should hydrate server-rendered fragments', () => {
+    const dom = document.createElement('div')
+    dom.setAttribute('data-server-rendered', 'true')
+    dom.innerHTML = '<!--fragment start--><p>1</p><p>2</p><!--fragment end--><span>after</span>'
+    const p = dom.querySelector('p')
+    const spy = jasmine.createSpy('click')
+    const vm = new Vue({
+      template: '<div><test @click="onClick" /><span>after</span></div>',
+      methods: { onClick: spy },
+      components: {
+        test: {
+          template: '<p @click="$emit(\'click\')">1</p><p>2</p>'
+        }
+      }
+    }).$mount(dom)
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(vm.$el).toBe(dom)
+    expect(dom.querySelector('p')).toBe(p)
+    triggerEvent(p, 'click')
+    expect(spy).toHaveBeenCalled()
+  })
+})
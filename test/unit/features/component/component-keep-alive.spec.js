@@ -572,6 +572,120 @@ describe('Component keep-alive', () => {
     }).then(done)
   })
 
+  it('cacheKey', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <keep-alive ref="cache" :cache-key="cacheKey">
+            <component :is="view" :id="id"></component>
+          </keep-alive>
+        </div>
+      `,
+      data: {
+        view: 'one',
+        id: 1
+      },
+      methods: {
+        cacheKey: vnode => vnode.componentOptions.propsData.id
+      },
+      components: {
+        one: {
+          props: ['id'],
+          template: '<div>{{ id }}</div>',
+          created: one.created,
+          destroyed: one.destroyed
+        }
+      }
+    }).$mount()
+    expect(vm.$refs.cache.keys()).toEqual(['1'])
+    vm.id = 2
+    waitForUpdate(() => {
+      // a different key creates a new instance
+      expect(vm.$el.textContent).toBe('2')
+      expect(one.created.calls.count()).toBe(2)
+      expect(vm.$refs.cache.keys()).toEqual(['1', '2'])
+      vm.id = 1
+    }).then(() => {
+      expect(one.created.calls.count()).toBe(2)
+      expect(vm.$refs.cache.keys()).toEqual(['2', '1'])
+      expect(one.destroyed).not.toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('ttl', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <keep-alive ref="cache" ttl="50">
+            <component :is="view"></component>
+          </keep-alive>
+        </div>
+      `,
+      data: {
+        view: 'one'
+      },
+      components
+    }).$mount()
+    vm.view = 'two'
+    waitForUpdate(() => {
+      expect(vm.$refs.cache.keys().length).toBe(2)
+      assertHookCalls(one, [1, 1, 1, 1, 0])
+    }).thenWaitFor(20).then(() => {
+      // re-activated before expiring
+      vm.view = 'one'
+    }).thenWaitFor(40).then(() => {
+      assertHookCalls(one, [1, 1, 2, 1, 0])
+      assertHookCalls(two, [1, 1, 1, 1, 0])
+    }).thenWaitFor(30).then(() => {
+      // two expired after being inactive for 50ms
+      assertHookCalls(two, [1, 1, 1, 1, 1])
+      expect(vm.$refs.cache.keys().length).toBe(1)
+      vm.view = 'two'
+    }).then(() => {
+      assertHookCalls(two, [2, 2, 2, 1, 1])
+      vm.$destroy()
+    }).thenWaitFor(60).then(() => {
+      assertHookCalls(one, [1, 1, 2, 2, 1])
+    }).then(done)
+  })
+
+  it('evict, clear and keys', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <keep-alive ref="cache">
+            <component :is="view"></component>
+          </keep-alive>
+        </div>
+      `,
+      data: {
+        view: 'one'
+      },
+      components
+    }).$mount()
+    const cache = vm.$refs.cache
+    vm.view = 'two'
+    waitForUpdate(() => {
+      const [keyOne, keyTwo] = cache.keys()
+      cache.evict(keyOne)
+      assertHookCalls(one, [1, 1, 1, 1, 1])
+      expect(cache.keys()).toEqual([keyTwo])
+      vm.view = 'one'
+    }).then(() => {
+      assertHookCalls(one, [2, 2, 2, 1, 1])
+      assertHookCalls(two, [1, 1, 1, 1, 0])
+      cache.clear()
+      expect(cache.keys()).toEqual([])
+      // the inactive instance is destroyed, the active one once switched out
+      assertHookCalls(one, [2, 2, 2, 1, 1])
+      assertHookCalls(two, [1, 1, 1, 1, 1])
+      vm.view = 'two'
+    }).then(() => {
+      assertHookCalls(one, [2, 2, 2, 1, 2])
+      assertHookCalls(two, [2, 2, 2, 1, 1])
+    }).then(done)
+  })
+
   it('should warn unknown component inside', () => {
     new Vue({
       template: `<keep-alive><foo/></keep-alive>`
@@ -325,9 +325,9 @@ describe('Component slot', () => {
     expect(vm.$el.textContent).toBe('C')
   })
 
-  it('warn if user directly returns array', () => {
-    new Vue({
-      template: '<test><div slot="foo"></div><div slot="foo"></div></test>',
+  it('render a fragment if user directly returns array', () => {
+    const vm = new Vue({
+      template: '<div><test><div slot="foo"></div><div slot="foo"></div></test></div>',
       components: {
         test: {
           render () {
@@ -336,7 +336,10 @@ describe('Component slot', () => {
         }
       }
     }).$mount()
-    expect('Render function should return a single root node').toHaveBeenWarned()
+    expect(vm.$el.innerHTML).toBe(
+      '<!--fragment start--><div></div><div></div><!--fragment end-->'
+    )
+    expect('Render function should return a single root node').not.toHaveBeenWarned()
   })
 
   // #3254
@@ -0,0 +1,177 @@
+import Vue from 'vue'
+
+describe('Component suspense', () => {
+  // wait until all the pending updates are flushed
+  function settle () {
+    return new Promise(resolve => setTimeout(resolve, 0))
+  }
+
+  function defer () {
+    let resolve, reject
+    const promise = new Promise((res, rej) => {
+      resolve = res
+      reject = rej
+    })
+    return { promise, resolve, reject }
+  }
+
+  function createSuspense (content, components) {
+    const events = []
+    const vm = new Vue({
+      template: `
+        <div><suspense @pending="log('pending')" @fallback="log('fallback')" @resolve="log('resolve')">
+          <template #default>${content}</template>
+          <template #fallback><p>loading</p></template>
+        </suspense></div>
+      `,
+      data: { ok: true },
+      methods: {
+        log (e) {
+          events.push(e)
+        }
+      },
+      components
+    }).$mount()
+    return { vm, events }
+  }
+
+  it('should render the default content without async dependencies', () => {
+    const { vm, events } = createSuspense('<p>{{ ok }}</p>')
+    expect(vm.$el.textContent.trim()).toBe('true')
+    expect(events).toEqual(['resolve'])
+  })
+
+  it('should show the fallback until async components are resolved', done => {
+    let resolveComp
+    const created = jasmine.createSpy('created')
+    const { vm, events } = createSuspense('<sync /><async />', {
+      sync: {
+        template: '<span>sync</span>',
+        created
+      },
+      async: resolve => {
+        resolveComp = resolve
+      }
+    })
+    settle().then(() => {
+      expect(vm.$el.textContent.trim()).toBe('loading')
+      expect(events).toEqual(['pending', 'fallback'])
+      resolveComp({ template: '<span>async</span>' })
+      return settle()
+    }).then(() => {
+      expect(vm.$el.textContent.trim()).toBe('syncasync')
+      expect(events).toEqual(['pending', 'fallback', 'resolve'])
+      // the content is not re-created when it is moved into place
+      expect(created.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should wait for async setup and its nested dependencies', done => {
+    const setup = defer()
+    let resolveComp
+    const { vm, events } = createSuspense('<test />', {
+      test: {
+        template: '<p>{{ msg }} <async /></p>',
+        setup: () => setup.promise,
+        components: {
+          async: resolve => {
+            resolveComp = resolve
+          }
+        }
+      }
+    })
+    settle().then(() => {
+      expect(vm.$el.textContent.trim()).toBe('loading')
+      setup.resolve({ msg: 'hello' })
+      return settle()
+    }).then(() => {
+      // the async component rendered after setup is awaited as well
+      expect(vm.$el.textContent.trim()).toBe('loading')
+      expect(events).toEqual(['pending', 'fallback'])
+      resolveComp({ template: '<b>world</b>' })
+      return settle()
+    }).then(() => {
+      expect(vm.$el.textContent.trim()).toBe('hello world')
+      expect(events).toEqual(['pending', 'fallback', 'resolve'])
+    }).then(done)
+  })
+
+  it('should wait for promise-returning lifecycle hooks', done => {
+    const created = defer()
+    const { vm } = createSuspense('<test />', {
+      test: {
+        data: () => ({ msg: 'foo' }),
+        template: '<p>{{ msg }}</p>',
+        created () {
+          return created.promise.then(() => {
+            this.msg = 'bar'
+          })
+        }
+      }
+    })
+    settle().then(() => {
+      expect(vm.$el.textContent.trim()).toBe('loading')
+      created.resolve()
+      return settle()
+    }).then(() => {
+      expect(vm.$el.textContent.trim()).toBe('bar')
+    }).then(done)
+  })
+
+  it('should resolve when dependencies fail', done => {
+    const setup = defer()
+    const err = new Error('setup failed')
+    const spy = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    const { vm, events } = createSuspense('<test /><p>after</p>', {
+      test: {
+        template: '<p>test</p>',
+        setup: () => setup.promise
+      }
+    })
+    setup.reject(err)
+    settle().then(() => {
+      expect(spy).toHaveBeenCalledWith(err, vm.$children[0], 'setup (Promise/async)')
+      // rendered without the setup bindings
+      expect(vm.$el.textContent.trim()).toBe('testafter')
+      expect(events).toEqual(['pending', 'fallback', 'resolve'])
+      Vue.config.errorHandler = undefined
+    }).then(done)
+  })
+
+  it('should not wait for dependencies once resolved', done => {
+    let resolveComp
+    const { vm, events } = createSuspense('<p>static</p><async v-if="!ok" />', {
+      async: resolve => {
+        resolveComp = resolve
+      }
+    })
+    expect(events).toEqual(['resolve'])
+    vm.ok = false
+    settle().then(() => {
+      expect(vm.$el.textContent.trim()).toBe('static')
+      resolveComp({ template: '<span>async</span>' })
+      return settle()
+    }).then(() => {
+      expect(vm.$el.textContent.trim()).toBe('staticasync')
+      expect(events).toEqual(['resolve'])
+    }).then(done)
+  })
+
+  it('should render async setup components without suspense', done => {
+    const setup = defer()
+    const vm = new Vue({
+      template: '<div><test /></div>',
+      components: {
+        test: {
+          template: '<p>{{ msg }}</p>',
+          setup: () => setup.promise
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!---->')
+    setup.resolve({ msg: 'hello' })
+    settle().then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>hello</p>')
+    }).then(done)
+  })
+})
@@ -0,0 +1,247 @@
+import Vue from 'vue'
+
+describe('Component teleport', () => {
+  let target, other
+
+  beforeEach(() => {
+    target = document.createElement('div')
+    target.id = 'teleport-target'
+    other = document.createElement('div')
+    other.id = 'teleport-other'
+    document.body.appendChild(target)
+    document.body.appendChild(other)
+  })
+
+  afterEach(() => {
+    document.body.removeChild(target)
+    document.body.removeChild(other)
+  })
+
+  it('should render children into the target', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <span>before</span>
+          <teleport to="#teleport-target"><p>{{ msg }}</p></teleport>
+          <span>after</span>
+        </div>
+      `,
+      data: { msg: 'hello' }
+    }).$mount()
+    expect(vm.$el.innerHTML.replace(/\s+/g, '')).toBe(
+      '<span>before</span><!--teleportstart--><!--teleportend--><span>after</span>'
+    )
+    expect(target.innerHTML).toBe('<p>hello</p>')
+    vm.msg = 'bye'
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<p>bye</p>')
+    }).then(done)
+  })
+
+  it('should keep children in the logical component tree', () => {
+    const spy = jasmine.createSpy('close')
+    let child
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport to="#teleport-target"><test @close="onClose" /></teleport>
+        </div>
+      `,
+      provide: { theme: 'dark' },
+      methods: { onClose: spy },
+      components: {
+        test: {
+          inject: ['theme'],
+          template: '<p>{{ theme }}</p>',
+          created () {
+            child = this
+          }
+        }
+      }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>dark</p>')
+    expect(child.$parent).toBe(vm)
+    child.$emit('close')
+    expect(spy).toHaveBeenCalled()
+  })
+
+  it('should render in place when disabled', done => {
+    const vm = new Vue({
+      template: `
+        <div><teleport to="#teleport-target" :disabled="disabled"><p>a</p><p>b</p></teleport><span>after</span></div>
+      `,
+      data: { disabled: true }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe(
+      '<!--teleport start--><p>a</p><p>b</p><!--teleport end--><span>after</span>'
+    )
+    expect(target.innerHTML).toBe('')
+    vm.disabled = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe(
+        '<!--teleport start--><!--teleport end--><span>after</span>'
+      )
+      expect(target.innerHTML).toBe('<p>a</p><p>b</p>')
+      vm.disabled = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe(
+        '<!--teleport start--><p>a</p><p>b</p><!--teleport end--><span>after</span>'
+      )
+      expect(target.innerHTML).toBe('')
+    }).then(done)
+  })
+
+  it('should move children when the target changes', done => {
+    const vm = new Vue({
+      template: `
+        <div><teleport :to="to"><p v-for="i in list" :key="i">{{ i }}</p></teleport></div>
+      `,
+      data: { to: '#teleport-target', list: [1, 2] }
+    }).$mount()
+    const p = target.firstChild
+    expect(target.innerHTML).toBe('<p>1</p><p>2</p>')
+    vm.to = '#teleport-other'
+    vm.list.push(3)
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      expect(other.innerHTML).toBe('<p>1</p><p>2</p><p>3</p>')
+      expect(other.firstChild).toBe(p)
+    }).then(done)
+  })
+
+  it('should keep the order of teleports into the same target', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport to="#teleport-target"><p>a</p></teleport>
+          <teleport to="#teleport-target"><p v-if="ok">b</p></teleport>
+        </div>
+      `,
+      data: { ok: false }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>a</p>')
+    vm.ok = true
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<p>a</p><p>b</p>')
+    }).then(done)
+  })
+
+  it('should remove children from the target on unmount', done => {
+    const spy = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      template: `
+        <div><teleport v-if="ok" to="#teleport-target"><test /></teleport></div>
+      `,
+      data: { ok: true },
+      components: {
+        test: {
+          template: '<p>test</p>',
+          destroyed: spy
+        }
+      }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>test</p>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      expect(vm.$el.innerHTML).toBe('<!---->')
+      expect(spy).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should move components rendering disabled teleports', done => {
+    const vm = new Vue({
+      template: `
+        <div><test v-for="i in list" :key="i" :n="i" /></div>
+      `,
+      data: { list: [1, 2, 3] },
+      components: {
+        test: {
+          props: ['n'],
+          template: '<teleport disabled><b>{{ n }}</b><i>{{ n }}</i></teleport>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('112233')
+    vm.list = [3, 1, 2]
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('331122')
+      vm.list = [2, 3]
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('2233')
+      expect(vm.$el.childNodes.length).toBe(8)
+    }).then(done)
+  })
+
+  it('should restore children reactivated by keep-alive', done => {
+    const vm = new Vue({
+      template: `
+        <div><keep-alive><test v-if="ok" /></keep-alive></div>
+      `,
+      data: { ok: true },
+      components: {
+        test: {
+          template: '<teleport to="#teleport-target"><p>kept</p></teleport>'
+        }
+      }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>kept</p>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      vm.ok = true
+    }).then(() => {
+      expect(target.innerHTML).toBe('<p>kept</p>')
+    }).then(done)
+  })
+
+  it('should warn and render in place when the target is missing', () => {
+    const vm = new Vue({
+      template: '<div><teleport to="#missing"><p>a</p></teleport></div>'
+    }).$mount()
+    expect('Failed to locate Teleport target with selector "#missing"').toHaveBeenWarned()
+    expect(vm.$el.innerHTML).toBe('<!--teleport start--><p>a</p><!--teleport end-->')
+  })
+
+  it('should hydrate server-rendered content', () => {
+    const dom = document.createElement('div')
+    dom.setAttribute('data-server-rendered', 'true')
+    dom.innerHTML = '<!--teleport start--><!--teleport end--><span>after</span>'
+    target.innerHTML = '<p>hello</p><!--teleport anchor-->'
+    const p = target.firstChild
+    const spy = jasmine.createSpy('click')
+    const vm = new Vue({
+      template: `<div><teleport to="#teleport-target"><p @click="onClick">{{ msg }}</p></teleport><span>after</span></div>`,
+      data: { msg: 'hello' },
+      methods: { onClick: spy }
+    }).$mount(dom)
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(vm.$el).toBe(dom)
+    expect(target.firstChild).toBe(p)
+    triggerEvent(p, 'click')
+    expect(spy).toHaveBeenCalled()
+  })
+
+  it('should hydrate each mount into the same target from its start', () => {
+    const hydrateApp = () => {
+      const dom = document.createElement('div')
+      dom.setAttribute('data-server-rendered', 'true')
+      dom.innerHTML =
+        '<!--teleport start--><!--teleport end-->' +
+        '<div><!--teleport start--><!--teleport end--></div>'
+      target.innerHTML = '<p>a</p><!--teleport anchor--><p>b</p><!--teleport anchor-->'
+      return new Vue({
+        template: `<div><teleport to="#teleport-target"><p>a</p></teleport><child /></div>`,
+        components: {
+          child: {
+            template: `<div><teleport to="#teleport-target"><p>b</p></teleport></div>`
+          }
+        }
+      }).$mount(dom)
+    }
+    hydrateApp()
+    hydrateApp()
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(target.innerHTML).toBe('<p>a</p><!--teleport anchor--><p>b</p><!--teleport anchor-->')
+  })
+})
@@ -145,6 +145,60 @@ describe('Directive v-for', () => {
       expect(vm.$el.innerHTML).toBe(`<span>1</span><span>2</span><span>3</span>`)
     })
 
+    it('should update when a Map is mutated', done => {
+      const vm = new Vue({
+        template: `<div><span v-for="[key, val] in list">{{key}},{{val}}</span></div>`,
+        data: {
+          list: new Map([[1, 'foo']])
+        }
+      }).$mount()
+      expect(vm.$el.innerHTML).toBe(`<span>1,foo</span>`)
+      vm.list.set(2, 'bar')
+      waitForUpdate(() => {
+        expect(vm.$el.innerHTML).toBe(`<span>1,foo</span><span>2,bar</span>`)
+        vm.list.set(1, 'baz')
+      }).then(() => {
+        expect(vm.$el.innerHTML).toBe(`<span>1,baz</span><span>2,bar</span>`)
+        vm.list.delete(1)
+      }).then(() => {
+        expect(vm.$el.innerHTML).toBe(`<span>2,bar</span>`)
+        vm.list.clear()
+      }).then(() => {
+        expect(vm.$el.innerHTML).toBe(``)
+      }).then(done)
+    })
+
+    it('should update when values nested in a Map are mutated', done => {
+      const vm = new Vue({
+        template: `<div><span v-for="[key, val] in list">{{key}},{{val.join('')}}</span></div>`,
+        data: {
+          list: new Map([[1, ['a']]])
+        }
+      }).$mount()
+      expect(vm.$el.innerHTML).toBe(`<span>1,a</span>`)
+      vm.list.get(1).push('b')
+      waitForUpdate(() => {
+        expect(vm.$el.innerHTML).toBe(`<span>1,ab</span>`)
+      }).then(done)
+    })
+
+    it('should update when a Set is mutated', done => {
+      const vm = new Vue({
+        template: `<div><span v-for="val in list">{{val}}</span>{{list.size}}</div>`,
+        data: {
+          list: new Set([1, 2])
+        }
+      }).$mount()
+      expect(vm.$el.innerHTML).toBe(`<span>1</span><span>2</span>2`)
+      vm.list.add(3)
+      waitForUpdate(() => {
+        expect(vm.$el.innerHTML).toBe(`<span>1</span><span>2</span><span>3</span>3`)
+        vm.list.delete(1)
+      }).then(() => {
+        expect(vm.$el.innerHTML).toBe(`<span>2</span><span>3</span>2`)
+      }).then(done)
+    })
+
     it('should render iterable of primitive values', done => {
       const iterable = {
         models: ['a', 'b', 'c'],
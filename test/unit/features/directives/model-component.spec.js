@@ -230,4 +230,83 @@ describe('Directive v-model component', () => {
 
     expect(vm.$el.innerHTML).toBe('<div>foo</div>');
   })
+
+  describe('with arguments', () => {
+    const RangePicker = {
+      props: ['start', 'end', 'startModifiers'],
+      template: `
+        <div>
+          <input class="start" :value="start" @input="$emit('update:start', $event.target.value)">
+          <input class="end" :value="end" @input="$emit('update:end', $event.target.value)">
+        </div>
+      `
+    }
+
+    it('should support multiple bindings', done => {
+      const vm = new Vue({
+        data: {
+          range: { start: 'a', end: 'b' }
+        },
+        template: '<range-picker v-model:start="range.start" v-model:end="range.end" />',
+        components: { RangePicker }
+      }).$mount()
+      const start = vm.$el.querySelector('.start')
+      const end = vm.$el.querySelector('.end')
+      expect(start.value).toBe('a')
+      expect(end.value).toBe('b')
+      start.value = 'c'
+      triggerEvent(start, 'input')
+      end.value = 'd'
+      triggerEvent(end, 'input')
+      expect(vm.range).toEqual({ start: 'c', end: 'd' })
+      vm.range.start = 'e'
+      waitForUpdate(() => {
+        expect(start.value).toBe('e')
+      }).then(done)
+    })
+
+    it('should pass modifiers as a prop', () => {
+      const vm = new Vue({
+        data: { start: '', end: '' },
+        template: '<range-picker v-model:start.trim.number="start" v-model:end="end" />',
+        components: { RangePicker }
+      }).$mount()
+      const child = vm.$children[0]
+      expect(child.startModifiers).toEqual({ trim: true, number: true })
+      expect(child.$attrs.endModifiers).toBeUndefined()
+      const start = vm.$el.querySelector('.start')
+      start.value = ' 1 '
+      triggerEvent(start, 'input')
+      expect(vm.start).toBe(1)
+    })
+
+    it('should support kebab-case and dynamic arguments', () => {
+      const vm = new Vue({
+        data: { name: 'end', value: 'a', other: 'b' },
+        template: '<range-picker v-model:start-date="value" v-model:[name]="other" />',
+        components: {
+          RangePicker: {
+            props: ['startDate', 'end'],
+            template: '<div>{{ startDate }} {{ end }}</div>'
+          }
+        }
+      }).$mount()
+      expect(vm.$el.textContent).toBe('a b')
+      const child = vm.$children[0]
+      child.$emit('update:start-date', 'c')
+      expect(vm.value).toBe('c')
+      child.$emit('update:startDate', 'd')
+      expect(vm.value).toBe('d')
+      child.$emit('update:end', 'e')
+      expect(vm.other).toBe('e')
+    })
+
+    it('should warn arguments on native elements', () => {
+      new Vue({
+        data: { value: '' },
+        template: '<input v-model:value="value">'
+      }).$mount()
+      expect('v-model arguments are only supported on components.').toHaveBeenWarned()
+    })
+  })
 })
@@ -0,0 +1,224 @@
+import Vue from 'vue'
+
+describe('Global API: createApp', () => {
+  it('should mount the root component', () => {
+    const app = Vue.createApp({
+      data: () => ({ msg: 'hello' }),
+      template: '<div>{{ msg }}</div>'
+    })
+    const vm = app.mount()
+    expect(vm.$el.textContent).toBe('hello')
+    expect(vm instanceof Vue).toBe(true)
+  })
+
+  it('should isolate assets between apps', () => {
+    const app1 = Vue.createApp({ template: '<div><foo /><p v-test></p></div>' })
+    const app2 = Vue.createApp({ template: '<div><foo /></div>' })
+    const test = jasmine.createSpy('directive')
+    app1
+      .component('foo', { template: '<span>foo</span>' })
+      .directive('test', test)
+    expect(app1.component('foo')).toBeDefined()
+    expect(app2.component('foo')).toBeUndefined()
+    expect(Vue.options.components.foo).toBeUndefined()
+    expect(Vue.options.directives.test).toBeUndefined()
+
+    expect(app1.mount().$el.innerHTML).toBe('<span>foo</span><p></p>')
+    expect(test).toHaveBeenCalled()
+    app2.mount()
+    expect('Unknown custom element: <foo>').toHaveBeenWarned()
+  })
+
+  it('should resolve global assets', () => {
+    Vue.component('global-test', { template: '<span>global</span>' })
+    const vm = Vue.createApp({ template: '<div><global-test /></div>' }).mount()
+    expect(vm.$el.innerHTML).toBe('<span>global</span>')
+    delete Vue.options.components['global-test']
+  })
+
+  it('should apply mixins to the components of the app only', () => {
+    const spy = jasmine.createSpy('created')
+    const app = Vue.createApp({
+      template: '<div><child /></div>',
+      components: {
+        child: {
+          template: '<span>{{ fromMixin }}</span>'
+        }
+      }
+    })
+    app.mixin({
+      data: () => ({ fromMixin: 'mixin' }),
+      created () {
+        spy(this)
+      }
+    })
+    const vm = app.mount()
+    expect(vm.$el.innerHTML).toBe('<span>mixin</span>')
+    expect(spy.calls.count()).toBe(2)
+    new Vue({ render () {} }).$mount()
+    Vue.createApp({ render () {} }).mount()
+    expect(spy.calls.count()).toBe(2)
+  })
+
+  it('should keep app assets after a global mixin', () => {
+    const options = Vue.options
+    const app = Vue.createApp({ template: '<div><foo /></div>' })
+    app.component('foo', { template: '<span>foo</span>' })
+    Vue.mixin({})
+    expect(app.mount().$el.innerHTML).toBe('<span>foo</span>')
+    Vue.options = options
+  })
+
+  it('should install plugins with the app', () => {
+    const options = {}
+    const plugin = {
+      install: jasmine.createSpy('install').and.callFake((V, opts, app) => {
+        expect(opts).toBe(options)
+        app.component('from-plugin', { template: '<span>plugin</span>' })
+      })
+    }
+    const app = Vue.createApp({ template: '<div><from-plugin /></div>' })
+    app.use(plugin, options).use(plugin, options)
+    expect(plugin.install.calls.count()).toBe(1)
+    expect(plugin.install.calls.argsFor(0)[2]).toBe(app)
+    expect(app.mount().$el.innerHTML).toBe('<span>plugin</span>')
+  })
+
+  it('should install Vue plugins on the base constructor of the app', () => {
+    const options = Vue.options
+    const app = Vue.createApp({ template: '<div><from-plugin />{{ $foo }}</div>' })
+    app.use(V => {
+      expect(V.config).toBe(app.config)
+      V.prototype.$foo = 'foo'
+      V.component('from-plugin', { template: '<span>plugin</span>' })
+    })
+    expect(app.component('from-plugin')).toBeDefined()
+    Vue.mixin({})
+    expect(app.mount().$el.innerHTML).toBe('<span>plugin</span>foo')
+    expect(new Vue().$foo).toBeUndefined()
+    expect(Vue.options.components['from-plugin']).toBeUndefined()
+    Vue.options = options
+  })
+
+  it('should provide values to the whole app', () => {
+    const app = Vue.createApp({
+      template: '<div><child /></div>',
+      provide: { own: 'root' },
+      components: {
+        child: {
+          inject: ['foo', 'own'],
+          template: '<span>{{ foo }} {{ own }}</span>'
+        }
+      }
+    })
+    app.provide('foo', 'app').provide('own', 'app')
+    expect(app.mount().$el.innerHTML).toBe('<span>app root</span>')
+    app.provide('foo', 'again')
+    expect('App already provides property with key "foo"').toHaveBeenWarned()
+  })
+
+  it('should use the app config', () => {
+    const globalSpy = Vue.config.errorHandler = jasmine.createSpy('global')
+    const err = new Error('created failed')
+    const app = Vue.createApp({
+      template: '<div><child /></div>',
+      emits: ['foo'],
+      components: {
+        child: {
+          created () {
+            throw err
+          },
+          render () {}
+        }
+      }
+    })
+    app.config.errorHandler = jasmine.createSpy('app')
+    app.config.warnHandler = jasmine.createSpy('warn')
+    expect(app.config.silent).toBe(Vue.config.silent)
+    const vm = app.mount()
+    expect(app.config.errorHandler).toHaveBeenCalledWith(err, vm.$children[0], 'created hook')
+    expect(globalSpy).not.toHaveBeenCalled()
+    vm.$emit('bar')
+    expect(app.config.warnHandler.calls.argsFor(0)[0]).toContain('Component emitted event "bar"')
+    expect('Component emitted event "bar"').not.toHaveBeenWarned()
+    Vue.config.errorHandler = undefined
+  })
+
+  it('should use the key aliases of the app', () => {
+    const spy = jasmine.createSpy('keyup')
+    const options = {
+      template: '<input @keyup.foo="onKeyup">',
+      methods: { onKeyup: spy }
+    }
+    const app = Vue.createApp(options)
+    app.config.keyCodes.foo = 13
+    expect(Vue.config.keyCodes.foo).toBeUndefined()
+    const keyup = vm => triggerEvent(vm.$el, 'keyup', e => {
+      e.keyCode = 13
+      e.key = 'Enter'
+    })
+    keyup(app.mount())
+    expect(spy.calls.count()).toBe(1)
+    keyup(new Vue(options).$mount())
+    expect(spy.calls.count()).toBe(1)
+  })
+
+  it('should use the merge strategies of the app', () => {
+    const options = {
+      render () {},
+      mixins: [{ foo: 1 }],
+      foo: 2
+    }
+    const app = Vue.createApp(options)
+    app.config.optionMergeStrategies.foo = (parent, child) => (parent || 0) + (child || 0)
+    expect(Vue.config.optionMergeStrategies.foo).toBeUndefined()
+    expect(app.mount().$options.foo).toBe(3)
+    expect(new Vue(options).$options.foo).toBe(2)
+  })
+
+  it('should use the ignored elements of the app', () => {
+    const app = Vue.createApp({ template: '<div><foo /></div>' })
+    app.config.ignoredElements.push('foo')
+    expect(Vue.config.ignoredElements).not.toContain('foo')
+    app.mount()
+    expect('Unknown custom element: <foo>').not.toHaveBeenWarned()
+    new Vue({ template: '<div><foo /></div>' }).$mount()
+    expect('Unknown custom element: <foo>').toHaveBeenWarned()
+  })
+
+  it('should not tip when the app is silent', () => {
+    const app = Vue.createApp({ render () {} })
+    app.config.silent = true
+    const vm = app.mount()
+    vm.$on('fooBar', () => {})
+    vm.$emit('foobar')
+    expect('Event "foobar" is emitted').not.toHaveBeenTipped()
+  })
+
+  it('should expose global properties on the app components', () => {
+    const app = Vue.createApp({
+      template: '<div><child /></div>',
+      components: {
+        child: {
+          template: '<span>{{ $foo }}</span>'
+        }
+      }
+    })
+    app.config.globalProperties.$foo = 'foo'
+    expect(app.mount().$el.innerHTML).toBe('<span>foo</span>')
+    expect(new Vue().$foo).toBeUndefined()
+  })
+
+  it('should mount only once and unmount', () => {
+    const spy = jasmine.createSpy('destroyed')
+    const app = Vue.createApp({
+      render () {},
+      destroyed: spy
+    })
+    app.mount()
+    app.mount()
+    expect('App has already been mounted').toHaveBeenWarned()
+    app.unmount()
+    expect(spy).toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,195 @@
+import Vue from 'vue'
+
+// a minimal object tree platform
+function createNode (tag, text) {
+  return { tag, text, props: {}, children: [], parent: null }
+}
+
+function remove (node) {
+  if (node.parent) {
+    const children = node.parent.children
+    children.splice(children.indexOf(node), 1)
+    node.parent = null
+  }
+}
+
+const nodeOps = {
+  createElement: tag => createNode(tag),
+  createTextNode: text => createNode('#text', text),
+  createComment: text => createNode('#comment', text),
+  insertBefore (parent, node, ref) {
+    remove(node)
+    node.parent = parent
+    parent.children.splice(parent.children.indexOf(ref), 0, node)
+  },
+  removeChild (parent, node) {
+    remove(node)
+  },
+  appendChild (parent, node) {
+    remove(node)
+    node.parent = parent
+    parent.children.push(node)
+  },
+  parentNode: node => node.parent,
+  nextSibling: node => {
+    const siblings = node.parent ? node.parent.children : []
+    return siblings[siblings.indexOf(node) + 1] || null
+  },
+  tagName: node => node.tag,
+  setTextContent (node, text) {
+    node.text = text
+    node.children = []
+  },
+  setStyleScope () {}
+}
+
+function updateProps (oldVnode, vnode) {
+  const props = vnode.data.props || {}
+  for (const key in props) {
+    vnode.elm.props[key] = props[key]
+  }
+}
+
+const propsModule = {
+  create: updateProps,
+  update: updateProps
+}
+
+function serialize (node) {
+  if (node.tag === '#text') return node.text
+  if (node.tag === '#comment') return `<!--${node.text}-->`
+  const props = Object.keys(node.props).map(key => ` ${key}=${node.props[key]}`).join('')
+  return `<${node.tag}${props}>${node.children.map(serialize).join('')}</${node.tag}>`
+}
+
+describe('Global API: createRenderer', () => {
+  const isReservedTag = tag => tag === 'scene' || tag === 'rect'
+  let renderer, container
+
+  beforeEach(() => {
+    renderer = Vue.createRenderer({
+      nodeOps,
+      modules: [propsModule],
+      isReservedTag
+    })
+    container = createNode('root')
+  })
+
+  it('should mount into the container and update', done => {
+    const vm = renderer.mount({
+      data: () => ({ x: 1, items: ['a', 'b'] }),
+      render (h) {
+        return h('scene', this.items.map(item => h('rect', { key: item, props: { id: item, x: this.x } })))
+      }
+    }, container)
+    expect(vm.$el.parent).toBe(container)
+    expect(serialize(container)).toBe('<root><scene><rect id=a x=1></rect><rect id=b x=1></rect></scene></root>')
+    vm.x = 2
+    vm.items.reverse()
+    waitForUpdate(() => {
+      expect(serialize(container)).toBe('<root><scene><rect id=b x=2></rect><rect id=a x=2></rect></scene></root>')
+      vm.$destroy()
+    }).then(done)
+  })
+
+  it('should render components and fragments with the renderer', done => {
+    const child = {
+      props: ['msg'],
+      render (h) {
+        return [h('rect', { props: { id: 'first' }}), h('rect', this.msg)]
+      }
+    }
+    const vm = renderer.mount({
+      data: () => ({ msg: 'foo' }),
+      render (h) {
+        return h('scene', [h(child, { props: { msg: this.msg }})])
+      }
+    }, container)
+    expect(serialize(vm.$el)).toBe(
+      '<scene><!--fragment start--><rect id=first></rect><rect>foo</rect><!--fragment end--></scene>'
+    )
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(serialize(vm.$el)).toBe(
+        '<scene><!--fragment start--><rect id=first></rect><rect>bar</rect><!--fragment end--></scene>'
+      )
+    }).then(done)
+  })
+
+  it('should render global components and renderer assets', () => {
+    Vue.component('global-rect', {
+      render: h => h('rect', { props: { id: 'global' }})
+    })
+    const bind = jasmine.createSpy('bind')
+    const custom = Vue.createRenderer({
+      nodeOps,
+      modules: [propsModule],
+      isReservedTag,
+      directives: { test: { bind }},
+      components: {
+        'platform-rect': { render: h => h('rect', { props: { id: 'platform' }}) }
+      }
+    })
+    const vm = custom.mount({
+      render: h => h('scene', { directives: [{ name: 'test' }] }, [h('global-rect'), h('platform-rect')])
+    }, container)
+    expect(serialize(vm.$el)).toBe('<scene><rect id=global></rect><rect id=platform></rect></scene>')
+    expect(bind).toHaveBeenCalled()
+    expect(Vue.options.directives.test).toBeUndefined()
+    expect(Vue.options.components['platform-rect']).toBeUndefined()
+    delete Vue.options.components['global-rect']
+  })
+
+  it('should use the platform hooks of the renderer', () => {
+    renderer.mount({
+      render: h => h('scene', [h('circle')])
+    }, container)
+    expect('Unknown custom element: <circle>').not.toHaveBeenWarned()
+    expect(Vue.config.isReservedTag('scene')).toBeFalsy()
+    expect(renderer.config.isReservedTag('scene')).toBe(true)
+  })
+
+  it('should use the renderer config', () => {
+    const err = new Error('render failed')
+    renderer.config.errorHandler = jasmine.createSpy('errorHandler')
+    const vm = renderer.mount({
+      render () {
+        throw err
+      }
+    }, container)
+    expect(renderer.config.errorHandler).toHaveBeenCalledWith(err, vm, 'render')
+    expect(Vue.config.errorHandler).not.toBe(renderer.config.errorHandler)
+    expect(renderer.config.silent).toBe(Vue.config.silent)
+  })
+
+  it('should compile templates and flush updates', () => {
+    const custom = Vue.createRenderer({
+      nodeOps,
+      modules: [propsModule],
+      isReservedTag,
+      compile: Vue.compile
+    })
+    const vm = custom.mount({
+      data: () => ({ id: 'foo' }),
+      template: '<scene><rect>{{ id }}</rect></scene>'
+    }, container)
+    expect(serialize(vm.$el)).toBe('<scene><rect>foo</rect></scene>')
+    vm.id = 'bar'
+    custom.flush()
+    expect(serialize(vm.$el)).toBe('<scene><rect>bar</rect></scene>')
+  })
+
+  it('should invoke the destroy hooks of the renderer modules', () => {
+    const destroy = jasmine.createSpy('destroy')
+    const custom = Vue.createRenderer({
+      nodeOps,
+      modules: [{ destroy }],
+      isReservedTag
+    })
+    const vm = custom.mount({
+      render: h => h('scene', { props: {}}, [h('rect', { props: {}})])
+    }, container)
+    vm.$destroy()
+    expect(destroy.calls.count()).toBe(2)
+  })
+})
@@ -0,0 +1,174 @@
+import Vue from 'vue'
+
+describe('Global API: effectScope', () => {
+  it('should collect watchers and computed values', done => {
+    const state = Vue.observable({ count: 1 })
+    const spy = jasmine.createSpy('watch')
+    const scope = Vue.effectScope()
+    let double
+    scope.run(() => {
+      double = Vue.computed(() => state.count * 2)
+      Vue.watch(() => double.value, spy)
+    })
+    expect(scope.effects.length).toBe(2)
+    expect(double.value).toBe(2)
+    state.count++
+    expect(double.value).toBe(4)
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(4, 2, jasmine.any(Function))
+      scope.stop()
+      state.count++
+    }).then(() => {
+      expect(spy.calls.count()).toBe(1)
+      // stopped computed values no longer update
+      expect(double.value).toBe(4)
+    }).then(done)
+  })
+
+  it('should return the value of run', () => {
+    const scope = Vue.effectScope()
+    expect(scope.run(() => 1)).toBe(1)
+  })
+
+  it('should warn when running an inactive scope', () => {
+    const scope = Vue.effectScope()
+    scope.stop()
+    expect(scope.run(() => 1)).toBeUndefined()
+    expect('cannot run an inactive effect scope.').toHaveBeenWarned()
+  })
+
+  it('should stop nested scopes but not detached ones', () => {
+    const parent = Vue.effectScope()
+    let nested, detached
+    parent.run(() => {
+      nested = Vue.effectScope()
+      detached = Vue.effectScope(true)
+    })
+    expect(parent.scopes.length).toBe(1)
+    parent.stop()
+    expect(nested.active).toBe(false)
+    expect(detached.active).toBe(true)
+  })
+
+  it('should remove a stopped nested scope from its parent', () => {
+    const parent = Vue.effectScope()
+    let a, b
+    parent.run(() => {
+      a = Vue.effectScope()
+      b = Vue.effectScope()
+    })
+    a.stop()
+    expect(parent.scopes).toEqual([b])
+    expect(b.index).toBe(0)
+  })
+
+  it('should call onScopeDispose callbacks', () => {
+    const spy = jasmine.createSpy('dispose')
+    const scope = Vue.effectScope()
+    scope.run(() => {
+      expect(Vue.getCurrentScope()).toBe(scope)
+      Vue.onScopeDispose(spy)
+    })
+    expect(Vue.getCurrentScope()).toBeFalsy()
+    expect(spy).not.toHaveBeenCalled()
+    scope.stop()
+    expect(spy).toHaveBeenCalled()
+  })
+
+  it('should warn onScopeDispose without an active scope', () => {
+    Vue.onScopeDispose(() => {})
+    expect('onScopeDispose() is called when there is no active effect scope').toHaveBeenWarned()
+  })
+
+  it('should nest under the component when created in a hook', done => {
+    const state = Vue.observable({ count: 0 })
+    const spy = jasmine.createSpy('watch')
+    let scope
+    const vm = new Vue({
+      created () {
+        scope = Vue.effectScope()
+        scope.run(() => {
+          Vue.watch(() => state.count, spy)
+        })
+      }
+    })
+    expect(vm._scope.scopes).toEqual([scope])
+    state.count++
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+      vm.$destroy()
+      expect(scope.active).toBe(false)
+      state.count++
+    }).then(() => {
+      expect(spy.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should restore the active scope after component hooks', done => {
+    const state = Vue.observable({ count: 0 })
+    const spy = jasmine.createSpy('watch')
+    const scope = Vue.effectScope()
+    let inner
+    const vm = new Vue({
+      render: h => h('div'),
+      mounted () {
+        // a nested hook restores the scope of the outer one
+        new Vue({ created () {} })
+        inner = Vue.effectScope()
+      }
+    })
+    scope.run(() => {
+      vm.$mount()
+      Vue.watch(() => state.count, spy)
+    })
+    expect(vm._scope.scopes).toEqual([inner])
+    // the render watcher belongs to the component
+    expect(scope.effects.length).toBe(1)
+    expect(vm._scope.effects).toContain(vm._watcher)
+    expect(Vue.getCurrentScope()).toBe(null)
+    scope.stop()
+    state.count++
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+      expect(vm._watcher.active).toBe(true)
+      vm.$destroy()
+    }).then(done)
+  })
+
+  it('should support writable computed values', () => {
+    const state = Vue.observable({ count: 1 })
+    const count = Vue.computed({
+      get: () => state.count,
+      set: val => { state.count = val }
+    })
+    count.value = 2
+    expect(state.count).toBe(2)
+    expect(count.value).toBe(2)
+    const readonly = Vue.computed(() => state.count)
+    readonly.value = 3
+    expect('Computed value was assigned to but it has no setter.').toHaveBeenWarned()
+  })
+
+  it('should call immediate watchers and warn invalid sources', () => {
+    const state = Vue.observable({ count: 1 })
+    const spy = jasmine.createSpy('watch')
+    const stop = Vue.watch(() => state.count, spy, { immediate: true })
+    expect(spy).toHaveBeenCalledWith(1, undefined, jasmine.any(Function))
+    stop()
+    Vue.watch('count', spy)
+    expect('Invalid watch source: "count"').toHaveBeenWarned()
+  })
+
+  it('should watch multiple sources', done => {
+    const state = Vue.observable({ a: 1, b: 1 })
+    const spy = jasmine.createSpy('watch')
+    Vue.watch([() => state.a, () => state.b], spy)
+    state.a++
+    state.b++
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+      expect(spy.calls.argsFor(0)[0]).toEqual([2, 2])
+      expect(spy.calls.argsFor(0)[1]).toEqual([1, 1])
+    }).then(done)
+  })
+})
@@ -0,0 +1,206 @@
+import Vue from 'vue'
+
+describe('Global API: createHistory', () => {
+  let history
+
+  afterEach(() => {
+    history && history.stop()
+    history = null
+  })
+
+  it('should record property mutations as patches', () => {
+    const state = Vue.observable({ a: 1, nested: { b: 1 } })
+    history = Vue.createHistory(state)
+    state.a = 2
+    state.nested.b = 2
+    history.commit()
+    expect(history.undoStack.length).toBe(1)
+    const patches = history.undoStack[0]
+    expect(patches.length).toBe(2)
+    expect(patches[0].type).toBe('set')
+    expect(patches[0].target).toBe(state)
+    expect(patches[0].path).toEqual(['a'])
+    expect(patches[0].newValue).toBe(2)
+    expect(patches[0].oldValue).toBe(1)
+    expect(patches[1].target).toBe(state.nested)
+    expect(patches[1].path).toEqual(['nested', 'b'])
+  })
+
+  it('should group mutations per scheduler flush', done => {
+    const state = Vue.observable({ a: 1, b: 1 })
+    history = Vue.createHistory(state)
+    const vm = new Vue({
+      watch: {
+        'a' () {
+          // mutations made by watchers join the current transaction
+          state.b = state.a * 10
+        }
+      },
+      computed: {
+        a: () => state.a
+      }
+    })
+    expect(vm.a).toBe(1)
+    state.a = 2
+    state.a = 3
+    waitForUpdate(() => {
+      expect(history.undoStack.length).toBe(1)
+      expect(history.undoStack[0].length).toBe(3)
+      expect(state.b).toBe(30)
+      state.a = 4
+    }).then(() => {
+      expect(history.undoStack.length).toBe(2)
+      history.undo()
+      expect(state.a).toBe(3)
+      expect(state.b).toBe(30)
+      history.undo()
+      expect(state.a).toBe(1)
+      expect(state.b).toBe(1)
+      expect(history.canUndo()).toBe(false)
+    }).then(done)
+  })
+
+  it('undo/redo Vue.set and Vue.delete', () => {
+    const state = Vue.observable({ a: 1, nested: {} })
+    history = Vue.createHistory(state)
+    Vue.set(state.nested, 'b', 1)
+    Vue.delete(state, 'a')
+    history.commit()
+    expect(history.undoStack[0].map(p => p.type)).toEqual(['add', 'delete'])
+    history.undo()
+    expect(state.a).toBe(1)
+    expect('b' in state.nested).toBe(false)
+    expect(history.canRedo()).toBe(true)
+    history.redo()
+    expect('a' in state).toBe(false)
+    expect(state.nested.b).toBe(1)
+  })
+
+  it('undo/redo array mutations', () => {
+    const state = Vue.observable({ list: [1, 2, 3] })
+    history = Vue.createHistory(state)
+    state.list.push(4)
+    state.list.reverse()
+    history.commit()
+    const patch = history.undoStack[0][0]
+    expect(patch.type).toBe('array')
+    expect(patch.key).toBe('push')
+    expect(patch.path).toEqual(['list'])
+    expect(patch.oldValue).toEqual([1, 2, 3])
+    expect(patch.newValue).toEqual([1, 2, 3, 4])
+    history.undo()
+    expect(state.list).toEqual([1, 2, 3])
+    history.redo()
+    expect(state.list).toEqual([4, 3, 2, 1])
+  })
+
+  it('should keep the view in sync when undoing', done => {
+    const state = Vue.observable({ msg: 'foo' })
+    history = Vue.createHistory(state)
+    const vm = new Vue({
+      render (h) {
+        return h('div', state.msg)
+      }
+    }).$mount()
+    state.msg = 'bar'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('bar')
+      history.undo()
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('foo')
+    }).then(done)
+  })
+
+  it('should clear the redo stack on new mutations', () => {
+    const state = Vue.observable({ a: 1 })
+    history = Vue.createHistory(state)
+    state.a = 2
+    history.undo()
+    expect(history.canRedo()).toBe(true)
+    state.a = 3
+    expect(history.canRedo()).toBe(false)
+    expect(history.redo()).toBe(false)
+  })
+
+  it('should ignore mutations outside of the root', () => {
+    const state = Vue.observable({ a: 1 })
+    const other = Vue.observable({ a: 1 })
+    history = Vue.createHistory(state)
+    other.a = 2
+    expect(history.canUndo()).toBe(false)
+    // objects added to the tree are tracked as well
+    Vue.set(state, 'child', other)
+    history.commit()
+    other.a = 3
+    history.commit()
+    expect(history.undoStack[1][0].path).toEqual(['child', 'a'])
+  })
+
+  it('should follow objects moved in the tree', () => {
+    const item = { label: 'a' }
+    const state = Vue.observable({ todo: [{ label: 'b' }, item], done: [] })
+    history = Vue.createHistory(state)
+    state.done.push(state.todo[1])
+    state.todo.splice(1, 1)
+    state.done[0].label = 'c'
+    state.todo.unshift({ label: 'd' })
+    state.todo[1].label = 'e'
+    history.commit()
+    const paths = history.undoStack[0].map(p => p.path)
+    expect(paths[2]).toEqual(['done', 0, 'label'])
+    expect(paths[4]).toEqual(['todo', 1, 'label'])
+    history.undo()
+    expect(state).toEqual({ todo: [{ label: 'b' }, { label: 'a' }], done: [] })
+  })
+
+  it('should ignore objects removed from the tree', () => {
+    const state = Vue.observable({ nested: { a: 1 }, list: [{ a: 1 }] })
+    const nested = state.nested
+    const item = state.list[0]
+    history = Vue.createHistory(state)
+    state.nested = { a: 2 }
+    state.list.pop()
+    history.commit()
+    nested.a = 3
+    item.a = 3
+    history.commit()
+    expect(history.undoStack.length).toBe(1)
+  })
+
+  it('snapshot and restore', () => {
+    const state = Vue.observable({ a: 1, nested: { b: [1, 2] } })
+    history = Vue.createHistory(state)
+    const snapshot = history.snapshot()
+    expect(snapshot).toEqual({ a: 1, nested: { b: [1, 2] } })
+    expect(snapshot.nested).not.toBe(state.nested)
+    state.a = 2
+    state.nested.b.push(3)
+    Vue.set(state, 'c', 1)
+    history.commit()
+    history.restore(snapshot)
+    expect(state).toEqual({ a: 1, nested: { b: [1, 2] } })
+    // restored values should not be shared with the snapshot
+    state.nested.b.push(3)
+    expect(snapshot.nested.b).toEqual([1, 2])
+    // restoring is recorded like any other mutation
+    history.undo()
+    expect(state.a).toBe(2)
+    expect(state.c).toBe(1)
+    expect(state.nested.b).toEqual([1, 2, 3])
+  })
+
+  it('should warn restoring a snapshot of a different shape', () => {
+    history = Vue.createHistory(Vue.observable({ a: 1 }))
+    history.restore([1])
+    expect('Cannot restore a snapshot that does not match the shape').toHaveBeenWarned()
+  })
+
+  it('should stop recording', () => {
+    const state = Vue.observable({ a: 1 })
+    history = Vue.createHistory(state)
+    history.stop()
+    state.a = 2
+    expect(history.canUndo()).toBe(false)
+    expect(history.undo()).toBe(false)
+  })
+})
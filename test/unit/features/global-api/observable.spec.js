@@ -27,4 +27,45 @@ describe('Global API: observable', () => {
       expect(app.$el.querySelector('span').textContent).toBe('1')
     }).then(done)
   })
+
+  it('shallowObservable should only make top level keys reactive', done => {
+    const state = Vue.shallowObservable({
+      nested: { count: 0 },
+      list: [{ count: 0 }]
+    })
+    expect(state.__ob__).toBeTruthy()
+    expect(state.nested.__ob__).toBeUndefined()
+    expect(state.list.__ob__).toBeUndefined()
+
+    const app = new Vue({
+      render: h => h('div', state.nested.count)
+    }).$mount()
+
+    state.nested.count++
+    waitForUpdate(() => {
+      // nested mutation is not tracked
+      expect(app.$el.textContent).toBe('0')
+      state.nested = { count: 2 }
+    }).then(() => {
+      expect(app.$el.textContent).toBe('2')
+      // newly assigned values are not observed either
+      expect(state.nested.__ob__).toBeUndefined()
+      Vue.set(state, 'added', {})
+      expect(state.added.__ob__).toBeUndefined()
+    }).then(done)
+  })
+
+  it('markRaw should skip observation', () => {
+    const sdk = Vue.markRaw({ map: { zoom: 1 } })
+    const state = Vue.observable({ sdk })
+    expect(state.sdk).toBe(sdk)
+    expect(sdk.__ob__).toBeUndefined()
+    expect(Object.keys(sdk)).toEqual(['map'])
+
+    const vm = new Vue({
+      data: { sdk: Vue.markRaw({ a: {} }) }
+    })
+    expect(vm.sdk.__ob__).toBeUndefined()
+    expect(vm.sdk.a.__ob__).toBeUndefined()
+  })
 })
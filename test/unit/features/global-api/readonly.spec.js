@@ -0,0 +1,115 @@
+import Vue from 'vue'
+
+describe('Global API: readonly', () => {
+  it('should warn on mutation', () => {
+    const source = { a: 1, nested: { b: 1 } }
+    const ro = Vue.readonly(source)
+    expect(ro).not.toBe(source)
+    expect(ro.a).toBe(1)
+    ro.a = 2
+    expect(`Set operation on key "a" failed: target is readonly.`).toHaveBeenWarned()
+    expect(source.a).toBe(1)
+    // nested objects are readonly as well
+    ro.nested.b = 2
+    expect(`Set operation on key "b" failed: target is readonly.`).toHaveBeenWarned()
+    expect(source.nested.b).toBe(1)
+  })
+
+  it('should warn on Vue.set / Vue.delete', () => {
+    const ro = Vue.readonly({ a: 1 })
+    Vue.set(ro, 'b', 1)
+    expect(`Set operation on key "b" failed: target is readonly.`).toHaveBeenWarned()
+    expect(ro.b).toBeUndefined()
+    Vue.delete(ro, 'a')
+    expect(`Delete operation on key "a" failed: target is readonly.`).toHaveBeenWarned()
+    expect(ro.a).toBe(1)
+  })
+
+  it('should stay reactive to the source', done => {
+    const source = Vue.observable({ count: 0, nested: { count: 0 } })
+    const ro = Vue.readonly(source)
+    const app = new Vue({
+      render: h => h('div', `${ro.count},${ro.nested.count}`)
+    }).$mount()
+    expect(app.$el.textContent).toBe('0,0')
+    source.count++
+    source.nested.count++
+    waitForUpdate(() => {
+      expect(app.$el.textContent).toBe('1,1')
+    }).then(done)
+  })
+
+  it('should follow keys added or deleted on the source', done => {
+    const source = Vue.observable({ a: 1 })
+    const ro = Vue.readonly(source)
+    Vue.set(source, 'b', { c: 1 })
+    expect(Object.keys(ro)).toEqual(['a', 'b'])
+    ro.b.c = 2
+    expect(`Set operation on key "c" failed: target is readonly.`).toHaveBeenWarned()
+    // the new key is reactive through the view
+    const app = new Vue({
+      render: h => h('div', ro.b.c)
+    }).$mount()
+    source.b.c = 2
+    waitForUpdate(() => {
+      expect(app.$el.textContent).toBe('2')
+      Vue.delete(source, 'a')
+      expect(Object.keys(ro)).toEqual(['b'])
+      expect('a' in ro).toBe(false)
+    }).then(done)
+  })
+
+  it('should make nested arrays readonly', done => {
+    const source = Vue.observable({ list: [{ a: 1 }] })
+    const ro = Vue.readonly(source)
+    expect(Array.isArray(ro.list)).toBe(true)
+    expect(ro.list).toBe(ro.list)
+    ro.list.push({ a: 2 })
+    expect(`Array method "push" failed: target is readonly.`).toHaveBeenWarned()
+    ro.list[0] = { a: 2 }
+    expect(`Set operation on key "0" failed: target is readonly.`).toHaveBeenWarned()
+    ro.list[0].a = 2
+    expect(`Set operation on key "a" failed: target is readonly.`).toHaveBeenWarned()
+    expect(source.list.length).toBe(1)
+    expect(source.list[0].a).toBe(1)
+    const app = new Vue({
+      render: h => h('div', ro.list.map(item => item.a).join(','))
+    }).$mount()
+    expect(app.$el.textContent).toBe('1')
+    // the view follows mutations of the source array
+    source.list.push({ a: 2 })
+    waitForUpdate(() => {
+      expect(app.$el.textContent).toBe('1,2')
+      expect(ro.list.length).toBe(2)
+      source.list.shift()
+    }).then(() => {
+      expect(app.$el.textContent).toBe('2')
+      expect(ro.list.length).toBe(1)
+    }).then(done)
+  })
+
+  it('should return the same view for the same source', () => {
+    const source = { nested: {} }
+    const ro = Vue.readonly(source)
+    expect(Vue.readonly(source)).toBe(ro)
+    expect(Vue.readonly(ro)).toBe(ro)
+    expect(ro.nested).toBe(ro.nested)
+  })
+
+  it('should not be observed when used in data', () => {
+    const ro = Vue.readonly({ a: 1 })
+    const vm = new Vue({
+      data: { ro }
+    })
+    expect(vm.ro).toBe(ro)
+    expect(ro.__ob__).toBeUndefined()
+  })
+
+  it('should warn on non plain objects', () => {
+    const arr = []
+    expect(Vue.readonly(arr)).toBe(arr)
+    expect(`Vue 2 does not support readonly arrays.`).toHaveBeenWarned()
+    expect(Vue.readonly(1)).toBe(1)
+    expect(`value cannot be made readonly: 1`).toHaveBeenWarned()
+  })
+})
@@ -42,18 +42,18 @@ describe('Instance methods data', () => {
       vm.a.b = 2
       waitForUpdate(() => {
         expect(spy.calls.count()).toBe(1)
-        expect(spy).toHaveBeenCalledWith(2, 1)
+        expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
         vm.a = { b: 3 }
       }).then(() => {
         expect(spy.calls.count()).toBe(2)
-        expect(spy).toHaveBeenCalledWith(3, 2)
+        expect(spy).toHaveBeenCalledWith(3, 2, jasmine.any(Function))
       }).then(done)
     })
 
     it('immediate', () => {
       vm.$watch('a.b', spy, { immediate: true })
       expect(spy.calls.count()).toBe(1)
-      expect(spy).toHaveBeenCalledWith(1)
+      expect(spy).toHaveBeenCalledWith(1, undefined, jasmine.any(Function))
     })
 
     it('unwatch', done => {
@@ -71,7 +71,7 @@ describe('Instance methods data', () => {
       }, spy)
       vm.a.b = 2
       waitForUpdate(() => {
-        expect(spy).toHaveBeenCalledWith(2, 1)
+        expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
       }).then(done)
     })
 
@@ -80,10 +80,10 @@ describe('Instance methods data', () => {
       vm.$watch('a', spy, { deep: true })
       vm.a.b = 2
       waitForUpdate(() => {
-        expect(spy).toHaveBeenCalledWith(oldA, oldA)
+        expect(spy).toHaveBeenCalledWith(oldA, oldA, jasmine.any(Function))
         vm.a = { b: 3 }
       }).then(() => {
-        expect(spy).toHaveBeenCalledWith(vm.a, oldA)
+        expect(spy).toHaveBeenCalledWith(vm.a, oldA, jasmine.any(Function))
       }).then(done)
     })
 
@@ -95,10 +95,10 @@ describe('Instance methods data', () => {
       })
       vm.a.b = 2
       waitForUpdate(() => {
-        expect(spy).toHaveBeenCalledWith(oldA, oldA)
+        expect(spy).toHaveBeenCalledWith(oldA, oldA, jasmine.any(Function))
         vm.a = { b: 3 }
       }).then(() => {
-        expect(spy).toHaveBeenCalledWith(vm.a, oldA)
+        expect(spy).toHaveBeenCalledWith(vm.a, oldA, jasmine.any(Function))
       }).then(done)
     })
 
@@ -108,7 +108,7 @@ describe('Instance methods data', () => {
         immediate: true
       })
       expect(spy.calls.count()).toBe(1)
-      expect(spy).toHaveBeenCalledWith(1)
+      expect(spy).toHaveBeenCalledWith(1, undefined, jasmine.any(Function))
     })
 
     it('handler option in string', () => {
@@ -117,12 +117,126 @@ describe('Instance methods data', () => {
         immediate: true
       })
       expect(spy.calls.count()).toBe(1)
-      expect(spy).toHaveBeenCalledWith('ok')
+      expect(spy).toHaveBeenCalledWith('ok', undefined, jasmine.any(Function))
+    })
+
+    it('multiple sources', done => {
+      vm.$watch(['a.b', function () { return this.유니코드.なまえ }], spy)
+      vm.a.b = 2
+      vm.유니코드.なまえ = 'changed'
+      waitForUpdate(() => {
+        // called once per flush with all values
+        expect(spy.calls.count()).toBe(1)
+        expect(spy.calls.argsFor(0)[0]).toEqual([2, 'changed'])
+        expect(spy.calls.argsFor(0)[1]).toEqual([1, 'ok'])
+        vm.a.b = 3
+      }).then(() => {
+        expect(spy.calls.count()).toBe(2)
+        expect(spy.calls.argsFor(1)[0]).toEqual([3, 'changed'])
+        expect(spy.calls.argsFor(1)[1]).toEqual([2, 'changed'])
+        // re-setting a source to the same value should not fire
+        vm.a.b = 3
+      }).then(() => {
+        expect(spy.calls.count()).toBe(2)
+      }).then(done)
+    })
+
+    it('multiple sources with immediate', () => {
+      vm.$watch(['a.b'], spy, { immediate: true })
+      expect(spy.calls.count()).toBe(1)
+      expect(spy.calls.argsFor(0)[0]).toEqual([1])
+      expect(spy.calls.argsFor(0)[1]).toEqual([])
+    })
+
+    it('multiple sources onCleanup', done => {
+      const cleanup = jasmine.createSpy('cleanup')
+      const unwatch = vm.$watch(['a.b'], (val, oldVal, onCleanup) => {
+        onCleanup(cleanup)
+      })
+      vm.a.b = 2
+      waitForUpdate(() => {
+        expect(cleanup).not.toHaveBeenCalled()
+        vm.a.b = 3
+      }).then(() => {
+        // previous cleanup runs before the next callback
+        expect(cleanup.calls.count()).toBe(1)
+        unwatch()
+        // and when the watcher is torn down
+        expect(cleanup.calls.count()).toBe(2)
+      }).then(done)
+    })
+
+    it('single source onCleanup', done => {
+      const cleanup = jasmine.createSpy('cleanup')
+      const unwatch = vm.$watch('a.b', (val, oldVal, onCleanup) => {
+        onCleanup(cleanup)
+      }, { immediate: true })
+      vm.a.b = 2
+      waitForUpdate(() => {
+        // the cleanup of the immediate call runs before the next one
+        expect(cleanup.calls.count()).toBe(1)
+        unwatch()
+        expect(cleanup.calls.count()).toBe(2)
+      }).then(done)
+    })
+
+    it('flush pre after mount', done => {
+      const vm = new Vue({
+        data: { a: 1 },
+        template: `<div>{{ a }}</div>`
+      }).$mount()
+      vm.$watch('a', () => {
+        spy(vm.$el.textContent)
+      }, { flush: 'pre' })
+      vm.a = 2
+      waitForUpdate(() => {
+        // runs before the component re-renders
+        expect(spy).toHaveBeenCalledWith('1')
+        expect(vm.$el.textContent).toBe('2')
+      }).then(done)
+    })
+
+    it('multiple sources warn invalid path', () => {
+      vm.$watch(['a.b', 'a + b'], spy)
+      expect('Failed watching path: "a + b"').toHaveBeenWarned()
     })
 
     it('warn expression', () => {
       vm.$watch('a + b', spy)
       expect('Watcher only accepts simple dot-delimited paths').toHaveBeenWarned()
     })
+
+    it('onTrack / onTrigger', () => {
+      const onTrack = jasmine.createSpy('track')
+      const onTrigger = jasmine.createSpy('trigger')
+      vm.$watch('a.b', spy, { onTrack, onTrigger })
+      expect(onTrack).toHaveBeenCalledWith(jasmine.objectContaining({
+        target: vm.a,
+        type: 'get',
+        key: 'b'
+      }))
+      vm.$set(vm.a, 'c', 1)
+      expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+        target: vm.a,
+        type: 'add',
+        key: 'c',
+        newValue: 1
+      }))
+      vm.$delete(vm.a, 'c')
+      expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+        target: vm.a,
+        type: 'delete',
+        key: 'c'
+      }))
+    })
+
+    it('onTrack only once per dependency', () => {
+      const onTrack = jasmine.createSpy('track')
+      vm.$watch(function () {
+        return this.a.b + this.a.b
+      }, spy, { onTrack })
+      const keys = onTrack.calls.allArgs().map(args => args[0].key)
+      expect(keys).toEqual(['a', 'b'])
+    })
   })
 })
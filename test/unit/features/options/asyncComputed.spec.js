@@ -0,0 +1,207 @@
+import Vue from 'vue'
+import testObjectOption from '../../../helpers/test-object-option'
+
+function deferred () {
+  let resolve, reject
+  const promise = new Promise((res, rej) => {
+    resolve = res
+    reject = rej
+  })
+  return { promise, resolve, reject }
+}
+
+describe('Options asyncComputed', () => {
+  testObjectOption('asyncComputed')
+
+  it('basic usage', done => {
+    const d = deferred()
+    const vm = new Vue({
+      template: '<div>{{ $pending.b ? "loading" : b }}</div>',
+      asyncComputed: {
+        b () {
+          return d.promise
+        }
+      }
+    }).$mount()
+    expect(vm.b).toBeUndefined()
+    expect(vm.$pending.b).toBe(true)
+    expect(vm.$el.textContent).toBe('loading')
+    d.resolve('done')
+    waitForUpdate(() => {
+      expect(vm.b).toBe('done')
+      expect(vm.$pending.b).toBe(false)
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('done')
+    }).then(done)
+  })
+
+  it('default value', () => {
+    const vm = new Vue({
+      data: { a: 1 },
+      asyncComputed: {
+        b: {
+          get () {
+            return new Promise(() => {})
+          },
+          default: 'foo'
+        },
+        c: {
+          get () {
+            return new Promise(() => {})
+          },
+          default () {
+            return this.a + 1
+          }
+        }
+      }
+    })
+    expect(vm.b).toBe('foo')
+    expect(vm.c).toBe(2)
+  })
+
+  it('synchronous values', done => {
+    const vm = new Vue({
+      data: { a: 1 },
+      asyncComputed: {
+        b () {
+          return this.a + 1
+        }
+      }
+    })
+    expect(vm.b).toBe(2)
+    expect(vm.$pending.b).toBe(false)
+    vm.a = 2
+    waitForUpdate(() => {
+      expect(vm.b).toBe(3)
+    }).then(done)
+  })
+
+  it('should re-run when dependencies change and discard stale results', done => {
+    const requests = []
+    const vm = new Vue({
+      data: { filter: 'a' },
+      asyncComputed: {
+        result () {
+          const d = deferred()
+          requests.push({ filter: this.filter, resolve: d.resolve })
+          return d.promise
+        }
+      }
+    })
+    expect(requests.length).toBe(1)
+    vm.filter = 'b'
+    waitForUpdate(() => {
+      expect(requests.length).toBe(2)
+      expect(requests[1].filter).toBe('b')
+      // newest request resolves first, then the stale one
+      requests[1].resolve('result b')
+      requests[0].resolve('result a')
+    }).then(() => {
+      expect(vm.result).toBe('result b')
+      expect(vm.$pending.result).toBe(false)
+    }).then(done)
+  })
+
+  it('error state', done => {
+    const err = new Error('failed')
+    const spy = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    const vm = new Vue({
+      data: { ok: false },
+      asyncComputed: {
+        b () {
+          return this.ok ? Promise.resolve(1) : Promise.reject(err)
+        }
+      }
+    })
+    waitForUpdate(() => {
+      expect(vm.$error.b).toBe(err)
+      expect(vm.$pending.b).toBe(false)
+      expect(spy).toHaveBeenCalledWith(err, vm, 'async computed property "b"')
+      vm.ok = true
+    }).then(() => {
+      // error is reset when the getter re-runs
+      expect(vm.$error.b).toBe(null)
+    }).then(() => {
+      expect(vm.b).toBe(1)
+      Vue.config.errorHandler = undefined
+    }).then(done)
+  })
+
+  it('error state of a getter throwing synchronously', done => {
+    const err = new Error('failed')
+    const spy = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    const vm = new Vue({
+      data: { ok: false },
+      asyncComputed: {
+        b () {
+          if (!this.ok) throw err
+          return Promise.resolve(1)
+        }
+      }
+    })
+    expect(vm.$error.b).toBe(err)
+    expect(vm.$pending.b).toBe(false)
+    expect(vm.b).toBeUndefined()
+    expect(spy).toHaveBeenCalledWith(err, vm, 'async computed property "b"')
+    // dependencies read before the throw are still tracked
+    vm.ok = true
+    waitForUpdate(() => {
+      expect(vm.$error.b).toBe(null)
+      expect(vm.$pending.b).toBe(true)
+    }).then(() => {
+      expect(vm.b).toBe(1)
+      expect(vm.$pending.b).toBe(false)
+      Vue.config.errorHandler = undefined
+    }).then(done)
+  })
+
+  it('should define $pending and $error on every instance', () => {
+    const vm = new Vue({})
+    expect(vm.$pending).toEqual({})
+    expect(vm.$error).toEqual({})
+  })
+
+  it('should be merged from mixins', () => {
+    const vm = new Vue({
+      mixins: [{
+        asyncComputed: {
+          a: () => 1
+        }
+      }],
+      asyncComputed: {
+        b: () => 2
+      }
+    })
+    expect(vm.a).toBe(1)
+    expect(vm.b).toBe(2)
+  })
+
+  it('warn assigning', () => {
+    const vm = new Vue({
+      asyncComputed: {
+        b: () => 1
+      }
+    })
+    vm.b = 2
+    expect('Async computed property "b" was assigned to but it has no setter.').toHaveBeenWarned()
+  })
+
+  it('warn missing getter', () => {
+    new Vue({
+      asyncComputed: {
+        b: {}
+      }
+    })
+    expect('Getter is missing for async computed property "b".').toHaveBeenWarned()
+  })
+
+  it('warn conflict with data', () => {
+    new Vue({
+      data: { b: 1 },
+      asyncComputed: {
+        b: () => 2
+      }
+    })
+    expect('The async computed property "b" is already defined on the instance.').toHaveBeenWarned()
+  })
+})
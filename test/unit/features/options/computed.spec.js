@@ -103,7 +103,7 @@ describe('Options computed', () => {
     vm.$watch('b', spy)
     vm.a = 2
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(3, 2)
+      expect(spy).toHaveBeenCalledWith(3, 2, jasmine.any(Function))
     }).then(done)
   })
 
@@ -206,6 +206,37 @@ describe('Options computed', () => {
     expect(`computed property "a" is already defined as a prop`).toHaveBeenWarned()
   })
 
+  it('onTrack / onTrigger', () => {
+    const tracked = jasmine.createSpy('track')
+    const triggered = jasmine.createSpy('trigger')
+    const vm = new Vue({
+      data: { a: 1 },
+      computed: {
+        b: {
+          get () {
+            return this.a + 1
+          },
+          onTrack: tracked,
+          onTrigger: triggered
+        }
+      }
+    })
+    expect(vm.b).toBe(2)
+    expect(tracked).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm._data,
+      type: 'get',
+      key: 'a'
+    }))
+    vm.a = 2
+    expect(triggered).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm._data,
+      type: 'set',
+      key: 'a',
+      newValue: 2,
+      oldValue: 1
+    }))
+  })
+
   it('rethrow computed error', () => {
     const vm = new Vue({
       computed: {
@@ -0,0 +1,111 @@
+import Vue from 'vue'
+
+describe('Options emits', () => {
+  it('should emit declared events', () => {
+    const spy = jasmine.createSpy('change')
+    const vm = new Vue({
+      emits: ['change']
+    })
+    vm.$on('change', spy)
+    vm.$emit('change', 1)
+    expect(spy).toHaveBeenCalledWith(1)
+    expect('not declared in the emits option').not.toHaveBeenWarned()
+  })
+
+  it('should warn undeclared events', () => {
+    const vm = new Vue({
+      emits: ['change']
+    })
+    vm.$emit('input')
+    expect('Component emitted event "input" but it is not declared in the emits option.').toHaveBeenWarned()
+    // hook events are internal
+    vm.$emit('hook:mounted')
+    expect('Component emitted event "hook:mounted"').not.toHaveBeenWarned()
+  })
+
+  it('should not warn without emits option', () => {
+    const vm = new Vue()
+    vm.$emit('input')
+    expect('not declared in the emits option').not.toHaveBeenWarned()
+  })
+
+  it('should match camelCase and kebab-case names', () => {
+    const vm = new Vue({
+      emits: ['updateValue', 'close-modal']
+    })
+    vm.$emit('update-value')
+    vm.$emit('closeModal')
+    expect('not declared in the emits option').not.toHaveBeenWarned()
+  })
+
+  it('should validate payloads', () => {
+    const spy = jasmine.createSpy('change')
+    const vm = new Vue({
+      emits: {
+        change: value => typeof value === 'number',
+        close: null
+      }
+    })
+    vm.$on('change', spy)
+    vm.$emit('change', 1)
+    vm.$emit('close')
+    expect('event validation failed').not.toHaveBeenWarned()
+    vm.$emit('change', 'foo')
+    expect('Invalid event arguments: event validation failed for event "change".').toHaveBeenWarned()
+    // invalid payloads are still emitted
+    expect(spy.calls.count()).toBe(2)
+  })
+
+  it('should exclude declared events from $listeners', done => {
+    const change = jasmine.createSpy('change')
+    const click = jasmine.createSpy('click')
+    const vm = new Vue({
+      template: '<test @change="change" @click.once="click" :flag="flag" />',
+      data: { flag: true },
+      methods: { change, click },
+      components: {
+        test: {
+          props: ['flag'],
+          emits: ['click'],
+          template: '<button v-on="$listeners" @click="$emit(\'click\')" />'
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(Object.keys(child.$listeners)).toEqual(['change'])
+    triggerEvent(vm.$el, 'click')
+    expect(click.calls.count()).toBe(1)
+    // also after the parent re-renders
+    vm.flag = false
+    waitForUpdate(() => {
+      expect(Object.keys(child.$listeners)).toEqual(['change'])
+      triggerEvent(vm.$el, 'change')
+      expect(change).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should merge emits of mixins and Vue.extend', () => {
+    const Base = Vue.extend({
+      emits: ['foo']
+    })
+    const Comp = Base.extend({
+      mixins: [{ emits: { bar: null } }],
+      emits: {
+        baz: () => true
+      }
+    })
+    expect(Object.keys(Comp.options.emits).sort()).toEqual(['bar', 'baz', 'foo'])
+    const vm = new Comp()
+    vm.$emit('foo')
+    vm.$emit('bar')
+    vm.$emit('baz')
+    expect('not declared in the emits option').not.toHaveBeenWarned()
+  })
+
+  it('should warn invalid emits option', () => {
+    new Vue({
+      emits: 'change'
+    })
+    expect('Invalid value for option "emits": expected an Array or an Object, but got String.').toHaveBeenWarned()
+  })
+})
@@ -311,6 +311,59 @@ describe('Options lifecycle hooks', () => {
     })
   })
 
+  describe('renderTracked / renderTriggered', () => {
+    it('should be called with dependency info', done => {
+      const tracked = jasmine.createSpy('renderTracked')
+      const triggered = jasmine.createSpy('renderTriggered')
+      const vm = new Vue({
+        data: {
+          msg: 'foo',
+          list: [1]
+        },
+        template: '<div>{{ msg }}{{ list.length }}</div>',
+        renderTracked: tracked,
+        renderTriggered: triggered
+      }).$mount()
+      expect(tracked).toHaveBeenCalledWith(jasmine.objectContaining({
+        target: vm._data,
+        type: 'get',
+        key: 'msg'
+      }))
+      expect(tracked).toHaveBeenCalledWith(jasmine.objectContaining({
+        target: vm._data,
+        type: 'get',
+        key: 'list'
+      }))
+      expect(triggered).not.toHaveBeenCalled()
+      vm.list.push(2)
+      expect(triggered).toHaveBeenCalledWith(jasmine.objectContaining({
+        target: vm.list,
+        type: 'array mutation',
+        key: 'push'
+      }))
+      vm.$set(vm.$data, 'msg', 'bar')
+      expect(triggered).toHaveBeenCalledWith(jasmine.objectContaining({
+        target: vm._data,
+        type: 'set',
+        key: 'msg',
+        newValue: 'bar',
+        oldValue: 'foo'
+      }))
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('bar2')
+      }).then(done)
+    })
+
+    it('should only install the debug hooks when defined', () => {
+      const vm = new Vue({
+        template: '<div></div>',
+        renderTriggered () {}
+      }).$mount()
+      expect(vm._watcher.onTrack).toBeUndefined()
+      expect(typeof vm._watcher.onTrigger).toBe('function')
+    })
+  })
+
   it('should emit hook events', () => {
     const created = jasmine.createSpy()
     const mounted = jasmine.createSpy()
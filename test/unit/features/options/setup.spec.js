@@ -0,0 +1,182 @@
+import Vue from 'vue'
+
+describe('Options setup', () => {
+  it('should expose returned bindings to the template', done => {
+    const vm = new Vue({
+      template: '<div @click="increment">{{ count }} {{ double }}</div>',
+      setup () {
+        const state = Vue.observable({ count: 1 })
+        return {
+          count: Vue.computed(() => state.count),
+          double: Vue.computed(() => state.count * 2),
+          increment () {
+            state.count++
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('1 2')
+    triggerEvent(vm.$el, 'click')
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('2 4')
+    }).then(done)
+  })
+
+  it('should make returned plain values reactive', done => {
+    const vm = new Vue({
+      template: '<div>{{ msg }}</div>',
+      setup () {
+        return { msg: 'foo' }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('foo')
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('bar')
+    }).then(done)
+  })
+
+  it('should receive props and context', done => {
+    const spy = jasmine.createSpy('emit')
+    let props, ctx
+    const vm = new Vue({
+      template: '<test :msg="msg" id="foo" @change="onChange" />',
+      data: { msg: 'hello' },
+      methods: { onChange: spy },
+      components: {
+        test: {
+          props: ['msg'],
+          template: '<div>{{ text }}</div>',
+          setup (_props, _ctx) {
+            props = _props
+            ctx = _ctx
+            return {
+              text: Vue.computed(() => props.msg + '!')
+            }
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('hello!')
+    expect(ctx.attrs.id).toBe('foo')
+    expect(typeof ctx.listeners.change).toBe('function')
+    ctx.emit('change', 1, 2)
+    expect(spy).toHaveBeenCalledWith(1, 2)
+    vm.msg = 'bye'
+    waitForUpdate(() => {
+      expect(props.msg).toBe('bye')
+      expect(vm.$el.textContent).toBe('bye!')
+    }).then(done)
+  })
+
+  it('should run before data and have no access to this', () => {
+    let context
+    const vm = new Vue({
+      data () {
+        return { fromData: this.fromSetup }
+      },
+      setup () {
+        context = this
+        return { fromSetup: 1 }
+      }
+    })
+    expect(context).toBeFalsy()
+    expect(vm.fromData).toBe(1)
+  })
+
+  it('should use a returned function as render function', () => {
+    const vm = new Vue({
+      setup () {
+        const msg = 'hello'
+        return h => h('div', msg)
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('hello')
+  })
+
+  it('should register lifecycle hooks', done => {
+    const calls = []
+    const Comp = Vue.extend({
+      template: '<div>{{ msg }}</div>',
+      setup () {
+        Vue.onBeforeMount(() => calls.push('beforeMount'))
+        Vue.onMounted(() => calls.push('mounted'))
+        Vue.onBeforeUpdate(() => calls.push('beforeUpdate'))
+        Vue.onUpdated(() => calls.push('updated'))
+        Vue.onBeforeUnmount(() => calls.push('beforeUnmount'))
+        Vue.onUnmounted(() => calls.push('unmounted'))
+        return { msg: 'foo' }
+      },
+      mounted () {
+        calls.push('mounted option')
+      }
+    })
+    const vm = new Comp().$mount()
+    expect(calls).toEqual(['beforeMount', 'mounted option', 'mounted'])
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(calls.slice(3)).toEqual(['beforeUpdate', 'updated'])
+      vm.$destroy()
+      expect(calls.slice(5)).toEqual(['beforeUnmount', 'unmounted'])
+      // hooks are registered per instance
+      calls.length = 0
+      new Comp().$mount()
+      expect(calls).toEqual(['beforeMount', 'mounted option', 'mounted'])
+      expect(Comp.options.mounted.length).toBe(1)
+    }).then(done)
+  })
+
+  it('should stop watchers created in setup on destroy', done => {
+    const state = Vue.observable({ count: 0 })
+    const spy = jasmine.createSpy('watch')
+    const vm = new Vue({
+      setup () {
+        Vue.watch(() => state.count, spy)
+        expect(Vue.getCurrentInstance()).toBeTruthy()
+      }
+    })
+    expect(Vue.getCurrentInstance()).toBe(null)
+    vm.$destroy()
+    state.count++
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should warn lifecycle registration outside of setup', () => {
+    Vue.onMounted(() => {})
+    expect('Lifecycle hook "mounted" can only be registered while setup()').toHaveBeenWarned()
+  })
+
+  it('should warn reserved keys and props conflicts', () => {
+    new Vue({
+      props: ['msg'],
+      setup () {
+        return { $foo: 1, msg: 1 }
+      }
+    })
+    expect('setup() return property "$foo" should not start with "$" or "_"').toHaveBeenWarned()
+    expect('The setup binding "msg" is already declared as a prop.').toHaveBeenWarned()
+  })
+
+  it('should warn invalid return values', () => {
+    new Vue({
+      setup () {
+        return 1
+      }
+    })
+    expect('setup() should return an object or a render function. Received: number').toHaveBeenWarned()
+  })
+
+  it('should handle errors in setup', () => {
+    const err = new Error('setup failed')
+    const spy = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    const vm = new Vue({
+      setup () {
+        throw err
+      }
+    })
+    expect(spy).toHaveBeenCalledWith(err, vm, 'setup')
+    Vue.config.errorHandler = undefined
+  })
+})
@@ -23,7 +23,7 @@ describe('Options watch', () => {
     vm.a = 2
     expect(spy).not.toHaveBeenCalled()
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(2, 1)
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
     }).then(done)
   })
 
@@ -43,7 +43,7 @@ describe('Options watch', () => {
     vm.a = 2
     expect(spy).not.toHaveBeenCalled()
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(2, 1)
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
     }).then(done)
   })
 
@@ -62,8 +62,8 @@ describe('Options watch', () => {
     })
     vm.a = 2
     waitForUpdate(() => {
-      expect(spy1).toHaveBeenCalledWith(2, 1)
-      expect(spy).toHaveBeenCalledWith(2, 1)
+      expect(spy1).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
     }).then(done)
   })
 
@@ -77,10 +77,10 @@ describe('Options watch', () => {
         }
       }
     })
-    expect(spy).toHaveBeenCalledWith(1)
+    expect(spy).toHaveBeenCalledWith(1, undefined, jasmine.any(Function))
     vm.a = 2
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(2, 1)
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
     }).then(done)
   })
 
@@ -99,13 +99,137 @@ describe('Options watch', () => {
     vm.a.b = 2
     expect(spy).not.toHaveBeenCalled()
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(vm.a, vm.a)
+      expect(spy).toHaveBeenCalledWith(vm.a, vm.a, jasmine.any(Function))
       vm.a = { b: 3 }
     }).then(() => {
-      expect(spy).toHaveBeenCalledWith(vm.a, oldA)
+      expect(spy).toHaveBeenCalledWith(vm.a, oldA, jasmine.any(Function))
     }).then(done)
   })
 
+  it('with option: deep on Map and Set', done => {
+    const vm = new Vue({
+      data: {
+        map: new Map([['a', { b: 1 }]]),
+        set: new Set()
+      },
+      watch: {
+        map: {
+          handler: spy,
+          deep: true
+        },
+        set: {
+          handler: spy,
+          deep: true
+        }
+      }
+    })
+    vm.map.get('a').b = 2
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(vm.map, vm.map, jasmine.any(Function))
+      vm.set.add(1)
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith(vm.set, vm.set, jasmine.any(Function))
+    }).then(done)
+  })
+
+  it('with option: flush pre', done => {
+    const vm = new Vue({
+      data: { a: 1 },
+      template: `<div>{{ a }}</div>`,
+      watch: {
+        a: {
+          handler () {
+            spy(this.$el.textContent)
+          },
+          flush: 'pre'
+        }
+      }
+    }).$mount()
+    vm.a = 2
+    expect(spy).not.toHaveBeenCalled()
+    waitForUpdate(() => {
+      // runs before the component re-renders
+      expect(spy).toHaveBeenCalledWith('1')
+    }).then(done)
+  })
+
+  it('with option: flush post', done => {
+    const updated = jasmine.createSpy('updated')
+    const vm = new Vue({
+      data: { a: 1 },
+      template: `<div>{{ a }}</div>`,
+      watch: {
+        a: {
+          handler () {
+            expect(updated).not.toHaveBeenCalled()
+            spy(this.$el.textContent)
+          },
+          flush: 'post'
+        }
+      },
+      updated
+    }).$mount()
+    vm.a = 2
+    expect(spy).not.toHaveBeenCalled()
+    waitForUpdate(() => {
+      // runs after the component is patched, before updated
+      expect(spy).toHaveBeenCalledWith('2')
+      expect(updated).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('with option: flush post should run after child components are patched', done => {
+    const vm = new Vue({
+      data: { a: 1 },
+      template: `<div><test :a="a" ref="child"></test></div>`,
+      components: {
+        test: {
+          props: ['a'],
+          template: `<span>{{ a }}</span>`
+        }
+      },
+      watch: {
+        a: {
+          handler () {
+            spy(this.$refs.child.$el.textContent)
+          },
+          flush: 'post'
+        }
+      }
+    }).$mount()
+    vm.a = 2
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith('2')
+    }).then(done)
+  })
+
+  it('with option: flush sync', () => {
+    const vm = new Vue({
+      data: { a: 1 },
+      watch: {
+        a: {
+          handler: spy,
+          flush: 'sync'
+        }
+      }
+    })
+    vm.a = 2
+    expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
+  })
+
+  it('should warn invalid flush option', () => {
+    new Vue({
+      data: { a: 1 },
+      watch: {
+        a: {
+          handler: spy,
+          flush: 'later'
+        }
+      }
+    })
+    expect('Invalid watcher flush option: "later"').toHaveBeenWarned()
+  })
+
   it('correctly merges multiple extends', done => {
     const spy2 = jasmine.createSpy('A')
     const spy3 = jasmine.createSpy('B')
@@ -140,8 +264,8 @@ describe('Options watch', () => {
 
     waitForUpdate(() => {
       expect(spy).not.toHaveBeenCalled()
-      expect(spy2).toHaveBeenCalledWith(1, 0)
-      expect(spy3).toHaveBeenCalledWith(1, 0)
+      expect(spy2).toHaveBeenCalledWith(1, 0, jasmine.any(Function))
+      expect(spy3).toHaveBeenCalledWith(1, 0, jasmine.any(Function))
     }).then(done)
   })
 
@@ -158,7 +282,7 @@ describe('Options watch', () => {
     vm['数据'] = 2
     expect(spy).not.toHaveBeenCalled()
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(2, 1)
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
     }).then(done)
   })
 
@@ -1,5 +1,5 @@
 import { parse } from 'compiler/parser/index'
-import { optimize } from 'compiler/optimizer'
+import { optimize, markBlocks } from 'compiler/optimizer'
 import { generate } from 'compiler/codegen'
 import { isObject, extend } from 'shared/util'
 import { isReservedTag } from 'web/util/index'
@@ -172,6 +172,20 @@ describe('codegen', () => {
     )
   })
 
+  it('generate v-model with argument on custom component', () => {
+    assertCodegen(
+      '<my-component v-model:start.trim="range.start" />',
+      `with(this){return _c('my-component',{attrs:{"start":range.start,"startModifiers":{"trim":true}},on:{"update:start":function($event){$set(range, "start", (typeof $event === 'string'? $event.trim(): $event))}}})}`
+    )
+  })
+
+  it('generate multiple root elements as array', () => {
+    assertCodegen(
+      '<div></div><p v-if="ok"></p><span v-else></span>',
+      `with(this){return [_c('div'),(ok)?_c('p'):_c('span')]}`
+    )
+  })
+
   it('generate template tag', () => {
     assertCodegen(
       '<div><template><p>{{hello}}</p></template></div>',
@@ -701,5 +715,13 @@ describe('codegen', () => {
       `with(this){return _c('div',[(ok)?_l((1),function(i){return _c('foo',{key:i})}):_e()],2)}`
     )
   })
+
+  it('generate blocks with patch flags', () => {
+    assertCodegen(
+      `<ul><li v-for="row in rows" :key="row.id"><b>#</b><span :class="row.cls" :id="row.id" title="row">{{ row.label }}</span></li></ul>`,
+      `with(this){return _c('ul',_l((rows),function(row){return (_ob(),_bk(_c('li',{key:row.id},[_c('b',[_v("#")]),_pf(_c('span',{class:row.cls,attrs:{"id":row.id,"title":"row"}},[_pf(_v(_s(row.label)),1)]),10,["id"])]),2227238612))}),0)}`,
+      ast => markBlocks(ast, baseOptions)
+    )
+  })
 })
 /* eslint-enable quotes */
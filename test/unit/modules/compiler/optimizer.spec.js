@@ -1,6 +1,7 @@
 import { parse } from 'compiler/parser/index'
 import { extend } from 'shared/util'
-import { optimize } from 'compiler/optimizer'
+import { optimize, markBlocks } from 'compiler/optimizer'
+import { PatchFlags } from 'shared/constants'
 import { baseOptions } from 'web/compiler/options'
 
 describe('optimizer', () => {
@@ -254,4 +255,55 @@ describe('optimizer', () => {
     expect(ast.ifConditions[2].block.children[0].children[0].ifConditions[1].block.staticRoot).toBe(false)
     expect(ast.ifConditions[2].block.children[0].children[0].ifConditions[1].block.staticInFor).toBe(true)
   })
+
+  it('mark blocks and the patch flags of their dynamic nodes', () => {
+    const ast = parse(
+      '<div>' +
+        '<ul><li v-for="item in items">' +
+          '<span class="label" :class="item.cls" :title="item.title">{{ item.label }}</span>' +
+          '<input v-model="item.value"><b>static</b><i @click="select(item)" ref="icon"></i>' +
+        '</li></ul>' +
+        '<p v-if="show"><comp></comp></p>' +
+      '</div>',
+      baseOptions
+    )
+    optimize(ast, baseOptions)
+    markBlocks(ast, baseOptions)
+    // contains a v-if and a v-for
+    expect(ast.block).toBeUndefined()
+    const ul = ast.children[0]
+    expect(ul.block).toBeUndefined()
+    const li = ul.children[0]
+    expect(li.block).toBe(true)
+    const [span, input, b, i] = li.children
+    expect(span.patchFlag).toBe(PatchFlags.CLASS | PatchFlags.ATTRS)
+    expect(span.dynamicProps).toEqual(['title'])
+    expect(span.children[0].patchFlag).toBe(PatchFlags.TEXT)
+    expect(input.patchFlag).toBe(PatchFlags.FULL)
+    expect(input.dynamicProps).toBeUndefined()
+    expect(b.patchFlag).toBeUndefined()
+    expect(i.patchFlag).toBe(PatchFlags.EVENTS | PatchFlags.NEED_PATCH)
+    // contains a component
+    expect(ast.children[1].block).toBeUndefined()
+  })
+
+  it('not mark blocks with a changing structure', () => {
+    const isBlock = template => {
+      const ast = parse(template, baseOptions)
+      optimize(ast, baseOptions)
+      markBlocks(ast, baseOptions)
+      return !!ast.block
+    }
+    expect(isBlock('<div><p>{{ msg }}</p></div>')).toBe(true)
+    expect(isBlock('<div v-if="ok"><p :key="id">{{ msg }}</p></div>')).toBe(false)
+    expect(isBlock('<div><p key="id">{{ msg }}</p></div>')).toBe(true)
+    expect(isBlock('<div><input :type="type"></div>')).toBe(false)
+    expect(isBlock('<div><input type="text" :value="value"></div>')).toBe(true)
+    expect(isBlock('<div><slot></slot></div>')).toBe(false)
+    expect(isBlock('<div><template>{{ msg }}</template></div>')).toBe(false)
+    expect(isBlock('<div><p v-once>{{ msg }}</p></div>')).toBe(false)
+    expect(isBlock('<div><component :is="comp"></component></div>')).toBe(false)
+    // fully static
+    expect(isBlock('<div><p>msg</p></div>')).toBe(false)
+  })
 })
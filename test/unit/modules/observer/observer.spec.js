@@ -176,6 +176,37 @@ describe('Observer', () => {
     expect(arr[1].__ob__ instanceof Observer).toBe(true)
   })
 
+  it('create on Map and Set', () => {
+    const map = new Map([['a', {}]])
+    const ob1 = observe(map)
+    expect(ob1 instanceof Observer).toBe(true)
+    expect(map.__ob__).toBe(ob1)
+    // should've observed existing values
+    expect(map.get('a').__ob__ instanceof Observer).toBe(true)
+    // should still behave like a Map
+    expect(map instanceof Map).toBe(true)
+    expect(map.size).toBe(1)
+
+    const set = new Set([{}])
+    const ob2 = observe(set)
+    expect(ob2 instanceof Observer).toBe(true)
+    expect(set.__ob__).toBe(ob2)
+    set.forEach(item => {
+      expect(item.__ob__ instanceof Observer).toBe(true)
+    })
+  })
+
+  it('not create on Map and Set subclasses', () => {
+    class MyMap extends Map {
+      first () {
+        return this.values().next().value
+      }
+    }
+    const map = new MyMap([['a', 1]])
+    expect(observe(map)).toBeUndefined()
+    expect(map.first()).toBe(1)
+  })
+
   it('observing object prop change', () => {
     const obj = { a: { b: 2 }, c: NaN }
     observe(obj)
@@ -344,6 +375,130 @@ describe('Observer', () => {
     })
   })
 
+  it('observing Map mutation', () => {
+    const map = new Map()
+    const ob = observe(map)
+    const dep = ob.dep
+    spyOn(dep, 'notify')
+    const obj = {}
+    map.set('a', obj)
+    // same value should not notify
+    map.set('a', obj)
+    map.set('b', 1)
+    map.delete('b')
+    // deleting a missing key should not notify
+    map.delete('c')
+    map.clear()
+    // clearing an empty map should not notify
+    map.clear()
+    expect(dep.notify.calls.count()).toBe(4)
+    // inserted values should be observed
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+  })
+
+  it('observing Set mutation', () => {
+    const set = new Set()
+    const ob = observe(set)
+    const dep = ob.dep
+    spyOn(dep, 'notify')
+    const obj = {}
+    set.add(obj)
+    // existing value should not notify
+    set.add(obj)
+    set.delete(obj)
+    set.delete(obj)
+    set.add(1)
+    set.clear()
+    expect(dep.notify.calls.count()).toBe(4)
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+  })
+
+  it('collecting dependencies on Map and Set reads', () => {
+    const map = new Map([['a', { b: 1 }]])
+    const set = new Set([1])
+    const mapOb = observe(map)
+    const setOb = observe(set)
+    const nestedOb = map.get('a').__ob__
+    const reads = [
+      () => map.get('a'),
+      () => map.has('a'),
+      () => map.size,
+      () => map.forEach(() => {}),
+      () => map.keys(),
+      () => map.values(),
+      () => map.entries(),
+      () => set.has(1),
+      () => set.size
+    ]
+    reads.forEach(read => {
+      const target = { addDep: jasmine.createSpy() }
+      Dep.target = target
+      read()
+      Dep.target = null
+      const deps = target.addDep.calls.allArgs().map(args => args[0])
+      expect(deps.indexOf(mapOb.dep) > -1 || deps.indexOf(setOb.dep) > -1).toBe(true)
+    })
+    // Map#get should also depend on the nested value's observer
+    const target = { addDep: jasmine.createSpy() }
+    Dep.target = target
+    map.get('a')
+    Dep.target = null
+    expect(target.addDep).toHaveBeenCalledWith(nestedOb.dep)
+  })
+
+  it('collecting dependencies on collection values when iterating', () => {
+    const map = new Map([['a', { b: 1 }], ['c', [{ d: 1 }]]])
+    observe(map)
+    const nestedOb = map.get('a').__ob__
+    const arrayOb = map.get('c').__ob__
+    const itemOb = map.get('c')[0].__ob__
+    const reads = [
+      () => map.forEach(() => {}),
+      () => map.values(),
+      () => map.entries(),
+      () => [...map]
+    ]
+    reads.forEach(read => {
+      const target = { addDep: jasmine.createSpy() }
+      Dep.target = target
+      read()
+      Dep.target = null
+      expect(target.addDep).toHaveBeenCalledWith(nestedOb.dep)
+      expect(target.addDep).toHaveBeenCalledWith(arrayOb.dep)
+      expect(target.addDep).toHaveBeenCalledWith(itemOb.dep)
+    })
+  })
+
+  it('passing debug info for Map and Set', () => {
+    const map = new Map()
+    const ob = observe(map)
+    const onTrack = jasmine.createSpy('track')
+    const onTrigger = jasmine.createSpy('trigger')
+    const target = { addDep: () => true, update () {}, onTrack, onTrigger }
+    ob.dep.addSub(target)
+    Dep.target = target
+    map.get('a')
+    Dep.target = null
+    expect(onTrack).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: map,
+      type: 'get',
+      key: 'a'
+    }))
+    map.set('a', 1)
+    expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: map,
+      type: 'add',
+      key: 'a',
+      newValue: 1
+    }))
+    map.delete('a')
+    expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: map,
+      type: 'delete',
+      key: 'a'
+    }))
+  })
+
   it('warn set/delete on non valid values', () => {
     try {
       setProp(null, 'foo', 1)
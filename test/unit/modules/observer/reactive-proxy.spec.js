@@ -0,0 +1,148 @@
+import Vue from 'vue'
+import { observe, toRaw } from 'core/observer/index'
+
+describe('Observer: proxy reactivity', () => {
+  beforeEach(() => {
+    Vue.config.reactivity = 'proxy'
+  })
+
+  afterEach(() => {
+    Vue.config.reactivity = 'defineProperty'
+  })
+
+  it('should create a proxy for plain objects and arrays', () => {
+    const obj = { a: 1, nested: { b: 1 }, list: [{ c: 1 }] }
+    const ob = observe(obj)
+    expect(ob.proxy).toBeDefined()
+    expect(ob.proxy).not.toBe(obj)
+    expect(toRaw(ob.proxy)).toBe(obj)
+    // no getter/setters are defined on the raw object
+    expect(Object.getOwnPropertyDescriptor(obj, 'a').value).toBe(1)
+    // nested values are observed lazily and keep their identity
+    const state = ob.proxy
+    expect(state.nested).toBe(state.nested)
+    expect(toRaw(state.nested)).toBe(obj.nested)
+    expect(toRaw(state.list[0])).toBe(obj.list[0])
+    // assigned proxies are stored as raw objects
+    state.other = state.nested
+    expect(obj.other).toBe(obj.nested)
+  })
+
+  it('should not proxy in the default mode', () => {
+    Vue.config.reactivity = 'defineProperty'
+    const obj = { a: 1 }
+    expect(Vue.observable(obj)).toBe(obj)
+    expect(observe(obj).proxy).toBeUndefined()
+  })
+
+  it('should track added and deleted keys', done => {
+    const state = Vue.observable({})
+    const spy = jasmine.createSpy('watch')
+    Vue.watch(() => state.a, spy)
+    state.a = 1
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(1, undefined, jasmine.any(Function))
+      delete state.a
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith(undefined, 1, jasmine.any(Function))
+    }).then(done)
+  })
+
+  it('should track `in` checks and key iteration', done => {
+    const state = Vue.observable({ a: 1 })
+    const hasSpy = jasmine.createSpy('has')
+    const keysSpy = jasmine.createSpy('keys')
+    Vue.watch(() => 'b' in state, hasSpy)
+    Vue.watch(() => Object.keys(state).join(), keysSpy)
+    state.b = 2
+    waitForUpdate(() => {
+      expect(hasSpy).toHaveBeenCalledWith(true, false, jasmine.any(Function))
+      expect(keysSpy).toHaveBeenCalledWith('a,b', 'a', jasmine.any(Function))
+      // changing an existing key doesn't affect iteration
+      state.a = 2
+    }).then(() => {
+      expect(keysSpy.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should track index assignment and length', done => {
+    const state = Vue.observable({ list: [1, 2] })
+    const spy = jasmine.createSpy('watch')
+    Vue.watch(() => state.list.join(), spy)
+    state.list[0] = 3
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith('3,2', '1,2', jasmine.any(Function))
+      state.list[2] = 4
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith('3,2,4', '3,2', jasmine.any(Function))
+      state.list.length = 1
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith('3', '3,2,4', jasmine.any(Function))
+      state.list.push(5)
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith('3,5', '3', jasmine.any(Function))
+    }).then(done)
+  })
+
+  it('should only trigger watchers of the changed key', done => {
+    const state = Vue.observable({ a: 1, b: 1 })
+    const spy = jasmine.createSpy('watch')
+    Vue.watch(() => state.a, spy)
+    state.b = 2
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should re-render components without Vue.set', done => {
+    const vm = new Vue({
+      template: '<div>{{ obj.msg }}|<span v-for="i in list">{{ i }}</span></div>',
+      data: {
+        obj: {},
+        list: ['a']
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('|a')
+    vm.obj.msg = 'hello'
+    vm.list[1] = 'b'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('hello|ab')
+      vm.$set(vm.obj, 'msg', 'bye')
+      vm.$delete(vm.list, 0)
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('bye|b')
+    }).then(done)
+  })
+
+  it('should work with deep watchers', done => {
+    const spy = jasmine.createSpy('watch')
+    const vm = new Vue({
+      data: {
+        obj: { nested: {} }
+      },
+      watch: {
+        obj: {
+          handler: spy,
+          deep: true
+        }
+      }
+    })
+    vm.obj.nested.added = true
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should record history', () => {
+    const state = Vue.observable({ list: [1] })
+    const history = Vue.createHistory(state)
+    state.list.push(2)
+    state.added = true
+    history.undo()
+    expect(toRaw(state)).toEqual({ list: [1] })
+    history.redo()
+    expect(state.list.length).toBe(2)
+    expect(state.added).toBe(true)
+    history.stop()
+  })
+})
@@ -1,7 +1,8 @@
 import Vue from 'vue'
 import {
   MAX_UPDATE_COUNT,
-  queueWatcher as _queueWatcher
+  queueWatcher as _queueWatcher,
+  flushSchedulerQueueSync
 } from 'core/observer/scheduler'
 
 function queueWatcher (watcher) {
@@ -53,6 +54,226 @@ describe('Scheduler', () => {
     }).then(done)
   })
 
+  it('run post watchers after other watchers', done => {
+    const calls = []
+    queueWatcher({
+      id: 1,
+      post: true,
+      run () {
+        calls.push(1)
+        // pre watcher queued while flushing runs before the remaining post watchers
+        queueWatcher({
+          id: 4,
+          run () { calls.push(4) }
+        })
+      }
+    })
+    queueWatcher({
+      id: 3,
+      run () { calls.push(3) }
+    })
+    queueWatcher({
+      id: 2,
+      post: true,
+      run () { calls.push(2) }
+    })
+    waitForUpdate(() => {
+      expect(calls).toEqual([3, 1, 4, 2])
+    }).then(done)
+  })
+
+  it('run pre watchers before the render watcher of their component', done => {
+    const calls = []
+    const vm = {}
+    const render = { id: 2, vm, run () { calls.push('render') } }
+    vm._watcher = render
+    _queueWatcher({ id: 4, vm, pre: true, run () { calls.push('pre') } })
+    _queueWatcher(render)
+    _queueWatcher({ id: 3, vm, run () { calls.push('user') } })
+    _queueWatcher({ id: 1, vm: {}, run () { calls.push('parent') } })
+    waitForUpdate(() => {
+      expect(calls).toEqual(['parent', 'pre', 'render', 'user'])
+    }).then(done)
+  })
+
+  it('run watchers by priority', done => {
+    const calls = []
+    queueWatcher({
+      id: 1,
+      priority: 2,
+      run () { calls.push(1) }
+    })
+    queueWatcher({
+      id: 2,
+      priority: 1,
+      run () { calls.push(2) }
+    })
+    queueWatcher({
+      id: 3,
+      priority: 0,
+      run () { calls.push(3) }
+    })
+    waitForUpdate(() => {
+      expect(calls).toEqual([3, 2, 1])
+    }).then(done)
+  })
+
+  it('components should not be more urgent than their parent', () => {
+    const vm = new Vue({
+      template: `<div><urgent><idle /></urgent></div>`,
+      components: {
+        urgent: {
+          priority: 'user-blocking',
+          template: `<div><slot /></div>`
+        },
+        idle: {
+          priority: 'idle',
+          template: `<div><grand-child /></div>`,
+          components: {
+            grandChild: { template: '<div />' }
+          }
+        }
+      }
+    }).$mount()
+    const urgent = vm.$children[0]
+    const idle = urgent.$children[0]
+    expect(vm._priority).toBe(1)
+    expect(urgent._priority).toBe(1)
+    expect(idle._priority).toBe(2)
+    // inherited from the parent
+    expect(idle.$children[0]._priority).toBe(2)
+    expect(urgent._watcher.priority).toBe(1)
+    expect(idle._watcher.priority).toBe(2)
+  })
+
+  it('warn invalid priority', () => {
+    new Vue({ priority: 'high' })
+    expect('Invalid priority option: "high"').toHaveBeenWarned()
+  })
+
+  describe('time slicing', () => {
+    function busyWait (ms) {
+      const start = Date.now()
+      while (Date.now() - start < ms) {}
+    }
+
+    beforeEach(() => {
+      Vue.config.flushTimeBudget = 0
+    })
+
+    afterEach(() => {
+      Vue.config.flushTimeBudget = Infinity
+    })
+
+    it('should yield after the time budget', done => {
+      const calls = []
+      for (let i = 1; i <= 3; i++) {
+        queueWatcher({
+          id: i,
+          run () {
+            calls.push(i)
+            busyWait(2)
+          }
+        })
+      }
+      waitForUpdate(() => {
+        expect(calls).toEqual([1])
+      }).thenWaitFor(20).then(() => {
+        expect(calls).toEqual([1, 2, 3])
+      }).then(done)
+    })
+
+    it('should not yield before user-blocking watchers', done => {
+      const calls = []
+      for (let i = 1; i <= 3; i++) {
+        queueWatcher({
+          id: i,
+          priority: i < 3 ? 0 : 1,
+          run () {
+            calls.push(i)
+            busyWait(2)
+          }
+        })
+      }
+      waitForUpdate(() => {
+        expect(calls).toEqual([1, 2])
+      }).thenWaitFor(20).then(() => {
+        expect(calls).toEqual([1, 2, 3])
+      }).then(done)
+    })
+
+    it('should keep component update order and updated hooks', done => {
+      const calls = []
+      const vm = new Vue({
+        template: `<div>{{ msg }}<test :msg="msg" /></div>`,
+        data: { msg: 'foo' },
+        beforeUpdate () {
+          calls.push('parent render')
+          busyWait(2)
+        },
+        updated () { calls.push('parent updated') },
+        components: {
+          test: {
+            props: ['msg'],
+            template: `<span>{{ msg }}</span>`,
+            beforeUpdate () { calls.push('child render') },
+            updated () { calls.push('child updated') }
+          }
+        }
+      }).$mount()
+      vm.msg = 'bar'
+      waitForUpdate(() => {
+        // the child is updated in a later task
+        expect(vm.$el.textContent).toBe('barfoo')
+        expect(calls).toEqual(['parent render'])
+      }).thenWaitFor(20).then(() => {
+        expect(vm.$el.textContent).toBe('barbar')
+        expect(calls).toEqual([
+          'parent render',
+          'child render',
+          'child updated',
+          'parent updated'
+        ])
+      }).then(done)
+    })
+
+    it('should resume a paused flush synchronously', done => {
+      const calls = []
+      for (let i = 1; i <= 3; i++) {
+        queueWatcher({
+          id: i,
+          run () {
+            calls.push(i)
+            busyWait(2)
+          }
+        })
+      }
+      waitForUpdate(() => {
+        expect(calls).toEqual([1])
+        flushSchedulerQueueSync()
+        expect(calls).toEqual([1, 2, 3])
+      }).thenWaitFor(20).then(() => {
+        expect(calls).toEqual([1, 2, 3])
+      }).then(done)
+    })
+  })
+
+  it('should flush synchronously', done => {
+    const calls = []
+    queueWatcher({
+      id: 1,
+      run () {
+        calls.push(1)
+        queueWatcher({ id: 2, run: () => calls.push(2) })
+      }
+    })
+    flushSchedulerQueueSync()
+    expect(calls).toEqual([1, 2])
+    waitForUpdate(() => {
+      expect(calls).toEqual([1, 2])
+    }).then(done)
+  })
+
   it('call user watchers before component re-render', done => {
     const calls = []
     const vm = new Vue({
@@ -0,0 +1,182 @@
+import Vue from 'vue'
+import { createTestRenderer, toJSON, prettyPrint } from 'web/entry-test-renderer'
+
+describe('test renderer', () => {
+  let renderer
+  beforeEach(() => {
+    renderer = createTestRenderer(Vue)
+  })
+
+  it('should serialize the rendered tree', () => {
+    const wrapper = renderer.mount({
+      name: 'App',
+      template:
+        `<div id="app" class="a" :class="{ b: true }" style="color: red" :title="title" @click="noop">` +
+          `<input :value="title" disabled>` +
+          `<span v-if="false"></span>` +
+          `text` +
+        `</div>`,
+      data: () => ({ title: 'hello' }),
+      methods: { noop () {} }
+    })
+    expect(wrapper.toJSON()).toEqual({
+      type: 'element',
+      tag: 'div',
+      attrs: { id: 'app', class: 'a b', style: 'color:red;', title: 'hello' },
+      props: {},
+      listeners: ['click'],
+      components: ['App'],
+      children: [
+        {
+          type: 'element',
+          tag: 'input',
+          attrs: { disabled: 'disabled' },
+          props: { value: 'hello' },
+          listeners: [],
+          components: [],
+          children: []
+        },
+        { type: 'comment', text: '', components: [] },
+        { type: 'text', text: 'text', components: [] }
+      ]
+    })
+    expect(toJSON(wrapper.find('input')).props.value).toBe('hello')
+  })
+
+  it('should pretty print the rendered tree', () => {
+    const child = {
+      props: ['msg'],
+      template: `<p v-show="msg" @click="$emit('select')">{{ msg }}</p>`
+    }
+    const wrapper = renderer.mount({
+      name: 'List',
+      components: { child },
+      template: `<ul><li v-for="n in 2" :key="n"><child :msg="'item ' + n" /></li><li><child /></li></ul>`
+    }, { attrs: { role: 'list' }})
+    expect(wrapper.toString()).toBe([
+      '<ul role="list"> // List',
+      '  <li>',
+      '    <p @click> // child',
+      '      item 1',
+      '    </p>',
+      '  </li>',
+      '  <li>',
+      '    <p @click> // child',
+      '      item 2',
+      '    </p>',
+      '  </li>',
+      '  <li>',
+      '    <p style="display:none;" @click></p> // child',
+      '  </li>',
+      '</ul>'
+    ].join('\n'))
+    expect(prettyPrint(wrapper.find('li'))).toBe(wrapper.toString().split('\n').slice(1, 6).join('\n').replace(/^ {2}/gm, ''))
+  })
+
+  it('should trigger listeners and flush the updates', () => {
+    const onSelect = jasmine.createSpy('select')
+    const wrapper = renderer.mount({
+      props: ['start'],
+      data () {
+        return { count: this.start }
+      },
+      template:
+        `<div>` +
+          `<button @click.prevent="count++">{{ count }}</button>` +
+          `<input @keyup.enter="$emit('select', count)" @focus.once="count = 0">` +
+        `</div>`
+    }, {
+      props: { start: 1 },
+      on: { select: onSelect }
+    })
+    const button = wrapper.find('button')
+    renderer.trigger(button, 'click')
+    expect(button.children[0].text).toBe('2')
+
+    const input = wrapper.find('input')
+    renderer.trigger(input, 'keyup', { key: 'Escape', keyCode: 27 })
+    expect(onSelect).not.toHaveBeenCalled()
+    renderer.trigger(input, 'keyup', { key: 'Enter', keyCode: 13 })
+    expect(onSelect).toHaveBeenCalledWith(2)
+
+    renderer.trigger(input, 'focus')
+    expect(input.listeners.focus).toBeUndefined()
+    expect(wrapper.vm.count).toBe(0)
+    expect(wrapper.toString()).toBe([
+      '<div> // Anonymous',
+      '  <button @click>',
+      '    0',
+      '  </button>',
+      '  <input @keyup></input>',
+      '</div>'
+    ].join('\n'))
+  })
+
+  it('should record listeners of components', () => {
+    const onClick = jasmine.createSpy('click')
+    const wrapper = renderer.mount({
+      template: `<div><btn @click.native="onClick" /></div>`,
+      methods: { onClick },
+      components: {
+        btn: { name: 'Btn', template: `<button>ok</button>` }
+      }
+    })
+    const button = wrapper.find('Btn')
+    expect(button.tag).toBe('button')
+    expect(button.components).toEqual(['Btn'])
+    renderer.trigger(button, 'click')
+    expect(onClick).toHaveBeenCalled()
+    expect(onClick.calls.argsFor(0)[0].target).toBe(button)
+  })
+
+  it('should update the component names of replaced roots', () => {
+    const wrapper = renderer.mount({
+      name: 'Outer',
+      template: `<inner :tag="tag" />`,
+      data: () => ({ tag: 'span' }),
+      components: {
+        inner: {
+          name: 'Inner',
+          props: ['tag'],
+          render (h) {
+            return h(this.tag)
+          }
+        }
+      }
+    })
+    expect(wrapper.toString()).toBe('<span></span> // Outer > Inner')
+    wrapper.vm.tag = 'p'
+    renderer.flush()
+    expect(wrapper.toString()).toBe('<p></p> // Outer > Inner')
+  })
+
+  it('should render text content and global components', () => {
+    Vue.component('global-test', { template: '<b>global</b>' })
+    const wrapper = renderer.mount({
+      template: `<div><p v-text="msg">ignored</p><global-test /></div>`,
+      data: () => ({ msg: 'text' })
+    })
+    expect(wrapper.toString()).toBe([
+      '<div> // Anonymous',
+      '  <p>',
+      '    text',
+      '  </p>',
+      '  <b> // global-test',
+      '    global',
+      '  </b>',
+      '</div>'
+    ].join('\n'))
+    delete Vue.options.components['global-test']
+  })
+
+  it('should unmount', () => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const wrapper = renderer.mount({
+      template: `<div></div>`,
+      destroyed
+    })
+    wrapper.unmount()
+    expect(destroyed).toHaveBeenCalled()
+    expect(wrapper.toJSON()).toEqual([])
+  })
+})
@@ -0,0 +1,214 @@
+import Vue from 'vue'
+import { createPatchFunction } from 'core/vdom/patch'
+import baseModules from 'core/vdom/modules/index'
+import * as nodeOps from 'web/runtime/node-ops'
+import platformModules from 'web/runtime/modules/index'
+import VNode, { createTextVNode, cloneVNode } from 'core/vdom/vnode'
+import { openBlock, closeBlock, markDynamic } from 'core/instance/render-helpers/render-block'
+import { PatchFlags } from 'shared/constants'
+
+describe('vdom patch: blocks', () => {
+  let patch, update, updateClass, updateAttrs
+  beforeEach(() => {
+    update = jasmine.createSpy('update')
+    updateClass = jasmine.createSpy('updateClass')
+    updateAttrs = jasmine.createSpy('updateAttrs')
+    patch = createPatchFunction({
+      nodeOps,
+      modules: baseModules.concat(platformModules).concat([
+        { update },
+        { update: updateClass, flags: PatchFlags.CLASS },
+        { update: updateAttrs, flags: PatchFlags.ATTRS }
+      ])
+    })
+  })
+
+  // what the compiler generates for
+  // <div><b>static</b><span :class="cls">{{ msg }}</span></div>
+  function render (msg, cls, id = 1) {
+    openBlock()
+    return closeBlock(new VNode('div', {}, [
+      new VNode('b', {}, [createTextVNode('static')]),
+      markDynamic(new VNode('span', { class: cls }, [
+        markDynamic(createTextVNode(msg), PatchFlags.TEXT)
+      ]), PatchFlags.CLASS)
+    ]), id)
+  }
+
+  const tagsOf = spy => spy.calls.allArgs().map(args => args[1].tag)
+
+  it('should collect the dynamic nodes of a block', () => {
+    const vnode = render('hello', 'a')
+    expect(vnode.blockId).toBe(1)
+    expect(vnode.dynamicChildren.length).toBe(2)
+    expect(vnode.dynamicChildren[0].text).toBe('hello')
+    expect(vnode.dynamicChildren[0].patchFlag).toBe(PatchFlags.TEXT)
+    expect(vnode.dynamicChildren[1].tag).toBe('span')
+    expect(vnode.dynamicChildren[1].patchFlag).toBe(PatchFlags.CLASS)
+  })
+
+  it('should only patch the dynamic nodes of a block', () => {
+    const vnode = render('hello', 'a')
+    patch(null, vnode)
+    patch(vnode, render('bye', 'b'))
+    expect(tagsOf(update)).toEqual(['div', 'span'])
+    // the modules of dynamic nodes only run for their patch flags
+    expect(tagsOf(updateClass)).toEqual(['div', 'span'])
+    expect(tagsOf(updateAttrs)).toEqual(['div'])
+  })
+
+  it('should update the dynamic nodes of a block', () => {
+    const vnode1 = render('hello', 'a')
+    const elm = patch(null, vnode1)
+    const vnode2 = render('bye', 'b')
+    patch(vnode1, vnode2)
+    expect(vnode2.elm).toBe(elm)
+    expect(elm.outerHTML).toBe('<div><b>static</b><span class="b">bye</span></div>')
+    patch(vnode2, render('hello', 'c'))
+    expect(elm.outerHTML).toBe('<div><b>static</b><span class="c">hello</span></div>')
+  })
+
+  it('should replace blocks of another structure', () => {
+    const vnode1 = render('hello', 'a')
+    const elm = patch(null, vnode1)
+    const parent = document.createElement('div')
+    parent.appendChild(elm)
+    const vnode2 = render('bye', 'b', 2)
+    patch(vnode1, vnode2)
+    expect(vnode2.elm).not.toBe(elm)
+    expect(parent.innerHTML).toBe('<div><b>static</b><span class="b">bye</span></div>')
+  })
+
+  it('should patch a cloned block against a new render of it', () => {
+    const vnode1 = render('hello', 'a')
+    const elm = patch(null, vnode1)
+    const cloned = cloneVNode(vnode1)
+    expect(cloned.blockId).toBe(1)
+    const vnode2 = render('bye', 'b')
+    // the clone has no dynamic nodes of its own and is diffed as a tree
+    patch(cloned, vnode2)
+    expect(vnode2.elm).toBe(elm)
+    expect(elm.outerHTML).toBe('<div><b>static</b><span class="b">bye</span></div>')
+  })
+
+  it('should replace blocks with nodes that are not blocks', () => {
+    const vnode1 = render('hello', 'a')
+    const elm = patch(null, vnode1)
+    const parent = document.createElement('div')
+    parent.appendChild(elm)
+    const vnode2 = new VNode('div', {}, [createTextVNode('bye')])
+    patch(vnode1, vnode2)
+    expect(vnode2.elm).not.toBe(elm)
+    expect(parent.innerHTML).toBe('<div>bye</div>')
+  })
+
+  it('should not trust the id of blocks of another structure', () => {
+    const vnode1 = render('hello', 'a')
+    const elm = patch(null, vnode1)
+    // same id, but another static structure
+    openBlock()
+    const vnode2 = closeBlock(new VNode('div', {}, [
+      new VNode('i', {}, [createTextVNode('static')]),
+      markDynamic(new VNode('span', { class: 'b' }, [
+        markDynamic(createTextVNode('bye'), PatchFlags.TEXT)
+      ]), PatchFlags.CLASS)
+    ]), 1)
+    patch(vnode1, vnode2)
+    expect(vnode2.elm).toBe(elm)
+    expect(elm.outerHTML).toBe('<div><i>static</i><span class="b">bye</span></div>')
+  })
+
+  it('should patch blocks passed as slot content', done => {
+    const vm = new Vue({
+      data: { msg: 'a' },
+      template: `<div><child ref="child"><p class="blk">{{ msg }}</p></child></div>`,
+      components: {
+        child: {
+          data: () => ({ ok: true }),
+          template: `<div><slot v-if="ok"></slot></div>`
+        }
+      }
+    }).$mount()
+    let el
+    vm.$refs.child.ok = false
+    waitForUpdate(() => {
+      // the slot nodes are re-created from the vnodes of the last render
+      vm.$refs.child.ok = true
+    }).then(() => {
+      el = vm.$el.querySelector('.blk')
+      expect(el.textContent).toBe('a')
+      vm.msg = 'b'
+    }).then(() => {
+      expect(vm.$el.querySelector('.blk')).toBe(el)
+      expect(el.textContent).toBe('b')
+    }).then(done)
+  })
+
+  it('should render and update compiled blocks', done => {
+    const select = jasmine.createSpy('select')
+    const vm = new Vue({
+      data: {
+        rows: [{ id: 1, label: 'one' }, { id: 2, label: 'two' }],
+        selected: 1,
+        text: 'foo',
+        ok: true
+      },
+      template:
+        `<div>` +
+          `<table><tr v-for="row in rows" :key="row.id" :class="{ selected: row.id === selected }">` +
+            `<td class="id">{{ row.id }}</td>` +
+            `<td :title="row.label"><a @click="select(row.label)" :ref="'a' + row.id">{{ row.label }}</a></td>` +
+          `</tr></table>` +
+          `<p v-if="ok"><b>yes</b> {{ text }}</p><p v-else><i>no</i> {{ text }}</p>` +
+          `<form><input v-model="text"></form>` +
+        `</div>`,
+      methods: { select }
+    }).$mount()
+    const rows = () => Array.from(vm.$el.querySelectorAll('tr')).map(tr => tr.outerHTML)
+    expect(rows()).toEqual([
+      '<tr class="selected"><td class="id">1</td><td title="one"><a>one</a></td></tr>',
+      '<tr class=""><td class="id">2</td><td title="two"><a>two</a></td></tr>'
+    ])
+    vm.rows[0].label = 'uno'
+    vm.rows.push({ id: 3, label: 'three' })
+    vm.rows.reverse()
+    vm.selected = 3
+    vm.text = 'bar'
+    waitForUpdate(() => {
+      expect(rows()).toEqual([
+        '<tr class="selected"><td class="id">3</td><td title="three"><a>three</a></td></tr>',
+        '<tr class=""><td class="id">2</td><td title="two"><a>two</a></td></tr>',
+        '<tr class=""><td class="id">1</td><td title="uno"><a>uno</a></td></tr>'
+      ])
+      triggerEvent(vm.$refs.a1[0], 'click')
+      expect(select).toHaveBeenCalledWith('uno')
+      expect(vm.$el.querySelector('p').outerHTML).toBe('<p><b>yes</b> bar</p>')
+      expect(vm.$el.querySelector('input').value).toBe('bar')
+      vm.ok = false
+    }).then(() => {
+      expect(vm.$el.querySelector('p').outerHTML).toBe('<p><i>no</i> bar</p>')
+      vm.$el.querySelector('input').value = 'baz'
+      triggerEvent(vm.$el.querySelector('input'), 'input')
+    }).then(() => {
+      expect(vm.$el.querySelector('p').outerHTML).toBe('<p><i>no</i> baz</p>')
+    }).then(done)
+  })
+
+  it('should recover from render errors inside blocks', done => {
+    const vm = new Vue({
+      data: { item: { label: 'foo' }, msg: 'a' },
+      template: `<div><p :title="msg">{{ item.label }}</p></div>`,
+      errorCaptured: () => false
+    }).$mount()
+    Vue.config.errorHandler = () => {}
+    vm.item = null
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p title="a">foo</p>')
+      vm.item = { label: 'bar' }
+      vm.msg = 'b'
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p title="b">bar</p>')
+      Vue.config.errorHandler = null
+    }).then(done)
+  })
+})
@@ -508,6 +508,67 @@ describe('vdom patch: children', () => {
     expect(postPatch).toBe(original)
   })
 
+  it('should move a single element moved to the middle only once', () => {
+    const list = []
+    for (let i = 0; i < 100; i++) list.push(i)
+    const vnode1 = new VNode('div', {}, list.map(spanNum))
+    const moved = list.slice(0, 50).concat(99, list.slice(50, 99))
+    const vnode2 = new VNode('div', {}, moved.map(spanNum))
+    const elm = patch(vnode0, vnode1)
+    const children = map(child => child, elm.children)
+    spyOn(elm, 'insertBefore').and.callThrough()
+    spyOn(elm, 'appendChild').and.callThrough()
+    patch(vnode1, vnode2)
+    expect(elm.insertBefore.calls.count()).toBe(1)
+    expect(elm.insertBefore.calls.argsFor(0)[0]).toBe(children[99])
+    expect(elm.appendChild).not.toHaveBeenCalled()
+    expect(map(inner, elm.children)).toEqual(moved.map(String))
+    expect(elm.children[50]).toBe(children[99])
+  })
+
+  it('should only move the elements out of the longest increasing subsequence', () => {
+    const vnode1 = new VNode('div', {}, [1, 2, 3, 4, 5, 6, 7].map(spanNum))
+    // 1, 2, 4, 5 and 7 keep their relative order
+    const vnode2 = new VNode('div', {}, [3, 1, 2, 6, 4, 8, 5, 7].map(spanNum))
+    const elm = patch(vnode0, vnode1)
+    const children = map(child => child, elm.children)
+    spyOn(elm, 'insertBefore').and.callThrough()
+    patch(vnode1, vnode2)
+    // 3 and 6 are moved, 8 is inserted
+    expect(elm.insertBefore.calls.count()).toBe(3)
+    expect(map(inner, elm.children)).toEqual(['3', '1', '2', '6', '4', '8', '5', '7'])
+    expect(elm.children[0]).toBe(children[2])
+    expect(elm.children[3]).toBe(children[5])
+    expect(elm.children[7]).toBe(children[6])
+  })
+
+  it('should not move elements when only removing and adding in the middle', () => {
+    const vnode1 = new VNode('div', {}, [1, 2, 3, 4, 5].map(spanNum))
+    const vnode2 = new VNode('div', {}, [1, 6, 2, 4, 7, 5].map(spanNum))
+    const elm = patch(vnode0, vnode1)
+    const children = map(child => child, elm.children)
+    spyOn(elm, 'insertBefore').and.callThrough()
+    spyOn(elm, 'removeChild').and.callThrough()
+    patch(vnode1, vnode2)
+    expect(elm.insertBefore.calls.count()).toBe(2)
+    expect(elm.removeChild.calls.count()).toBe(1)
+    expect(map(inner, elm.children)).toEqual(['1', '6', '2', '4', '7', '5'])
+    expect(elm.children[2]).toBe(children[1])
+    expect(elm.children[3]).toBe(children[3])
+  })
+
+  it('should reuse unkeyed elements in the middle of keyed ones', () => {
+    const vnode1 = new VNode('div', {}, [spanNum(1), spanNum('a'), spanNum(2), spanNum(3)])
+    const vnode2 = new VNode('div', {}, [spanNum(1), spanNum(3), spanNum('b'), spanNum(2)])
+    const elm = patch(vnode0, vnode1)
+    const children = map(child => child, elm.children)
+    patch(vnode1, vnode2)
+    expect(map(inner, elm.children)).toEqual(['1', '3', 'b', '2'])
+    expect(elm.children[1]).toBe(children[3])
+    expect(elm.children[2]).toBe(children[1])
+    expect(elm.children[3]).toBe(children[2])
+  })
+
   it('should warn with duplicate keys: createChildren', () => {
     function makeNode (key) {
       return new VNode('div', { key: key })
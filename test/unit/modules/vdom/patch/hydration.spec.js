@@ -70,7 +70,7 @@ describe('vdom patch: hydration', () => {
     expect(node0.children[0].id).toBe('bar')
   })
 
-  it('should warn message that virtual DOM tree is not matching when hydrate element', () => {
+  it('should warn message that virtual DOM tree is not matching when hydrate element and recover', () => {
     function createServerRenderedDOM () {
       const root = document.createElement('div')
       root.setAttribute(SSR_ATTR, 'true')
@@ -90,8 +90,13 @@ describe('vdom patch: hydration', () => {
         new VNode('span', {})
       ])
     ])
-    patch(node0, vnode1)
-    expect('The client-side rendered virtual DOM tree is not matching').toHaveBeenWarned()
+    const innerDiv = node0.children[1]
+    expect(patch(node0, vnode1)).toBe(node0)
+    expect('Hydration children mismatch').toHaveBeenWarned()
+    expect('at "div > div:nth-child(2)"').toHaveBeenWarned()
+    // only the mismatched subtree is rendered on the client
+    expect(node0.children[1]).toBe(innerDiv)
+    expect(innerDiv.innerHTML).toBe('<span></span><span></span>')
   })
 
   // component hydration is better off with a more e2e approach
@@ -161,7 +166,7 @@ describe('vdom patch: hydration', () => {
     expect('Unknown custom element: <foo>').toHaveBeenWarned()
   })
 
-  it('should overwrite textNodes in the correct position but with mismatching text without warning', () => {
+  it('should overwrite textNodes in the correct position but with mismatching text', () => {
     const dom = createMockSSRDOM('<div><span>foo</span></div>')
 
     new Vue({
@@ -176,7 +181,7 @@ describe('vdom patch: hydration', () => {
       }
     }).$mount(dom)
 
-    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect('Hydration text mismatch').toHaveBeenWarned()
     expect(dom.querySelector('span').textContent).toBe('qux')
   })
 
@@ -388,4 +393,239 @@ describe('vdom patch: hydration', () => {
       expect(dom.children[0].className).toBe('bar')
     }).then(done)
   })
+
+  describe('mismatches', () => {
+    afterEach(() => {
+      Vue.config.hydrationMismatchHandler = null
+    })
+
+    it('should render only the mismatched nodes on the client', () => {
+      const dom = createMockSSRDOM('<p>a</p><span>b</span><p>c</p>')
+      const [p1, , p2] = dom.children
+      new Vue({
+        template: '<div><p>a</p><div>b</div><p>c</p></div>'
+      }).$mount(dom)
+      expect('Hydration node mismatch').toHaveBeenWarned()
+      expect(dom.innerHTML).toBe('<p>a</p><div>b</div><p>c</p>')
+      expect(dom.children[0]).toBe(p1)
+      expect(dom.children[2]).toBe(p2)
+    })
+
+    it('should report mismatches to config.hydrationMismatchHandler', () => {
+      const handler = Vue.config.hydrationMismatchHandler = jasmine.createSpy('handler')
+      const dom = createMockSSRDOM('<ul><li>a</li><li><i>b</i></li></ul>')
+      const vm = new Vue({
+        template: '<div><test /></div>',
+        components: {
+          test: {
+            template: '<ul><li>a</li><li><b>b</b></li></ul>'
+          }
+        }
+      }).$mount(dom)
+      expect(handler.calls.count()).toBe(1)
+      const mismatch = handler.calls.argsFor(0)[0]
+      expect(mismatch.type).toBe('node')
+      expect(mismatch.expected).toBe('<b>')
+      expect(mismatch.actual).toBe('<i>')
+      expect(mismatch.path).toBe('div > ul > li:nth-child(2) > i')
+      expect(mismatch.vm).toBe(vm.$children[0])
+      expect(mismatch.trace).toContain('<Test>')
+      expect(mismatch.node.tagName).toBe('I')
+      expect(mismatch.vnode.tag).toBe('b')
+      expect(dom.innerHTML).toBe('<ul><li>a</li><li><b>b</b></li></ul>')
+    })
+
+    it('should detect and fix attribute mismatches', () => {
+      const handler = Vue.config.hydrationMismatchHandler = jasmine.createSpy('handler')
+      const dom = createMockSSRDOM('<a href="/a" title="ok" disabled="disabled" draggable="true"></a>')
+      new Vue({
+        template: '<div><a :href="href" title="ok" :disabled="true" :draggable="false"></a></div>',
+        data: { href: '/b' }
+      }).$mount(dom)
+      expect(handler.calls.count()).toBe(1)
+      const mismatch = handler.calls.argsFor(0)[0]
+      expect(mismatch.type).toBe('attrs')
+      expect(mismatch.expected).toEqual({ href: '/b', draggable: 'false' })
+      expect(mismatch.actual).toEqual({ href: '/a', draggable: 'true' })
+      expect(dom.firstChild.getAttribute('href')).toBe('/b')
+      expect(dom.firstChild.getAttribute('draggable')).toBe('false')
+    })
+
+    it('should remove extra server-rendered nodes', () => {
+      const handler = Vue.config.hydrationMismatchHandler = jasmine.createSpy('handler')
+      const dom = createMockSSRDOM('<p><span>a</span><span>b</span>c</p>')
+      new Vue({
+        template: '<div><p><span>a</span></p></div>'
+      }).$mount(dom)
+      const mismatch = handler.calls.argsFor(0)[0]
+      expect(mismatch.type).toBe('children')
+      expect(mismatch.expected).toBe(1)
+      expect(mismatch.actual).toBe(3)
+      expect(dom.innerHTML).toBe('<p><span>a</span></p>')
+    })
+  })
+
+  describe('lazy hydration', () => {
+    function createLazyApp (dom, hydrate, extra = {}) {
+      const child = Object.assign({
+        props: ['n'],
+        hydrate,
+        template: '<button @click="count++">{{ n }} {{ count }}</button>',
+        data: () => ({ count: 0 }),
+        mounted: jasmine.createSpy('mounted')
+      }, extra)
+      const vm = new Vue({
+        template: '<div><p>{{ n }}</p><child v-if="ok" ref="child" :n="n" /></div>',
+        data: { n: 1, ok: true },
+        components: { child }
+      }).$mount(dom)
+      return { vm, child }
+    }
+
+    it('should defer hydration until the strategy triggers', done => {
+      let trigger
+      const teardown = jasmine.createSpy('teardown')
+      const dom = createMockSSRDOM('<p>1</p><!--lazy start--><button>1 0</button><!--lazy end-->')
+      const button = dom.querySelector('button')
+      const { vm, child } = createLazyApp(dom, (hydrate, nodes) => {
+        expect(nodes).toEqual([button])
+        trigger = hydrate
+        return teardown
+      })
+      expect('not matching server-rendered content').not.toHaveBeenWarned()
+      expect(child.mounted).not.toHaveBeenCalled()
+      expect(vm.$refs.child).toBeDefined()
+      // the server-rendered DOM is not touched until hydrated
+      triggerEvent(button, 'click')
+      vm.n = 2
+      waitForUpdate(() => {
+        expect(dom.innerHTML).toBe('<p>2</p><!--lazy start--><button>1 0</button><!--lazy end-->')
+        trigger()
+        expect(child.mounted).toHaveBeenCalled()
+        expect(teardown).not.toHaveBeenCalled()
+        expect(dom.innerHTML).toBe('<p>2</p><button>2 0</button>')
+        expect(vm.$refs.child.$el).toBe(button)
+        triggerEvent(button, 'click')
+      }).then(() => {
+        expect(dom.innerHTML).toBe('<p>2</p><button>2 1</button>')
+        vm.ok = false
+      }).then(() => {
+        expect(dom.innerHTML).toBe('<p>2</p><!---->')
+      }).then(done)
+    })
+
+    it('should hydrate right away when the strategy does', () => {
+      const dom = createMockSSRDOM('<p>1</p><!--lazy start--><button>1 0</button><!--lazy end-->')
+      const { child } = createLazyApp(dom, hydrate => hydrate())
+      expect(child.mounted).toHaveBeenCalled()
+      expect(dom.innerHTML).toBe('<p>1</p><button>1 0</button>')
+    })
+
+    it('should remove pending components and cancel their hydration', done => {
+      const teardown = jasmine.createSpy('teardown')
+      const dom = createMockSSRDOM('<p>1</p><!--lazy start--><button>1 0</button><!--lazy end-->')
+      const { vm, child } = createLazyApp(dom, () => teardown)
+      vm.ok = false
+      waitForUpdate(() => {
+        expect(dom.innerHTML).toBe('<p>1</p><!---->')
+        expect(teardown).toHaveBeenCalled()
+        expect(child.mounted).not.toHaveBeenCalled()
+      }).then(done)
+    })
+
+    it('should hydrate on interaction and replay the event', () => {
+      const dom = createMockSSRDOM('<p>1</p><!--lazy start--><button>1 0</button><!--lazy end-->')
+      const { child } = createLazyApp(dom, 'interaction')
+      expect(child.mounted).not.toHaveBeenCalled()
+      const button = dom.querySelector('button')
+      triggerEvent(button, 'click')
+      expect(child.mounted).toHaveBeenCalled()
+      expect(dom.querySelector('button')).toBe(button)
+      // the click has been handled once hydrated
+      expect(child.mounted.calls.first().object.count).toBe(1)
+    })
+
+    it('should hydrate when visible', () => {
+      const IntersectionObserver = window.IntersectionObserver
+      const observed = []
+      let callback
+      window.IntersectionObserver = function (cb) {
+        callback = cb
+        this.observe = el => observed.push(el)
+        this.disconnect = () => { observed.length = 0 }
+      }
+      const dom = createMockSSRDOM('<p>1</p><!--lazy start--><button>1 0</button><!--lazy end-->')
+      const { child } = createLazyApp(dom, 'visible')
+      expect(observed).toEqual([dom.querySelector('button')])
+      callback([{ isIntersecting: false, intersectionRatio: 0 }])
+      expect(child.mounted).not.toHaveBeenCalled()
+      callback([{ isIntersecting: true, intersectionRatio: 0.5 }])
+      expect(child.mounted).toHaveBeenCalled()
+      expect(observed.length).toBe(0)
+      window.IntersectionObserver = IntersectionObserver
+    })
+
+    it('should hydrate when idle', done => {
+      const dom = createMockSSRDOM('<p>1</p><!--lazy start--><button>1 0</button><!--lazy end-->')
+      const { child } = createLazyApp(dom, 'idle')
+      expect(child.mounted).not.toHaveBeenCalled()
+      waitForUpdate(() => {}).thenWaitFor(50).then(() => {
+        expect(child.mounted).toHaveBeenCalled()
+      }).then(done)
+    })
+
+    it('should update the elements of parents rendering it as their root', () => {
+      let trigger
+      const dom = createMockSSRDOM('<!--lazy start--><span>lazy</span><!--lazy end-->')
+      const vm = new Vue({
+        template: '<div><wrapper /></div>',
+        components: {
+          wrapper: {
+            template: '<child />',
+            components: {
+              child: {
+                template: '<span>lazy</span>',
+                hydrate: hydrate => { trigger = hydrate }
+              }
+            }
+          }
+        }
+      }).$mount(dom)
+      const wrapper = vm.$children[0]
+      expect(wrapper.$el).toBe(dom.firstChild)
+      trigger()
+      expect(wrapper.$el).toBe(dom.querySelector('span'))
+      expect(wrapper.$vnode.elm).toBe(wrapper.$el)
+      expect(wrapper.$children[0].$el).toBe(wrapper.$el)
+    })
+
+    it('should skip nested lazily hydrated components', () => {
+      let hydrateOuter, hydrateInner
+      const dom = createMockSSRDOM(
+        '<p>1</p><!--lazy start--><!--fragment start--><span>outer</span>' +
+        '<!--lazy start--><i>inner</i><!--lazy end--><!--fragment end--><!--lazy end-->'
+      )
+      const { vm } = createLazyApp(dom, hydrate => { hydrateOuter = hydrate }, {
+        template: '<span>outer</span><inner />',
+        components: {
+          inner: {
+            template: '<i>inner</i>',
+            hydrate: hydrate => { hydrateInner = hydrate }
+          }
+        }
+      })
+      expect(hydrateInner).toBeUndefined()
+      hydrateOuter()
+      expect('not matching server-rendered content').not.toHaveBeenWarned()
+      expect(dom.innerHTML).toBe(
+        '<p>1</p><!--fragment start--><span>outer</span>' +
+        '<!--lazy start--><i>inner</i><!--lazy end--><!--fragment end-->'
+      )
+      hydrateInner()
+      expect(dom.innerHTML).toBe(
+        '<p>1</p><!--fragment start--><span>outer</span><i>inner</i><!--fragment end-->'
+      )
+      expect(vm.$refs.child.$children[0].$el).toBe(dom.querySelector('i'))
+    })
+  })
 })
@@ -5,7 +5,22 @@ export default Vue;
 
 export {
   CreateElement,
-  VueConstructor
+  VueConstructor,
+  EffectScope,
+  WatchCleanupRegistrator,
+  ComputedRef,
+  WritableComputedRef,
+  StatePatch,
+  StateHistory,
+  App,
+  AppConfig,
+  AppPluginFunction,
+  AppPluginObject,
+  Renderer,
+  RendererOptions,
+  RendererNodeOps,
+  RendererModule,
+  HydrationMismatch
 } from "./vue";
 
 export {
@@ -17,9 +32,17 @@ export {
   PropType,
   PropOptions,
   ComputedOptions,
+  AsyncComputedGetter,
+  AsyncComputedOptions,
   WatchHandler,
   WatchOptions,
   WatchOptionsWithHandler,
+  DebuggerEvent,
+  DebuggerOptions,
+  UpdatePriority,
+  EmitsOptions,
+  HydrationStrategy,
+  SetupContext,
   DirectiveFunction,
   DirectiveOptions
 } from "./options";
@@ -1,4 +1,4 @@
-import { Vue, CreateElement, CombinedVueInstance } from "./vue";
+import { Vue, CreateElement, CombinedVueInstance, WatchCleanupRegistrator } from "./vue";
 import { VNode, VNodeData, VNodeDirective, NormalizedScopedSlot } from "./vnode";
 
 type Constructor = {
@@ -75,6 +75,8 @@ export interface ComponentOptions<
   props?: PropsDef;
   propsData?: object;
   computed?: Accessors<Computed>;
+  asyncComputed?: Record<string, AsyncComputedGetter | AsyncComputedOptions>;
+  setup?(this: void, props: Record<string, any>, ctx: SetupContext): Record<string, any> | ((createElement: CreateElement) => VNode) | void;
   methods?: Methods;
   watch?: Record<string, WatchOptionsWithHandler<any> | WatchHandler<any> | string>;
 
@@ -97,6 +99,8 @@ export interface ComponentOptions<
   deactivated?(): void;
   errorCaptured?(err: Error, vm: Vue, info: string): boolean | void;
   serverPrefetch?(this: V): Promise<void>;
+  renderTracked?(e: DebuggerEvent): void;
+  renderTriggered?(e: DebuggerEvent): void;
 
   directives?: { [key: string]: DirectiveFunction | DirectiveOptions };
   components?: { [key: string]: Component<any, any, any, any> | AsyncComponent<any, any, any, any> };
@@ -106,6 +110,8 @@ export interface ComponentOptions<
   provide?: object | (() => object);
   inject?: InjectOptions;
 
+  emits?: EmitsOptions;
+
   model?: {
     prop?: string;
     event?: string;
@@ -119,8 +125,27 @@ export interface ComponentOptions<
   delimiters?: [string, string];
   comments?: boolean;
   inheritAttrs?: boolean;
+  priority?: UpdatePriority;
+  hydrate?: HydrationStrategy;
+}
+
+export interface SetupContext {
+  readonly attrs: Record<string, string>;
+  readonly listeners: Record<string, Function | Function[]>;
+  readonly slots: { [key: string]: NormalizedScopedSlot | undefined };
+  emit(event: string, ...args: any[]): void;
 }
 
+export type EmitsOptions = string[] | { [event: string]: ((...args: any[]) => boolean) | null };
+
+export type UpdatePriority = "user-blocking" | "normal" | "idle";
+
+export type HydrationStrategy =
+  | "idle"
+  | "visible"
+  | "interaction"
+  | ((hydrate: () => void, nodes: Node[]) => (() => void) | void);
+
 export interface FunctionalComponentOptions<Props = DefaultProps, PropDefs = PropsDefinition<Props>> {
   name?: string;
   props?: PropDefs;
@@ -163,17 +188,39 @@ export type RecordPropsDefinition<T> = {
 export type ArrayPropsDefinition<T> = (keyof T)[];
 export type PropsDefinition<T> = ArrayPropsDefinition<T> | RecordPropsDefinition<T>;
 
-export interface ComputedOptions<T> {
+export type AsyncComputedGetter = () => any;
+
+export interface AsyncComputedOptions {
+  get(): any;
+  default?: any;
+}
+
+export interface DebuggerEvent {
+  effect: object;
+  target: object;
+  type: string;
+  key?: any;
+  newValue?: any;
+  oldValue?: any;
+}
+
+export interface DebuggerOptions {
+  onTrack?(e: DebuggerEvent): void;
+  onTrigger?(e: DebuggerEvent): void;
+}
+
+export interface ComputedOptions<T> extends DebuggerOptions {
   get?(): T;
   set?(value: T): void;
   cache?: boolean;
 }
 
-export type WatchHandler<T> = (val: T, oldVal: T) => void;
+export type WatchHandler<T> = (val: T, oldVal: T, onCleanup: WatchCleanupRegistrator) => void;
 
-export interface WatchOptions {
+export interface WatchOptions extends DebuggerOptions {
   deep?: boolean;
   immediate?: boolean;
+  flush?: 'pre' | 'post' | 'sync';
 }
 
 export interface WatchOptionsWithHandler<T> extends WatchOptions {
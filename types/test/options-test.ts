@@ -150,6 +150,17 @@ Vue.component('component', {
       cache: false
     }
   },
+  asyncComputed: {
+    remote(): Promise<number> {
+      return Promise.resolve(this.a);
+    },
+    withDefault: {
+      get(): Promise<number> {
+        return Promise.resolve(this.a);
+      },
+      default: 0
+    }
+  },
   methods: {
     plus(): void {
       this.a++;
@@ -168,6 +179,13 @@ Vue.component('component', {
         this.a = val
       },
       deep: true
+    },
+    'd': {
+      handler() {},
+      flush: 'post',
+      onTrigger(e) {
+        e.key;
+      }
     }
   },
   el: "#app",
@@ -254,6 +272,13 @@ Vue.component('component', {
   serverPrefetch () {
     return Promise.resolve()
   },
+  renderTracked(e) {
+    e.target;
+    e.type.toUpperCase();
+  },
+  renderTriggered(e) {
+    e.key;
+  },
 
   directives: {
     a: {
@@ -288,7 +313,17 @@ Vue.component('component', {
   mixins: [Vue.component(""), ({} as ComponentOptions<Vue>)],
   name: "Component",
   extends: {} as ComponentOptions<Vue>,
-  delimiters: ["${", "}"]
+  delimiters: ["${", "}"],
+  priority: "idle",
+  hydrate: "visible"
+});
+
+Vue.component('custom-hydration', {
+  hydrate(hydrate, nodes) {
+    const el = nodes[0] as HTMLElement;
+    el.addEventListener('mouseenter', hydrate);
+    return () => el.removeEventListener('mouseenter', hydrate);
+  }
 });
 
 
@@ -478,3 +513,39 @@ Vue.component('functional-component-v-model', {
 
 
 Vue.component('async-es-module-component', () => import('./es-module'))
+
+Vue.component('setup-component', {
+  props: ['msg'],
+  setup(props, { attrs, slots, emit }) {
+    const count = Vue.computed(() => props.msg.length);
+    Vue.onMounted(() => {
+      emit('mounted', attrs.id);
+    });
+    Vue.onUnmounted(() => {});
+    Vue.onErrorCaptured((err, vm, info) => false);
+    return {
+      count,
+      increment() {}
+    };
+  }
+});
+
+Vue.component('setup-render-component', {
+  setup() {
+    return (h: CreateElement) => h('div');
+  }
+});
+
+Vue.component('emits-array-component', {
+  emits: ['change', 'update:value'],
+  mounted() {
+    this.$emit('change', 1);
+  }
+});
+
+Vue.component('emits-object-component', {
+  emits: {
+    change: (value: number) => value > 0,
+    close: null
+  }
+});
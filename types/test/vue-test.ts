@@ -44,6 +44,14 @@ class Test extends Vue {
       deep: false
     })();
     this.$watch(() => this.a, (val: number) => {});
+    this.$watch("a", (val, oldVal, onCleanup) => {
+      onCleanup(() => {});
+    });
+    this.$watch(["a", () => this.a], (vals, oldVals, onCleanup) => {
+      vals[0];
+      oldVals.length;
+      onCleanup(() => {});
+    });
     this.$on("", () => {});
     this.$once("", () => {});
     this.$off("", () => {});
@@ -72,9 +80,16 @@ class Test extends Vue {
         vm.testMethods();
       }
     };
+    config.hydrationMismatchHandler = mismatch => {
+      if (mismatch.type === 'text') {
+        console.log(mismatch.path, mismatch.expected, mismatch.actual, mismatch.trace);
+      }
+    };
     config.keyCodes = { esc: 27 };
     config.ignoredElements = ['foo', /^ion-/];
     config.async = false
+    config.reactivity = 'proxy';
+    config.flushTimeBudget = 5;
   }
 
   static testMethods() {
@@ -214,6 +229,77 @@ class Decorated extends Vue {
 const obj = Vue.observable({ a: 1 })
 obj.a++
 
+const ro = Vue.readonly({ a: 1 })
+const roA: number = ro.a
+const shallow = Vue.shallowObservable({ nested: { a: 1 } })
+shallow.nested = { a: 2 }
+const raw = Vue.markRaw({ a: 1 })
+raw.a++
+
+const history = Vue.createHistory({ count: 0, list: [1] })
+history.root.count++
+const snap = history.snapshot()
+const canUndo: boolean = history.canUndo()
+history.undo()
+history.redo()
+history.restore(snap)
+const patchPath: (string | number)[] = history.undoStack[0][0].path
+history.stop()
+
+const app = Vue.createApp({
+  render: h => h("div")
+})
+app.config.errorHandler = (err, vm, info) => {}
+app.config.globalProperties.$http = {}
+app
+  .use((V, options) => {
+    V.prototype.$foo = 1
+    V.component("foo", { template: "<div></div>" })
+  }, { foo: 1 })
+  .use({ install (V, options, app) { app!.provide("bar", 1) } })
+  .mixin({ created () {} })
+  .directive("focus", el => el.focus())
+  .provide("baz", 2)
+const appVm: Vue = app.mount("#app")
+app.unmount()
+
+interface CanvasNode { tag: string; text: string; children: CanvasNode[]; parent: CanvasNode | null }
+const createNode = (tag: string, text = ""): CanvasNode => ({ tag, text, children: [], parent: null })
+const canvasRenderer = Vue.createRenderer<CanvasNode>({
+  nodeOps: {
+    createElement: tag => createNode(tag),
+    createTextNode: text => createNode("#text", text),
+    createComment: text => createNode("#comment", text),
+    insertBefore (parent, node, ref) {},
+    removeChild (parent, node) {},
+    appendChild (parent, node) {},
+    parentNode: node => node.parent,
+    nextSibling: node => null,
+    tagName: node => node.tag,
+    setTextContent (node, text) { node.text = text }
+  },
+  modules: [{ create (oldVnode, vnode) {} }],
+  isReservedTag: tag => tag === "rect",
+  compile: Vue.compile
+})
+canvasRenderer.config.errorHandler = (err, vm, info) => {}
+const canvasVm: Vue = canvasRenderer.mount({ render: h => h("rect") }, createNode("root"))
+canvasRenderer.flush()
+
+const scope = Vue.effectScope()
+scope.run(() => {
+  const double = Vue.computed(() => obj.a * 2)
+  const n: number = double.value
+  const writable = Vue.computed({
+    get: () => obj.a,
+    set: (value: number) => { obj.a = value }
+  })
+  writable.value = 2
+  Vue.watch(() => obj.a, (value, oldValue) => value + oldValue, { immediate: true })
+  Vue.onScopeDispose(() => {})
+})
+scope.stop()
+
 // VNodeData style tests.
 const ComponentWithStyleInVNodeData = Vue.extend({
   render (h) {
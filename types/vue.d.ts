@@ -11,6 +11,8 @@ import {
   ThisTypedComponentOptionsWithArrayProps,
   ThisTypedComponentOptionsWithRecordProps,
   WatchOptions,
+  DebuggerOptions,
+  DebuggerEvent,
 } from "./options";
 import { VNode, VNodeData, VNodeChildren, NormalizedScopedSlot } from "./vnode";
 import { PluginFunction, PluginObject } from "./plugin";
@@ -36,6 +38,8 @@ export interface Vue {
   readonly $vnode: VNode;
   readonly $attrs: Record<string, string>;
   readonly $listeners: Record<string, Function | Function[]>;
+  readonly $pending: Record<string, boolean>;
+  readonly $error: Record<string, Error | null>;
 
   $mount(elementOrSelector?: Element | string, hydrating?: boolean): this;
   $forceUpdate(): void;
@@ -44,12 +48,17 @@ export interface Vue {
   $delete: typeof Vue.delete;
   $watch(
     expOrFn: string,
-    callback: (this: this, n: any, o: any) => void,
+    callback: (this: this, n: any, o: any, onCleanup: WatchCleanupRegistrator) => void,
     options?: WatchOptions
   ): (() => void);
   $watch<T>(
     expOrFn: (this: this) => T,
-    callback: (this: this, n: T, o: T) => void,
+    callback: (this: this, n: T, o: T, onCleanup: WatchCleanupRegistrator) => void,
+    options?: WatchOptions
+  ): (() => void);
+  $watch(
+    expOrFn: (string | ((this: this) => any))[],
+    callback: (this: this, n: any[], o: any[], onCleanup: WatchCleanupRegistrator) => void,
     options?: WatchOptions
   ): (() => void);
   $on(event: string | string[], callback: Function): this;
@@ -64,6 +73,17 @@ export interface Vue {
 export type CombinedVueInstance<Instance extends Vue, Data, Methods, Computed, Props> =  Data & Methods & Computed & Props & Instance;
 export type ExtendedVue<Instance extends Vue, Data, Methods, Computed, Props> = VueConstructor<CombinedVueInstance<Instance, Data, Methods, Computed, Props> & Vue>;
 
+export interface HydrationMismatch {
+  type: "node" | "text" | "attrs" | "html" | "children";
+  expected: any;
+  actual: any;
+  path: string;
+  trace: string;
+  node: Node;
+  vnode: VNode;
+  vm: Vue | undefined;
+}
+
 export interface VueConfiguration {
   silent: boolean;
   optionMergeStrategies: any;
@@ -72,11 +92,126 @@ export interface VueConfiguration {
   performance: boolean;
   errorHandler(err: Error, vm: Vue, info: string): void;
   warnHandler(msg: string, vm: Vue, trace: string): void;
+  hydrationMismatchHandler(mismatch: HydrationMismatch): void;
   ignoredElements: (string | RegExp)[];
   keyCodes: { [key: string]: number | number[] };
+  reactivity: "defineProperty" | "proxy";
+  flushTimeBudget: number;
   async: boolean;
 }
 
+export interface EffectScope {
+  active: boolean;
+  run<T>(fn: () => T): T | undefined;
+  stop(): void;
+}
+
+export type WatchCleanupRegistrator = (cleanupFn: () => void) => void;
+
+export interface ComputedRef<T> {
+  readonly value: T;
+}
+
+export interface WritableComputedRef<T> {
+  value: T;
+}
+
+export interface StatePatch {
+  type: "set" | "add" | "delete" | "array";
+  target: object;
+  path: (string | number)[];
+  key: any;
+  newValue: any;
+  oldValue: any;
+}
+
+export interface StateHistory<T extends object> {
+  readonly root: T;
+  readonly undoStack: StatePatch[][];
+  readonly redoStack: StatePatch[][];
+  commit(): void;
+  canUndo(): boolean;
+  canRedo(): boolean;
+  undo(): boolean;
+  redo(): boolean;
+  snapshot(): T;
+  restore(snapshot: T): void;
+  stop(): void;
+}
+
+export interface AppConfig extends VueConfiguration {
+  globalProperties: Record<string, any>;
+}
+
+export type AppPluginFunction<T> = (Vue: VueConstructor, options?: T, app?: App) => void;
+
+export interface AppPluginObject<T> {
+  install: AppPluginFunction<T>;
+  [key: string]: any;
+}
+
+export interface App {
+  config: AppConfig;
+  use<T>(plugin: AppPluginObject<T> | AppPluginFunction<T>, options?: T): App;
+  use(plugin: AppPluginObject<any> | AppPluginFunction<any>, ...options: any[]): App;
+  mixin(mixin: VueConstructor | ComponentOptions<Vue>): App;
+  component(id: string): VueConstructor | undefined;
+  component(id: string, definition: Component<any, any, any, any> | AsyncComponent<any, any, any, any>): App;
+  directive(id: string): DirectiveOptions | undefined;
+  directive(id: string, definition: DirectiveOptions | DirectiveFunction): App;
+  filter(id: string): Function | undefined;
+  filter(id: string, definition: Function): App;
+  provide(key: string | symbol, value: any): App;
+  mount(el?: Element | string, hydrating?: boolean): Vue;
+  unmount(): void;
+}
+
+export interface RendererNodeOps<Node = any> {
+  createElement(tag: string, vnode: VNode): Node;
+  createElementNS?(namespace: string, tag: string): Node;
+  createTextNode(text: string): Node;
+  createComment(text: string): Node;
+  insertBefore(parent: Node, node: Node, reference: Node | null): void;
+  removeChild(parent: Node, node: Node): void;
+  appendChild(parent: Node, node: Node): void;
+  parentNode(node: Node): Node | null;
+  nextSibling(node: Node): Node | null;
+  tagName(node: Node): string;
+  setTextContent(node: Node, text: string): void;
+  setStyleScope?(node: Node, scopeId: string): void;
+}
+
+export interface RendererModule {
+  create?(oldVnode: VNode, vnode: VNode): void;
+  activate?(oldVnode: VNode, vnode: VNode): void;
+  update?(oldVnode: VNode, vnode: VNode): void;
+  remove?(vnode: VNode, remove: () => void): void;
+  destroy?(vnode: VNode): void;
+}
+
+export interface RendererOptions<Node = any> {
+  nodeOps: RendererNodeOps<Node>;
+  modules?: RendererModule[];
+  isReservedTag?(tag: string): boolean;
+  isReservedAttr?(attr: string): boolean;
+  isUnknownElement?(tag: string): boolean;
+  getTagNamespace?(tag: string): string | void;
+  parsePlatformTagName?(tag: string): string;
+  mustUseProp?(tag: string, type: string | null, name: string): boolean;
+  directives?: { [key: string]: DirectiveOptions | DirectiveFunction };
+  components?: { [key: string]: Component<any, any, any, any> | AsyncComponent<any, any, any, any> };
+  compile?(template: string): {
+    render(createElement: CreateElement): VNode;
+    staticRenderFns: (() => VNode)[];
+  };
+}
+
+export interface Renderer<Node = any> {
+  config: VueConfiguration;
+  mount(options: ComponentOptions<Vue>, container: Node): Vue;
+  flush(): void;
+}
+
 export interface VueConstructor<V extends Vue = Vue> {
   new <Data = object, Methods = object, Computed = object, PropNames extends string = never>(options?: ThisTypedComponentOptionsWithArrayProps<V, Data, Methods, Computed, PropNames>): CombinedVueInstance<V, Data, Methods, Computed, Record<PropNames, any>>;
   // ideally, the return type should just contain Props, not Record<keyof Props, any>. But TS requires to have Base constructors with the same return type.
@@ -120,6 +255,34 @@ export interface VueConstructor<V extends Vue = Vue> {
   };
 
   observable<T>(obj: T): T;
+  readonly<T extends object>(obj: T): Readonly<T>;
+  shallowObservable<T>(obj: T): T;
+  markRaw<T extends object>(obj: T): T;
+  createHistory<T extends object>(obj: T): StateHistory<T>;
+  createApp(options?: ComponentOptions<V>): App;
+  createRenderer<Node = any>(options: RendererOptions<Node>): Renderer<Node>;
+
+  getCurrentInstance(): Vue | null;
+  onBeforeMount(fn: () => void, target?: Vue): void;
+  onMounted(fn: () => void, target?: Vue): void;
+  onBeforeUpdate(fn: () => void, target?: Vue): void;
+  onUpdated(fn: () => void, target?: Vue): void;
+  onBeforeUnmount(fn: () => void, target?: Vue): void;
+  onUnmounted(fn: () => void, target?: Vue): void;
+  onActivated(fn: () => void, target?: Vue): void;
+  onDeactivated(fn: () => void, target?: Vue): void;
+  onServerPrefetch(fn: () => Promise<void>, target?: Vue): void;
+  onRenderTracked(fn: (e: DebuggerEvent) => void, target?: Vue): void;
+  onRenderTriggered(fn: (e: DebuggerEvent) => void, target?: Vue): void;
+  onErrorCaptured(fn: (err: Error, vm: Vue, info: string) => boolean | void, target?: Vue): void;
+
+  effectScope(detached?: boolean): EffectScope;
+  getCurrentScope(): EffectScope | undefined;
+  onScopeDispose(fn: () => void): void;
+  computed<T>(getter: () => T, debugOptions?: DebuggerOptions): ComputedRef<T>;
+  computed<T>(options: { get: () => T, set: (value: T) => void }, debugOptions?: DebuggerOptions): WritableComputedRef<T>;
+  watch<T>(source: () => T, cb: (value: T, oldValue: T, onCleanup: WatchCleanupRegistrator) => void, options?: WatchOptions): () => void;
+  watch(source: (() => any)[], cb: (value: any[], oldValue: any[], onCleanup: WatchCleanupRegistrator) => void, options?: WatchOptions): () => void;
 
   config: VueConfiguration;
   version: string;